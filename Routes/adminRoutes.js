@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+    createApiKey,
+    getApiKeys,
+    revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Issue an API key for a tenant
+router.post('/admin/keys', requireScope('admin'), createApiKey);
+
+// List API keys
+router.get('/admin/keys', requireScope('admin'), getApiKeys);
+
+// Revoke an API key
+router.delete('/admin/keys/:id', requireScope('admin'), revokeApiKey);
+
+module.exports = router;
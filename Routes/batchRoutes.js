@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const { batchUpload } = require('../middleware/upload');
+const { uploadBatch, getBatchById } = require('../controllers/batchController');
+
+// Upload several files and/or ZIP archives as one batch
+router.post('/batches', requireScope('upload'), batchUpload.array('documents'), uploadBatch);
+
+// Get batch progress and per-file status
+router.get('/batches/:id', requireScope('read'), getBatchById);
+
+module.exports = router;
@@ -1,27 +1,72 @@
 const express = require('express');
 const router = express.Router();
-const upload = require('../middleware/upload');
+const { upload } = require('../middleware/upload');
+const { requireScope } = require('../middleware/auth');
 const {
     uploadDocument,
+    uploadDocumentVersion,
+    getDocumentVersions,
     getAllDocuments,
+    getDuplicateDocuments,
     getDocumentById,
+    getDocumentPage,
+    exportDocument,
+    getDocumentFile,
+    compareDocuments,
     deleteDocument,
-    getDocumentProgress
+    restoreDocument,
+    getDocumentProgress,
+    streamDocumentEvents,
+    reprocessDocument,
+    reindexDocument
 } = require('../controllers/documentController');
 
 // Upload document
-router.post('/upload', upload.single('document'), uploadDocument);
+router.post('/upload', requireScope('upload'), upload.single('document'), uploadDocument);
 
 // Get all documents
-router.get('/documents', getAllDocuments);
+router.get('/documents', requireScope('read'), getAllDocuments);
+
+// Report documents uploaded more than once (before /documents/:id so it is not taken as an ID)
+router.get('/documents/duplicates', requireScope('read'), getDuplicateDocuments);
 
 // Get document by ID
-router.get('/documents/:id', getDocumentById);
+router.get('/documents/:id', requireScope('read'), getDocumentById);
+
+// Get a single page of structured output
+router.get('/documents/:id/pages/:n', requireScope('read'), getDocumentPage);
+
+// Export extracted content (json, csv, markdown, xlsx)
+router.get('/documents/:id/export', requireScope('read'), exportDocument);
+
+// Download the original uploaded file
+router.get('/documents/:id/file', requireScope('read'), getDocumentFile);
+
+// Upload a new version of a document
+router.post('/documents/:id/versions', requireScope('upload'), upload.single('document'), uploadDocumentVersion);
+
+// List the versions in a document's chain
+router.get('/documents/:id/versions', requireScope('read'), getDocumentVersions);
 
-// Delete document
-router.delete('/documents/:id', deleteDocument);
+// Compare the extracted content of two documents
+router.get('/documents/:a/compare/:b', requireScope('read'), compareDocuments);
+
+// Move document to the trash
+router.delete('/documents/:id', requireScope('delete'), deleteDocument);
+
+// Take a document back out of the trash
+router.post('/documents/:id/restore', requireScope('delete'), restoreDocument);
+
+// Queue document for processing again
+router.post('/documents/:id/reprocess', requireScope('upload'), reprocessDocument);
+
+// Rebuild the document's chunks in the semantic index
+router.post('/documents/:id/reindex', requireScope('upload'), reindexDocument);
 
 // Get document processing progress
-router.get('/documents/:id/progress', getDocumentProgress);
+router.get('/documents/:id/progress', requireScope('read'), getDocumentProgress);
+
+// Stream document processing progress (Server-Sent Events)
+router.get('/documents/:id/events', requireScope('read'), streamDocumentEvents);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getFormats } = require('../controllers/formatController');
+
+// Supported file formats and their capabilities
+router.get('/formats', getFormats);
+
+module.exports = router;
@@ -1,16 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/auth');
 
 // Import route modules
 const documentRoutes = require('./documentRoutes');
+const searchRoutes = require('./searchRoutes');
+const batchRoutes = require('./batchRoutes');
+const formatRoutes = require('./formatRoutes');
+const templateRoutes = require('./templateRoutes');
+const revisionRoutes = require('./revisionRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const retentionRoutes = require('./retentionRoutes');
+const adminRoutes = require('./adminRoutes');
 
 // Test route
 router.get('/test', (req, res) => {
     res.json({ message: 'API is working!' });
 });
 
+// Format routes (public: they only describe the server)
+router.use('/', formatRoutes);
+
+// Everything below needs an API key
+router.use(authenticate);
+
 // Document routes
 router.use('/', documentRoutes);
 
-module.exports = router;
+// Search routes
+router.use('/', searchRoutes);
+
+// Batch routes
+router.use('/', batchRoutes);
+
+// Field extraction template routes
+router.use('/', templateRoutes);
 
+// Extraction revision routes
+router.use('/', revisionRoutes);
+
+// Webhook routes
+router.use('/', webhookRoutes);
+
+// Retention rule routes
+router.use('/', retentionRoutes);
+
+// API key administration
+router.use('/', adminRoutes);
+
+module.exports = router;
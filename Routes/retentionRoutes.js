@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+    createRetentionRule,
+    getRetentionRules,
+    updateRetentionRule,
+    deleteRetentionRule,
+    getPurgeLog,
+    sweepRetentionNow
+} = require('../controllers/retentionController');
+
+// Add a retention rule (rules delete data, so they need the delete scope)
+router.post('/retention/rules', requireScope('delete'), createRetentionRule);
+
+// List retention rules
+router.get('/retention/rules', requireScope('read'), getRetentionRules);
+
+// Change a rule's retention period
+router.put('/retention/rules/:id', requireScope('delete'), updateRetentionRule);
+
+// Remove a retention rule
+router.delete('/retention/rules/:id', requireScope('delete'), deleteRetentionRule);
+
+// What the sweeper removed
+router.get('/retention/log', requireScope('read'), getPurgeLog);
+
+// Run the sweeper for every tenant now
+router.post('/retention/sweep', requireScope('admin'), sweepRetentionNow);
+
+module.exports = router;
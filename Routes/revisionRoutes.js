@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+    getRevisions,
+    getRevision,
+    restoreRevision
+} = require('../controllers/revisionController');
+
+// List a document's extraction runs
+router.get('/documents/:id/revisions', requireScope('read'), getRevisions);
+
+// Get one extraction run with its output
+router.get('/documents/:id/revisions/:revision', requireScope('read'), getRevision);
+
+// Make an earlier extraction run current again
+router.post('/documents/:id/revisions/:revision/restore', requireScope('upload'), restoreRevision);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const { searchDocuments, queryDocuments } = require('../controllers/searchController');
+
+// Full-text search across extracted content
+router.get('/search', requireScope('read'), searchDocuments);
+
+// Semantic retrieval of the chunks closest to a query
+router.post('/documents/query', requireScope('read'), queryDocuments);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    testTemplate
+} = require('../controllers/templateController');
+
+// List built-in and stored field extraction templates
+router.get('/templates', requireScope('read'), getTemplates);
+
+// Define a template
+router.post('/templates', requireScope('upload'), createTemplate);
+
+// Try a template against a document or text without saving (before /templates/:id)
+router.post('/templates/test', requireScope('read'), testTemplate);
+
+// Get a stored template
+router.get('/templates/:id', requireScope('read'), getTemplateById);
+
+// Replace a stored template
+router.put('/templates/:id', requireScope('upload'), updateTemplate);
+
+// Delete a stored template
+router.delete('/templates/:id', requireScope('delete'), deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+    createWebhook,
+    getWebhooks,
+    deleteWebhook,
+    testWebhook,
+    getDeliveries
+} = require('../controllers/webhookController');
+
+// Register a webhook for the tenant's documents
+router.post('/webhooks', requireScope('upload'), createWebhook);
+
+// List webhooks
+router.get('/webhooks', requireScope('read'), getWebhooks);
+
+// Delivery log across all webhooks (before /webhooks/:id so it is not taken as an ID)
+router.get('/webhooks/deliveries', requireScope('read'), getDeliveries);
+
+// Delivery log of one webhook
+router.get('/webhooks/:id/deliveries', requireScope('read'), getDeliveries);
+
+// Send a test event
+router.post('/webhooks/:id/test', requireScope('upload'), testWebhook);
+
+// Remove a webhook
+router.delete('/webhooks/:id', requireScope('delete'), deleteWebhook);
+
+module.exports = router;
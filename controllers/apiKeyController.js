@@ -0,0 +1,173 @@
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { generateApiKey, isValidTenant } = require('../utils/apiKeys');
+
+/**
+ * Issue an API key for a tenant. The key is only ever returned here.
+ * Tenant-bound admin keys can only issue keys for their own tenant.
+ */
+const createApiKey = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { name, scopes = ['read'] } = body;
+        const tenant = req.tenant || body.tenant;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({
+                error: 'Invalid API key',
+                message: 'A key needs a name',
+                code: 'INVALID_API_KEY_REQUEST'
+            });
+        }
+
+        if (req.tenant && body.tenant !== undefined && body.tenant !== req.tenant) {
+            return res.status(403).json({
+                error: 'Tenant not allowed',
+                message: 'This API key can only manage keys of its own tenant',
+                code: 'TENANT_NOT_ALLOWED'
+            });
+        }
+
+        if (!isValidTenant(tenant)) {
+            return res.status(400).json({
+                error: 'Invalid tenant',
+                message: "Tenant must be 1-64 letters, digits, '-' or '_'",
+                code: 'INVALID_TENANT'
+            });
+        }
+
+        const unknownScopes = Array.isArray(scopes) ? scopes.filter(scope => !API_KEY_SCOPES.includes(scope)) : [scopes];
+        if (unknownScopes.length > 0 || scopes.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid scopes',
+                message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`,
+                code: 'INVALID_SCOPES'
+            });
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await ApiKey.create({
+            name: name.trim(),
+            tenant,
+            prefix,
+            keyHash,
+            scopes: [...new Set(scopes)]
+        });
+
+        res.status(201).json({
+            message: 'API key created; store it now, it cannot be shown again',
+            key,
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                tenant: apiKey.tenant,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                createdAt: apiKey.createdAt
+            }
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            message: 'An internal server error occurred while creating the API key',
+            code: 'CREATE_API_KEY_ERROR'
+        });
+    }
+};
+
+/**
+ * List API keys, optionally for one tenant; revoked keys only on request.
+ * Tenant-bound admin keys only see their own tenant's keys.
+ */
+const getApiKeys = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.tenant) {
+            filter.tenant = req.tenant;
+        } else if (req.query.tenant) {
+            filter.tenant = req.query.tenant;
+        }
+        if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+
+        const apiKeys = await ApiKey.find(filter).sort({ tenant: 1, createdAt: -1 });
+
+        res.status(200).json({
+            count: apiKeys.length,
+            apiKeys: apiKeys.map(apiKey => ({
+                id: apiKey._id,
+                name: apiKey.name,
+                tenant: apiKey.tenant,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                lastUsedAt: apiKey.lastUsedAt,
+                revokedAt: apiKey.revokedAt,
+                createdAt: apiKey.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch API keys',
+            message: 'An internal server error occurred while fetching API keys',
+            code: 'FETCH_API_KEYS_ERROR'
+        });
+    }
+};
+
+/**
+ * Revoke an API key; it stops working immediately. Tenant-bound admin keys
+ * can only revoke keys of their own tenant.
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid API key ID',
+                message: 'API key ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_API_KEY_ID'
+            });
+        }
+
+        const filter = { _id: req.params.id };
+        if (req.tenant) filter.tenant = req.tenant;
+
+        const apiKey = await ApiKey.findOne(filter);
+        if (!apiKey) {
+            return res.status(404).json({
+                error: 'API key not found',
+                message: 'No API key found with the provided ID',
+                code: 'API_KEY_NOT_FOUND'
+            });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        res.status(200).json({
+            message: 'API key revoked',
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                tenant: apiKey.tenant,
+                prefix: apiKey.prefix,
+                revokedAt: apiKey.revokedAt
+            }
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: 'An internal server error occurred while revoking the API key',
+            code: 'REVOKE_API_KEY_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    createApiKey,
+    getApiKeys,
+    revokeApiKey
+};
@@ -0,0 +1,221 @@
+const Batch = require('../models/Batch');
+const Document = require('../models/Document');
+const path = require('path');
+const { getProgressTracker } = require('../utils/progressTracker');
+const { extractArchive } = require('../utils/archiveExtractor');
+const { getStorage } = require('../utils/storage');
+const { validateUploadedFile, validateFileContent, readOCROptions, discardFile, createQueuedDocument } = require('../utils/documentIntake');
+const { readPIIOptions } = require('../utils/piiDetector');
+
+/**
+ * Upload several files and/or ZIP archives as one batch
+ */
+const uploadBatch = async (req, res) => {
+    const uploadedFiles = req.files || [];
+    const accepted = [];
+    // Files of unsupported types were already skipped by the upload filter
+    const rejected = [...(req.rejectedUploads || [])];
+    const discarded = [];
+
+    try {
+        if (uploadedFiles.length === 0 && rejected.length === 0) {
+            return res.status(400).json({
+                error: 'No file uploaded',
+                message: 'Please select at least one file or ZIP archive to upload',
+                code: 'NO_FILE_UPLOADED'
+            });
+        }
+
+        // OCR and redaction settings apply to every file in the batch
+        const { ocrOptions, error: ocrError } = readOCROptions({ ...req.query, ...req.body });
+        if (ocrError) {
+            await Promise.all(uploadedFiles.map(discardFile));
+            return res.status(400).json(ocrError);
+        }
+
+        const { piiOptions, error: piiError } = readPIIOptions({ ...req.query, ...req.body });
+        if (piiError) {
+            await Promise.all(uploadedFiles.map(discardFile));
+            return res.status(400).json(piiError);
+        }
+
+        // Expand archives and validate every file
+        for (const file of uploadedFiles) {
+            if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+                const validationError = validateUploadedFile(file) || await validateFileContent(file);
+                if (validationError) {
+                    rejected.push({ fileName: file.originalname, code: validationError.code, reason: validationError.message });
+                    discarded.push(file);
+                } else {
+                    accepted.push(file);
+                }
+                continue;
+            }
+
+            discarded.push(file);
+            try {
+                const archive = await extractArchive(await getStorage().read(file.storageKey), req.tenant);
+                archive.rejected.forEach(entry => rejected.push({ ...entry, archive: file.originalname }));
+
+                for (const entry of archive.files) {
+                    const validationError = validateUploadedFile(entry) || await validateFileContent(entry);
+                    if (validationError) {
+                        rejected.push({
+                            fileName: entry.archivePath,
+                            archive: file.originalname,
+                            code: validationError.code,
+                            reason: validationError.message
+                        });
+                        discarded.push(entry);
+                    } else {
+                        accepted.push(entry);
+                    }
+                }
+            } catch (archiveError) {
+                rejected.push({
+                    fileName: file.originalname,
+                    code: archiveError.code || 'INVALID_ARCHIVE',
+                    reason: archiveError.message
+                });
+            }
+        }
+
+        // Remove archives and rejected files from storage
+        await Promise.all(discarded.map(discardFile));
+
+        if (accepted.length === 0) {
+            return res.status(400).json({
+                error: 'No valid files',
+                message: 'None of the uploaded files could be accepted',
+                code: 'NO_VALID_FILES',
+                rejected
+            });
+        }
+
+        const batch = await Batch.create({
+            tenant: req.tenant,
+            name: req.body.name || null,
+            totalFiles: accepted.length,
+            rejectedFiles: rejected
+        });
+
+        const documents = [];
+        for (const file of accepted) {
+            documents.push(await createQueuedDocument(file, {
+                tenant: req.tenant,
+                batch: batch._id,
+                archivePath: file.archivePath || null,
+                ocrOptions,
+                piiOptions
+            }));
+        }
+
+        res.status(201).json({
+            message: 'Batch uploaded successfully',
+            batch: {
+                id: batch._id,
+                name: batch.name,
+                totalFiles: batch.totalFiles,
+                documents: documents.map(document => ({
+                    id: document._id,
+                    fileName: document.originalName,
+                    fileType: document.fileType,
+                    status: document.processingStatus
+                })),
+                rejected
+            }
+        });
+    } catch (error) {
+        console.error('Batch upload error:', error);
+        res.status(500).json({
+            error: 'Failed to upload batch',
+            message: 'An internal server error occurred while processing your request',
+            code: 'BATCH_UPLOAD_ERROR'
+        });
+    }
+};
+
+/**
+ * Get batch with aggregate progress and per-file status
+ */
+const getBatchById = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid batch ID',
+                message: 'Batch ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_BATCH_ID'
+            });
+        }
+
+        const batch = await Batch.findOne({ _id: req.params.id, tenant: req.tenant });
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Batch not found',
+                message: 'No batch found with the provided ID',
+                code: 'BATCH_NOT_FOUND'
+            });
+        }
+
+        const documents = await Document.find({ tenant: req.tenant, batch: batch._id })
+            .select('originalName fileType processingStatus errorMessage archivePath metadata.pageCount createdAt')
+            .sort({ createdAt: 1 });
+
+        const counts = { pending: 0, processing: 0, completed: 0, failed: 0 };
+        const files = documents.map(document => {
+            const progressTracker = getProgressTracker(document._id.toString());
+            const finished = document.processingStatus === 'completed' || document.processingStatus === 'failed';
+            counts[document.processingStatus]++;
+
+            return {
+                id: document._id,
+                fileName: document.originalName,
+                archivePath: document.archivePath,
+                fileType: document.fileType,
+                status: document.processingStatus,
+                progress: finished ? 100 : (progressTracker ? progressTracker.progress : 0),
+                pageCount: document.metadata.pageCount,
+                errorMessage: document.errorMessage
+            };
+        });
+
+        const progress = files.length > 0
+            ? Math.round(files.reduce((sum, file) => sum + file.progress, 0) / files.length)
+            : 100;
+
+        let status = 'completed';
+        if (counts.pending + counts.processing > 0) {
+            status = 'processing';
+        } else if (files.length > 0 && counts.failed === files.length) {
+            status = 'failed';
+        } else if (counts.failed > 0) {
+            status = 'completed_with_errors';
+        }
+
+        res.status(200).json({
+            id: batch._id,
+            name: batch.name,
+            status,
+            progress,
+            totalFiles: files.length,
+            counts,
+            files,
+            rejected: batch.rejectedFiles,
+            createdAt: batch.createdAt
+        });
+    } catch (error) {
+        console.error('Get batch error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch batch',
+            message: 'An internal server error occurred while fetching the batch',
+            code: 'FETCH_BATCH_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    uploadBatch,
+    getBatchById
+};
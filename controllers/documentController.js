@@ -1,14 +1,114 @@
 const Document = require('../models/Document');
+const Page = require('../models/Page');
+const Webhook = require('../models/Webhook');
+const mongoose = require('mongoose');
 const path = require('path');
-const fs = require('fs').promises;
+const { pipeline } = require('stream');
 const { createProgressTracker, removeProgressTracker, getProgressTracker } = require('../utils/progressTracker');
+const { enqueueDocument, getActiveJob, willRetry, getRetryDelay } = require('../utils/jobQueue');
+const { escapeRegExp } = require('../utils/textSearch');
+const { toExportJSON, tableToCSV, tablesToCSVArchive, toMarkdown, toXLSX } = require('../utils/exporters');
+const { validateUploadedFile, validateFileContent, readOCROptions, discardFile, findDocumentByHash, createQueuedDocument } = require('../utils/documentIntake');
+const { getStorage } = require('../utils/storage');
+const { getFormatByExtension } = require('../utils/parserRegistry');
+const { extractFields, loadTemplates } = require('../utils/fieldExtractor');
+const { extractEntities } = require('../utils/entityExtractor');
+const { parseDate, parseNumber } = require('../utils/valueParsers');
+const { diffDocuments } = require('../utils/documentDiff');
+const { recordRevision, applyRevision } = require('../utils/revisionStore');
+const { notifyDocumentEvent, readWebhookOptions } = require('../utils/webhooks');
+const { getTrashPurgeDate } = require('../utils/retention');
+const { detectPII, createRedactor, readPIIOptions } = require('../utils/piiDetector');
+const { indexDocument, indexStoredContent } = require('../utils/semanticIndex');
 
-// Import parsers
-const { extractPDFText } = require('../utils/pdfParser');
-const { extractDOCXText } = require('../utils/docxParser');
-const { extractExcelData } = require('../utils/excelParser');
-const { extractTXTText } = require('../utils/txtParser');
-const { extractOCRText } = require('../utils/ocrParser');
+const DUPLICATE_OPTIONS = ['reuse', 'duplicate'];
+
+/**
+ * Whether an existing document was processed with the given OCR options
+ */
+function sameOCROptions(document, ocrOptions) {
+    const existing = document.ocrOptions || {};
+    return (existing.languages || []).join('+') === ocrOptions.languages.join('+')
+        && (existing.preprocess !== false) === ocrOptions.preprocess;
+}
+
+/**
+ * Whether an existing document's content was stored redacted as asked
+ */
+function samePIIOptions(document, piiOptions) {
+    return Boolean(document.piiOptions && document.piiOptions.storeRedacted) === piiOptions.storeRedacted;
+}
+
+/**
+ * Redacted copy of a document (as a plain object), using its PII findings
+ */
+function redactDocument(document) {
+    const content = { text: document.extractedText, tables: document.extractedTables };
+    return createRedactor(content, document.pii && document.pii.findings)(document);
+}
+
+/**
+ * Conditions on extracted entities from list query parameters
+ * (minAmount, maxAmount, currency, dateFrom, dateTo, email, phone, company, label)
+ * @returns {Object} { filter } or { error } naming the bad parameter
+ */
+function entityFilter(query) {
+    const filter = {};
+
+    if (query.minAmount !== undefined || query.maxAmount !== undefined || query.currency) {
+        const value = {};
+        for (const [param, operator] of [['minAmount', '$gte'], ['maxAmount', '$lte']]) {
+            if (query[param] === undefined) continue;
+            const number = parseNumber(String(query[param]));
+            if (number === null) return { error: `${param} must be a number` };
+            value[operator] = number;
+        }
+        const amount = {};
+        if (Object.keys(value).length > 0) amount.value = value;
+        if (query.currency) amount.currency = String(query.currency).toUpperCase();
+        filter['entities.amounts'] = { $elemMatch: amount };
+    }
+
+    if (query.dateFrom || query.dateTo) {
+        const value = {};
+        for (const [param, operator] of [['dateFrom', '$gte'], ['dateTo', '$lte']]) {
+            if (!query[param]) continue;
+            const date = parseDate(String(query[param]));
+            if (!date) return { error: `${param} must be a date (YYYY-MM-DD)` };
+            value[operator] = date;
+        }
+        filter['entities.dates'] = { $elemMatch: { value } };
+    }
+
+    if (query.email) {
+        filter['entities.emails.value'] = String(query.email).toLowerCase();
+    }
+    if (query.phone) {
+        const digits = String(query.phone).replace(/\D/g, '');
+        if (digits.length < 6) return { error: 'phone must have at least 6 digits' };
+        // Match with or without a country code
+        filter['entities.phones.value'] = { $regex: `${digits}$` };
+    }
+    if (query.company) {
+        filter['entities.companies.value'] = { $regex: escapeRegExp(String(query.company)), $options: 'i' };
+    }
+    if (query.label) {
+        filter['entities.keyValues.label'] = { $regex: `^${escapeRegExp(String(query.label))}$`, $options: 'i' };
+    }
+
+    return { filter };
+}
+
+/**
+ * Register the webhook an upload asked for, notified only about that document
+ * @returns {Promise<Object|null>} { id, url, secret } for the response
+ */
+async function registerUploadWebhook(tenant, documentId, webhookOptions) {
+    if (!webhookOptions) return null;
+
+    const webhook = await Webhook.create({ tenant, document: documentId, ...webhookOptions });
+    return { id: webhook._id, url: webhook.url, secret: webhookOptions.secret };
+}
 
 /**
  * Upload and process document
@@ -24,65 +124,101 @@ const uploadDocument = async (req, res) => {
         }
 
         const file = req.file;
-        const fileExt = path.extname(file.originalname).toLowerCase().slice(1);
-        
-        // Enhanced file validation
-        const allowedTypes = ['pdf', 'docx', 'xlsx', 'xls', 'txt', 'jpg', 'jpeg', 'png'];
-        if (!allowedTypes.includes(fileExt)) {
+
+        // What to do when the same content was uploaded before
+        const onDuplicate = req.query.onDuplicate || 'reuse';
+        if (!DUPLICATE_OPTIONS.includes(onDuplicate)) {
+            await discardFile(file);
             return res.status(400).json({
-                error: 'Invalid file type',
-                message: `File type '${fileExt}' is not supported. Allowed types: ${allowedTypes.join(', ')}`,
-                code: 'INVALID_FILE_TYPE'
+                error: 'Invalid duplicate option',
+                message: `onDuplicate must be one of: ${DUPLICATE_OPTIONS.join(', ')}`,
+                code: 'INVALID_DUPLICATE_OPTION'
             });
         }
 
-        // File size validation (10MB limit)
-        const maxSize = 10 * 1024 * 1024; // 10MB
-        if (file.size > maxSize) {
-            return res.status(400).json({
-                error: 'File too large',
-                message: `File size (${(file.size / 1024 / 1024).toFixed(2)}MB) exceeds maximum allowed size of 10MB`,
-                code: 'FILE_TOO_LARGE'
-            });
+        const { ocrOptions, error: ocrError } = readOCROptions({ ...req.query, ...req.body });
+        if (ocrError) {
+            await discardFile(file);
+            return res.status(400).json(ocrError);
         }
 
-        // File name validation
-        if (!file.originalname || file.originalname.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Invalid file name',
-                message: 'File name cannot be empty',
-                code: 'INVALID_FILE_NAME'
-            });
+        const { piiOptions, error: piiError } = readPIIOptions({ ...req.query, ...req.body });
+        if (piiError) {
+            await discardFile(file);
+            return res.status(400).json(piiError);
         }
-        
-        // Create document record
-        const document = new Document({
-            fileName: file.filename,
-            originalName: file.originalname,
-            filePath: file.path,
-            fileType: fileExt,
-            fileSize: file.size,
-            processingStatus: 'pending'
-        });
 
-        await document.save();
+        const { webhookOptions, error: webhookError } = readWebhookOptions({ ...req.query, ...req.body });
+        if (webhookError) {
+            await discardFile(file);
+            return res.status(400).json(webhookError);
+        }
 
-        // Create progress tracker
-        const progressTracker = createProgressTracker(document._id.toString());
-        progressTracker.setStatus('processing', 'Starting document processing');
+        const validationError = validateUploadedFile(file) || await validateFileContent(file);
+        if (validationError) {
+            await discardFile(file);
+            return res.status(400).json(validationError);
+        }
+
+        const original = await findDocumentByHash(file.contentHash, { tenant: req.tenant });
+
+        if (original && onDuplicate === 'reuse') {
+            // Content removed by a retention rule is no extraction to reuse
+            const completed = original.processingStatus === 'completed' && !original.contentPurgedAt
+                ? original
+                : await findDocumentByHash(file.contentHash, { tenant: req.tenant, processingStatus: 'completed', contentPurgedAt: null });
+
+            // Reuse the existing extraction instead of processing the file again,
+            // unless it was read with different OCR or redaction settings
+            if (completed && sameOCROptions(completed, ocrOptions) && samePIIOptions(completed, piiOptions)) {
+                await discardFile(file);
 
-        // Process document asynchronously
-        processDocument(document._id.toString(), file.path, fileExt, progressTracker);
+                // The extraction is already finished, so the webhook hears about it now
+                const webhook = await registerUploadWebhook(req.tenant, completed._id, webhookOptions);
+                if (webhook) {
+                    await notifyDocumentEvent(completed._id, 'document.completed', webhook.id);
+                }
+
+                return res.status(200).json({
+                    message: 'Document already uploaded; returning the existing extraction',
+                    duplicate: true,
+                    document: {
+                        id: completed._id,
+                        fileName: completed.originalName,
+                        fileType: completed.fileType,
+                        status: completed.processingStatus,
+                        uploadedAt: completed.createdAt
+                    },
+                    webhook
+                });
+            }
+        }
+
+        // Register the webhook before queueing so it cannot miss a quick finish
+        const documentId = new mongoose.Types.ObjectId();
+        const webhook = await registerUploadWebhook(req.tenant, documentId, webhookOptions);
+
+        // Create document record and queue it for processing
+        const document = await createQueuedDocument(file, {
+            _id: documentId,
+            tenant: req.tenant,
+            duplicateOf: original ? (original.duplicateOf || original._id) : null,
+            ocrOptions,
+            piiOptions
+        });
 
         res.status(201).json({
             message: 'Document uploaded successfully',
+            duplicate: Boolean(original),
             document: {
                 id: document._id,
                 fileName: document.originalName,
                 fileType: document.fileType,
                 status: document.processingStatus,
-                uploadedAt: document.createdAt
-            }
+                uploadedAt: document.createdAt,
+                duplicateOf: document.duplicateOf
+            },
+            webhook
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -95,83 +231,342 @@ const uploadDocument = async (req, res) => {
 };
 
 /**
- * Process document based on file type
+ * Upload a new version of an existing document. The new document joins the
+ * original's version chain and is processed like any upload.
  */
-async function processDocument(documentId, filePath, fileType, progressTracker) {
+const uploadDocumentVersion = async (req, res) => {
     try {
-        // Update status to processing
-        const document = await Document.findByIdAndUpdate(
-            documentId,
-            { processingStatus: 'processing' },
-            { new: true }
-        );
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file uploaded',
+                message: 'Please select a file to upload',
+                code: 'NO_FILE_UPLOADED'
+            });
+        }
+
+        const file = req.file;
 
-        progressTracker.updateProgress(10, 'Reading file');
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            await discardFile(file);
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
 
-        let extractedData;
+        const { ocrOptions, error: ocrError } = readOCROptions({ ...req.query, ...req.body });
+        if (ocrError) {
+            await discardFile(file);
+            return res.status(400).json(ocrError);
+        }
 
-        // Process based on file type
-        progressTracker.updateProgress(30, `Processing ${fileType.toUpperCase()} file`);
-        
-        switch (fileType) {
-            case 'pdf':
-                extractedData = await extractPDFText(filePath);
-                break;
-            case 'docx':
-                extractedData = await extractDOCXText(filePath);
-                break;
-            case 'xlsx':
-            case 'xls':
-                extractedData = await extractExcelData(filePath);
-                break;
-            case 'txt':
-                extractedData = await extractTXTText(filePath);
-                break;
-            case 'jpg':
-            case 'jpeg':
-            case 'png':
-                progressTracker.updateProgress(50, 'Performing OCR on image');
-                extractedData = await extractOCRText(filePath);
-                break;
-            default:
-                throw new Error('Unsupported file type');
-        }
-
-        progressTracker.updateProgress(80, 'Saving extracted data');
-
-        // Update document with extracted data
-        await Document.findByIdAndUpdate(documentId, {
-            processingStatus: 'completed',
-            extractedText: extractedData.text,
-            extractedTables: extractedData.tables,
-            'metadata.pageCount': extractedData.metadata.pageCount,
-            'metadata.extractionConfidence': extractedData.metadata.extractionConfidence,
-            'metadata.processedPages': extractedData.metadata.processedPages,
-            'metadata.extractionDate': new Date()
-        });
-
-        progressTracker.complete();
-        console.log(`✅ Document ${documentId} processed successfully`);
+        const { piiOptions, error: piiError } = readPIIOptions({ ...req.query, ...req.body });
+        if (piiError) {
+            await discardFile(file);
+            return res.status(400).json(piiError);
+        }
+
+        const { webhookOptions, error: webhookError } = readWebhookOptions({ ...req.query, ...req.body });
+        if (webhookError) {
+            await discardFile(file);
+            return res.status(400).json(webhookError);
+        }
+
+        const validationError = validateUploadedFile(file) || await validateFileContent(file);
+        if (validationError) {
+            await discardFile(file);
+            return res.status(400).json(validationError);
+        }
+
+        const previous = await Document.findOne({ _id: req.params.id, tenant: req.tenant }).select('lineage');
+        if (!previous) {
+            await discardFile(file);
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        // New versions always follow the latest one in the chain
+        const lineage = previous.lineage || previous._id;
+        const latest = await Document.findOne({ tenant: req.tenant, $or: [{ _id: lineage }, { lineage }] })
+            .sort({ version: -1 })
+            .select('version contentHash');
+
+        if (latest.contentHash === file.contentHash) {
+            await discardFile(file);
+            return res.status(409).json({
+                error: 'Version unchanged',
+                message: 'The file is identical to the latest version of this document',
+                code: 'VERSION_UNCHANGED'
+            });
+        }
+
+        const documentId = new mongoose.Types.ObjectId();
+        const webhook = await registerUploadWebhook(req.tenant, documentId, webhookOptions);
+
+        const document = await createQueuedDocument(file, {
+            _id: documentId,
+            tenant: req.tenant,
+            lineage,
+            version: latest.version + 1,
+            previousVersion: latest._id,
+            ocrOptions,
+            piiOptions
+        });
+
+        res.status(201).json({
+            message: 'Document version uploaded successfully',
+            document: {
+                id: document._id,
+                fileName: document.originalName,
+                fileType: document.fileType,
+                status: document.processingStatus,
+                uploadedAt: document.createdAt,
+                lineage: document.lineage,
+                version: document.version,
+                previousVersion: document.previousVersion
+            },
+            webhook
+        });
+    } catch (error) {
+        console.error('Upload version error:', error);
+        res.status(500).json({
+            error: 'Failed to upload document version',
+            message: 'An internal server error occurred while processing your request',
+            code: 'UPLOAD_VERSION_ERROR'
+        });
+    }
+};
+
+/**
+ * List every version in a document's chain, oldest first
+ */
+const getDocumentVersions = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant }).select('lineage');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const lineage = document.lineage || document._id;
+        const versions = await Document.find({ tenant: req.tenant, $or: [{ _id: lineage }, { lineage }] })
+            .select('originalName fileType fileSize processingStatus version previousVersion currentRevision createdAt')
+            .sort({ version: 1 });
+
+        res.status(200).json({
+            lineage,
+            count: versions.length,
+            versions: versions.map(version => ({
+                id: version._id,
+                version: version.version,
+                previousVersion: version.previousVersion,
+                fileName: version.originalName,
+                fileType: version.fileType,
+                fileSize: version.fileSize,
+                status: version.processingStatus,
+                currentRevision: version.currentRevision,
+                uploadedAt: version.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch document versions',
+            message: 'An internal server error occurred while fetching document versions',
+            code: 'FETCH_VERSIONS_ERROR'
+        });
+    }
+};
+
+/**
+ * Queue webhook deliveries for a finished document without failing the job
+ */
+function notifyWebhooks(documentId, event) {
+    notifyDocumentEvent(documentId, event).catch(error => {
+        console.error(`Webhook notification failed for document ${documentId}:`, error.message);
+    });
+}
+
+/**
+ * Run a queued processing job, recording the outcome on the document
+ */
+async function runDocumentJob(job) {
+    const documentId = job.document.toString();
+    const progressTracker = getProgressTracker(documentId) || createProgressTracker(documentId);
+
+    progressTracker.setStatus(
+        'processing',
+        job.attempts > 1 ? `Retrying (attempt ${job.attempts} of ${job.maxAttempts})` : 'Starting document processing'
+    );
+
+    try {
+        await processDocument(documentId, progressTracker);
     } catch (error) {
         console.error('Processing error:', error);
-        
-        progressTracker.fail(error);
-        
-        // Update document with error
-        await Document.findByIdAndUpdate(documentId, {
-            processingStatus: 'failed',
-            errorMessage: error.message
-        });
-    } finally {
-        // Clean up progress tracker after 5 minutes
-        setTimeout(() => {
+
+        if (willRetry(job, error)) {
+            const delay = getRetryDelay(job.attempts);
+            progressTracker.setStatus('pending', `Attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+
+            await Document.findByIdAndUpdate(documentId, {
+                processingStatus: 'pending',
+                errorMessage: error.message
+            });
+        } else {
+            progressTracker.fail(error);
+
+            // Update document with error
+            await Document.findByIdAndUpdate(documentId, {
+                processingStatus: 'failed',
+                errorMessage: error.message
+            });
+            scheduleTrackerRemoval(documentId, progressTracker);
+            notifyWebhooks(documentId, 'document.failed');
+        }
+
+        // Let the queue record the failure and schedule any retry
+        throw error;
+    }
+
+    scheduleTrackerRemoval(documentId, progressTracker);
+    notifyWebhooks(documentId, 'document.completed');
+}
+
+/**
+ * Clean up progress tracker after 5 minutes, unless a reprocess replaced it
+ */
+function scheduleTrackerRemoval(documentId, progressTracker) {
+    setTimeout(() => {
+        if (getProgressTracker(documentId) === progressTracker) {
             removeProgressTracker(documentId);
-        }, 5 * 60 * 1000);
+        }
+    }, 5 * 60 * 1000);
+}
+
+/**
+ * Process document based on file type
+ */
+async function processDocument(documentId, progressTracker) {
+    // Update status to processing
+    const document = await Document.findByIdAndUpdate(
+        documentId,
+        { processingStatus: 'processing' },
+        { new: true }
+    );
+
+    if (!document) {
+        const error = new Error('Document no longer exists');
+        error.retryable = false;
+        throw error;
+    }
+
+    const { storageKey, fileType } = document;
+
+    progressTracker.updateProgress(10, 'Reading file');
+
+    let content;
+    try {
+        content = await getStorage().read(storageKey);
+    } catch (readError) {
+        if (readError.code !== 'ENOENT') throw readError;
+        const error = new Error('Uploaded file is missing from storage');
+        error.retryable = false;
+        throw error;
+    }
+
+    // Process with the parser registered for the file type
+    const format = getFormatByExtension(fileType);
+    if (!format) {
+        const error = new Error('Unsupported file type');
+        error.retryable = false;
+        throw error;
+    }
+
+    progressTracker.updateProgress(30, `Processing ${fileType.toUpperCase()} file`);
+
+    const parsed = await format.parse(content, { progressTracker, ocr: document.ocrOptions });
+
+    // Look for personal data. Not caught like the steps below: content that
+    // should be stored redacted must never be saved in the clear.
+    progressTracker.updateProgress(65, 'Detecting personal data');
+    const pii = { ...detectPII(parsed), redacted: Boolean(document.piiOptions && document.piiOptions.storeRedacted) };
+
+    // Fields, entities, revisions and pages are all built from the redacted content then
+    const extractedData = pii.redacted ? createRedactor(parsed, pii.findings)(parsed) : parsed;
+
+    // Pull typed fields (invoice numbers, totals, ...) out with the best matching template
+    progressTracker.updateProgress(70, 'Extracting fields');
+    let fieldResult = null;
+    try {
+        fieldResult = await extractFields(extractedData, fileType, await loadTemplates(document.tenant));
+    } catch (fieldError) {
+        // Field extraction is a bonus; the parsed content is still worth saving
+        console.error(`Field extraction failed for document ${documentId}:`, fieldError.message);
     }
+
+    progressTracker.updateProgress(75, 'Extracting entities');
+    let entities = {};
+    try {
+        entities = extractEntities(extractedData);
+    } catch (entityError) {
+        console.error(`Entity extraction failed for document ${documentId}:`, entityError.message);
+    }
+
+    progressTracker.updateProgress(80, 'Saving extracted data');
+
+    // Keep the run as a revision, then make it the document's current content
+    const revision = await recordRevision(document, format, {
+        text: extractedData.text,
+        tables: extractedData.tables,
+        blocks: extractedData.blocks || [],
+        metadata: extractedData.metadata,
+        fields: fieldResult ? fieldResult.fields : {},
+        fieldExtraction: fieldResult
+            ? { template: fieldResult.template, confidence: fieldResult.confidence, missing: fieldResult.missing, extractedAt: new Date() }
+            : null,
+        entities,
+        pii,
+        pages: extractedData.pages || []
+    }, {
+        ocr: {
+            languages: [...(document.ocrOptions.languages || [])],
+            preprocess: document.ocrOptions.preprocess
+        },
+        pii: { storeRedacted: pii.redacted }
+    });
+
+    await applyRevision(documentId, revision);
+
+    // Chunk and embed the content for semantic retrieval
+    progressTracker.updateProgress(90, 'Indexing content');
+    await indexDocument(document, {
+        text: extractedData.text,
+        tables: extractedData.tables,
+        blocks: extractedData.blocks || [],
+        pages: extractedData.pages || []
+    });
+
+    progressTracker.complete();
+    console.log(`✅ Document ${documentId} processed successfully`);
 }
 
 /**
- * Get all documents
+ * Get all documents; ?deleted=true lists the trash instead
  */
 const getAllDocuments = async (req, res) => {
     try {
@@ -181,13 +576,27 @@ const getAllDocuments = async (req, res) => {
         const skip = (page - 1) * limit;
 
         // Add filtering support
-        const filter = {};
+        const filter = { tenant: req.tenant };
         if (req.query.fileType) {
             filter.fileType = req.query.fileType;
         }
         if (req.query.status) {
             filter.processingStatus = req.query.status;
         }
+        if (req.query.deleted === 'true') {
+            filter.deletedAt = { $ne: null };
+        }
+
+        // Filter on extracted entities (e.g. ?minAmount=1000&currency=EUR)
+        const { filter: entityConditions, error: filterError } = entityFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: filterError,
+                code: 'INVALID_FILTER'
+            });
+        }
+        Object.assign(filter, entityConditions);
 
         const documents = await Document.find(filter)
             .select('-extractedText -extractedTables.data') // Exclude large fields for list view
@@ -215,7 +624,72 @@ const getAllDocuments = async (req, res) => {
 };
 
 /**
- * Get document by ID
+ * Report groups of documents uploaded with identical content
+ */
+const getDuplicateDocuments = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const [result] = await Document.aggregate([
+            { $match: { tenant: req.tenant, contentHash: { $ne: null }, deletedAt: null } },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$contentHash',
+                    count: { $sum: 1 },
+                    fileSize: { $first: '$fileSize' },
+                    documents: {
+                        $push: {
+                            id: '$_id',
+                            fileName: '$originalName',
+                            fileType: '$fileType',
+                            status: '$processingStatus',
+                            duplicateOf: '$duplicateOf',
+                            uploadedAt: '$createdAt'
+                        }
+                    }
+                }
+            },
+            { $match: { count: { $gt: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            {
+                $facet: {
+                    groups: [{ $skip: skip }, { $limit: limit }],
+                    totals: [{ $group: { _id: null, groups: { $sum: 1 }, duplicates: { $sum: { $subtract: ['$count', 1] } } } }]
+                }
+            }
+        ]);
+
+        const totals = result.totals[0] || { groups: 0, duplicates: 0 };
+
+        res.status(200).json({
+            count: result.groups.length,
+            total: totals.groups,
+            duplicateDocuments: totals.duplicates,
+            page,
+            totalPages: Math.ceil(totals.groups / limit),
+            groups: result.groups.map(group => ({
+                contentHash: group._id,
+                count: group.count,
+                // Storage that would be freed by keeping only one copy
+                wastedBytes: group.fileSize * (group.count - 1),
+                documents: group.documents
+            }))
+        });
+    } catch (error) {
+        console.error('Get duplicates error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch duplicates',
+            message: 'An internal server error occurred while fetching duplicate documents',
+            code: 'FETCH_DUPLICATES_ERROR'
+        });
+    }
+};
+
+/**
+ * Get document by ID; ?redact=true masks personal data in the content
  */
 const getDocumentById = async (req, res) => {
     try {
@@ -228,7 +702,7 @@ const getDocumentById = async (req, res) => {
             });
         }
 
-        const document = await Document.findById(req.params.id);
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant });
 
         if (!document) {
             return res.status(404).json({ 
@@ -238,7 +712,7 @@ const getDocumentById = async (req, res) => {
             });
         }
 
-        res.status(200).json(document);
+        res.status(200).json(req.query.redact === 'true' ? redactDocument(document.toJSON()) : document);
     } catch (error) {
         console.error('Get document error:', error);
         res.status(500).json({ 
@@ -250,9 +724,9 @@ const getDocumentById = async (req, res) => {
 };
 
 /**
- * Delete document
+ * Get a single page of structured output
  */
-const deleteDocument = async (req, res) => {
+const getDocumentPage = async (req, res) => {
     try {
         // Validate ObjectId format
         if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -263,75 +737,444 @@ const deleteDocument = async (req, res) => {
             });
         }
 
-        const document = await Document.findById(req.params.id);
+        const pageNumber = Number(req.params.n);
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            return res.status(400).json({
+                error: 'Invalid page number',
+                message: 'Page number must be a positive integer',
+                code: 'INVALID_PAGE_NUMBER'
+            });
+        }
 
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant })
+            .select('metadata.pageCount processingStatus');
         if (!document) {
-            return res.status(404).json({ 
+            return res.status(404).json({
                 error: 'Document not found',
                 message: 'No document found with the provided ID',
                 code: 'DOCUMENT_NOT_FOUND'
             });
         }
 
-        // Delete file from filesystem
-        try {
-            await fs.unlink(document.filePath);
-        } catch (fileError) {
-            console.error('File deletion error:', fileError);
-            // Continue with database deletion even if file deletion fails
-        }
+        const page = await Page.findOne({ document: document._id, pageNumber });
 
-        // Delete from database
-        await Document.findByIdAndDelete(req.params.id);
+        if (!page) {
+            return res.status(404).json({
+                error: 'Page not found',
+                message: document.processingStatus === 'completed'
+                    ? `Page ${pageNumber} does not exist; the document has ${document.metadata.pageCount} page(s)`
+                    : `Page ${pageNumber} is not available while the document is ${document.processingStatus}`,
+                code: 'PAGE_NOT_FOUND'
+            });
+        }
 
-        res.status(200).json({ 
-            message: 'Document deleted successfully',
-            deletedDocument: {
-                id: document._id,
-                fileName: document.originalName,
-                fileType: document.fileType
-            }
-        });
+        res.status(200).json(page);
     } catch (error) {
-        console.error('Delete document error:', error);
-        res.status(500).json({ 
-            error: 'Failed to delete document',
-            message: 'An internal server error occurred while deleting the document',
-            code: 'DELETE_DOCUMENT_ERROR'
+        console.error('Get document page error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch page',
+            message: 'An internal server error occurred while fetching the page',
+            code: 'FETCH_PAGE_ERROR'
         });
     }
 };
 
 /**
- * Get document processing progress
+ * Export extracted content as JSON, CSV, Markdown or XLSX; ?redact=true masks
+ * personal data in it
  */
-const getDocumentProgress = async (req, res) => {
+const exportDocument = async (req, res) => {
     try {
-        const documentId = req.params.id;
-        const progressTracker = getProgressTracker(documentId);
-        
-        if (!progressTracker) {
-            // Check if document exists in database
-            const document = await Document.findById(documentId);
-            if (!document) {
-                return res.status(404).json({
-                    error: 'Document not found',
-                    message: 'No document found with the provided ID',
-                    code: 'DOCUMENT_NOT_FOUND'
-                });
-            }
-            
-            // Return database status if no active progress tracker
-            return res.status(200).json({
-                documentId,
-                status: document.processingStatus,
-                progress: document.processingStatus === 'completed' ? 100 : 0,
-                step: document.processingStatus,
-                elapsed: 0
-            });
-        }
-
-        res.status(200).json({
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        const allowedFormats = ['json', 'csv', 'markdown', 'md', 'xlsx'];
+        if (!allowedFormats.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid export format',
+                message: `Format '${format}' is not supported. Allowed formats: json, csv, markdown, xlsx`,
+                code: 'INVALID_EXPORT_FORMAT'
+            });
+        }
+
+        const stored = await Document.findOne({ _id: req.params.id, tenant: req.tenant });
+
+        if (!stored) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const document = req.query.redact === 'true' ? redactDocument(stored.toObject()) : stored;
+
+        if (document.processingStatus !== 'completed') {
+            return res.status(409).json({
+                error: 'Document not processed',
+                message: `The document is ${document.processingStatus}; only completed documents can be exported`,
+                code: 'DOCUMENT_NOT_PROCESSED'
+            });
+        }
+
+        if (document.contentPurgedAt) {
+            return res.status(410).json({
+                error: 'Content purged',
+                message: 'The extracted content was removed by a retention rule',
+                code: 'CONTENT_PURGED'
+            });
+        }
+
+        const baseName = path.parse(document.originalName).name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'document';
+
+        switch (format) {
+            case 'json':
+                res.attachment(`${baseName}.json`);
+                return res.status(200).json(toExportJSON(document));
+            case 'csv': {
+                const tables = document.extractedTables || [];
+                if (tables.length === 0) {
+                    return res.status(404).json({
+                        error: 'No tables found',
+                        message: 'The document has no extracted tables to export as CSV',
+                        code: 'NO_TABLES_FOUND'
+                    });
+                }
+                if (tables.length === 1) {
+                    res.attachment(`${baseName}.csv`);
+                    return res.status(200).type('text/csv; charset=utf-8').send(tableToCSV(tables[0]));
+                }
+                res.attachment(`${baseName}-tables.zip`);
+                return res.status(200).type('application/zip').send(await tablesToCSVArchive(tables));
+            }
+            case 'markdown':
+            case 'md':
+                res.attachment(`${baseName}.md`);
+                return res.status(200).type('text/markdown; charset=utf-8').send(toMarkdown(document));
+            case 'xlsx':
+                res.attachment(`${baseName}.xlsx`);
+                return res.status(200).send(toXLSX(document));
+        }
+    } catch (error) {
+        console.error('Export document error:', error);
+        res.status(500).json({
+            error: 'Failed to export document',
+            message: 'An internal server error occurred while exporting the document',
+            code: 'EXPORT_DOCUMENT_ERROR'
+        });
+    }
+};
+
+/**
+ * Download the original uploaded file, streamed from file storage
+ */
+const getDocumentFile = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant })
+            .select('originalName mimeType storageKey originalPurgedAt');
+
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        if (document.originalPurgedAt) {
+            return res.status(410).json({
+                error: 'Original file purged',
+                message: 'The original file was removed by a retention rule',
+                code: 'ORIGINAL_PURGED'
+            });
+        }
+
+        const storage = getStorage();
+        const stored = await storage.stat(document.storageKey);
+        if (!stored) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: 'The original file is missing from storage',
+                code: 'FILE_NOT_FOUND'
+            });
+        }
+
+        const stream = await storage.get(document.storageKey);
+        res.attachment(document.originalName);
+        res.status(200).set({
+            'Content-Type': document.mimeType || stored.contentType || 'application/octet-stream',
+            'Content-Length': stored.size
+        });
+
+        pipeline(stream, res, error => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('File download error:', error);
+            }
+        });
+    } catch (error) {
+        console.error('Get document file error:', error);
+        res.status(500).json({
+            error: 'Failed to download file',
+            message: 'An internal server error occurred while downloading the file',
+            code: 'DOWNLOAD_FILE_ERROR'
+        });
+    }
+};
+
+/**
+ * Compare the extracted content of two documents (e.g. two versions of a
+ * term sheet): text by paragraph and word, tables by cell. `format=html`
+ * returns only the HTML rendering.
+ */
+const compareDocuments = async (req, res) => {
+    try {
+        const ids = [req.params.a, req.params.b];
+        if (ids.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document IDs must be valid MongoDB ObjectIds',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!['json', 'html'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid comparison format',
+                message: `Format '${format}' is not supported. Allowed formats: json, html`,
+                code: 'INVALID_COMPARE_FORMAT'
+            });
+        }
+
+        const documents = await Promise.all(ids.map(id => Document.findOne({ _id: id, tenant: req.tenant })
+            .select('originalName fileType processingStatus extractedText extractedTables contentPurgedAt createdAt')));
+
+        const missing = ids.filter((id, index) => !documents[index]);
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: `No document found with ID ${missing.join(', ')}`,
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const unprocessed = documents.find(document => document.processingStatus !== 'completed');
+        if (unprocessed) {
+            return res.status(409).json({
+                error: 'Document not processed',
+                message: `Document ${unprocessed._id} is ${unprocessed.processingStatus}; only completed documents can be compared`,
+                code: 'DOCUMENT_NOT_PROCESSED'
+            });
+        }
+
+        const purged = documents.find(document => document.contentPurgedAt);
+        if (purged) {
+            return res.status(410).json({
+                error: 'Content purged',
+                message: `The extracted content of document ${purged._id} was removed by a retention rule`,
+                code: 'CONTENT_PURGED'
+            });
+        }
+
+        const [documentA, documentB] = documents;
+        const comparison = diffDocuments(documentA, documentB);
+
+        if (format === 'html') {
+            return res.status(200).type('text/html; charset=utf-8').send(comparison.html);
+        }
+
+        const describe = document => ({
+            id: document._id,
+            fileName: document.originalName,
+            fileType: document.fileType,
+            uploadedAt: document.createdAt
+        });
+
+        res.status(200).json({
+            documents: { a: describe(documentA), b: describe(documentB) },
+            summary: comparison.summary,
+            changes: comparison.changes,
+            html: comparison.html
+        });
+    } catch (error) {
+        console.error('Compare documents error:', error);
+        res.status(500).json({
+            error: 'Failed to compare documents',
+            message: 'An internal server error occurred while comparing the documents',
+            code: 'COMPARE_DOCUMENTS_ERROR'
+        });
+    }
+};
+
+/**
+ * Move a document to the trash. It can be restored until the retention sweeper
+ * purges it TRASH_RETENTION_DAYS later.
+ */
+const deleteDocument = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOneAndUpdate(
+            { _id: req.params.id, tenant: req.tenant },
+            { deletedAt: new Date() },
+            { new: true }
+        );
+
+        if (!document) {
+            return res.status(404).json({ 
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({ 
+            message: 'Document moved to the trash',
+            deletedDocument: {
+                id: document._id,
+                fileName: document.originalName,
+                fileType: document.fileType,
+                deletedAt: document.deletedAt,
+                purgeAfter: getTrashPurgeDate(document.deletedAt)
+            }
+        });
+    } catch (error) {
+        console.error('Delete document error:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete document',
+            message: 'An internal server error occurred while deleting the document',
+            code: 'DELETE_DOCUMENT_ERROR'
+        });
+    }
+};
+
+/**
+ * Take a document back out of the trash. Processing interrupted by the delete
+ * is queued again.
+ */
+const restoreDocument = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant })
+            .setOptions({ withDeleted: true });
+
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        if (!document.deletedAt) {
+            return res.status(409).json({
+                error: 'Document not deleted',
+                message: 'The document is not in the trash',
+                code: 'DOCUMENT_NOT_DELETED'
+            });
+        }
+
+        document.deletedAt = null;
+        await document.save();
+
+        const interrupted = ['pending', 'processing'].includes(document.processingStatus)
+            && !(await getActiveJob(document._id));
+        if (interrupted) {
+            await Document.findByIdAndUpdate(document._id, { processingStatus: 'pending', errorMessage: null });
+            createProgressTracker(document._id.toString()).setStatus('pending', 'Queued after restore');
+            await enqueueDocument(document._id);
+        }
+
+        res.status(200).json({
+            message: interrupted ? 'Document restored and queued for processing' : 'Document restored',
+            document: {
+                id: document._id,
+                fileName: document.originalName,
+                fileType: document.fileType,
+                status: interrupted ? 'pending' : document.processingStatus
+            }
+        });
+    } catch (error) {
+        console.error('Restore document error:', error);
+        res.status(500).json({
+            error: 'Failed to restore document',
+            message: 'An internal server error occurred while restoring the document',
+            code: 'RESTORE_DOCUMENT_ERROR'
+        });
+    }
+};
+
+/**
+ * Get document processing progress
+ */
+const getDocumentProgress = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const documentId = req.params.id;
+
+        // Progress is only reported to the tenant that owns the document
+        const document = await Document.findOne({ _id: documentId, tenant: req.tenant }).select('processingStatus');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const progressTracker = getProgressTracker(documentId);
+        
+        if (!progressTracker) {
+            // Return database status if no active progress tracker
+            return res.status(200).json({
+                documentId,
+                status: document.processingStatus,
+                progress: document.processingStatus === 'completed' ? 100 : 0,
+                step: document.processingStatus,
+                elapsed: 0
+            });
+        }
+
+        res.status(200).json({
             documentId,
             status: progressTracker.status,
             progress: progressTracker.progress,
@@ -348,10 +1191,255 @@ const getDocumentProgress = async (req, res) => {
     }
 };
 
+/**
+ * Queue an existing document for processing again
+ */
+const reprocessDocument = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant });
+
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        if (document.originalPurgedAt) {
+            return res.status(410).json({
+                error: 'Original file purged',
+                message: 'The original file was removed by a retention rule, so the document cannot be processed again',
+                code: 'ORIGINAL_PURGED'
+            });
+        }
+
+        if (await getActiveJob(document._id)) {
+            return res.status(409).json({
+                error: 'Document already queued',
+                message: 'This document is already queued or being processed',
+                code: 'DOCUMENT_ALREADY_QUEUED'
+            });
+        }
+
+        document.processingStatus = 'pending';
+        document.errorMessage = null;
+        await document.save();
+
+        const progressTracker = createProgressTracker(document._id.toString());
+        progressTracker.setStatus('pending', 'Queued for reprocessing');
+
+        await enqueueDocument(document._id);
+
+        res.status(202).json({
+            message: 'Document queued for reprocessing',
+            document: {
+                id: document._id,
+                fileName: document.originalName,
+                fileType: document.fileType,
+                status: document.processingStatus
+            }
+        });
+    } catch (error) {
+        console.error('Reprocess document error:', error);
+        res.status(500).json({
+            error: 'Failed to reprocess document',
+            message: 'An internal server error occurred while queueing the document',
+            code: 'REPROCESS_DOCUMENT_ERROR'
+        });
+    }
+};
+
+/**
+ * Rebuild a document's chunks in the semantic index from its stored content,
+ * e.g. after switching to another embedder
+ */
+const reindexDocument = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant });
+
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        if (document.contentPurgedAt) {
+            return res.status(410).json({
+                error: 'Content purged',
+                message: 'The extracted content was removed by a retention rule',
+                code: 'CONTENT_PURGED'
+            });
+        }
+
+        // Processing indexes the document itself when it finishes
+        if (document.processingStatus !== 'completed' || await getActiveJob(document._id)) {
+            return res.status(409).json({
+                error: 'Document not processed',
+                message: `The document is ${document.processingStatus}; only completed documents can be indexed`,
+                code: 'DOCUMENT_NOT_PROCESSED'
+            });
+        }
+
+        const searchIndex = await indexStoredContent(document);
+
+        res.status(searchIndex.status === 'indexed' ? 200 : 502).json({
+            message: searchIndex.status === 'indexed' ? 'Document indexed' : 'Indexing failed',
+            document: {
+                id: document._id,
+                fileName: document.originalName,
+                fileType: document.fileType
+            },
+            searchIndex
+        });
+    } catch (error) {
+        console.error('Reindex document error:', error);
+        res.status(500).json({
+            error: 'Failed to index document',
+            message: 'An internal server error occurred while indexing the document',
+            code: 'REINDEX_DOCUMENT_ERROR'
+        });
+    }
+};
+
+/**
+ * Write a single Server-Sent Event to the response
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream document processing progress as Server-Sent Events
+ */
+const streamDocumentEvents = async (req, res) => {
+    try {
+        // Validate ObjectId format
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const documentId = req.params.id;
+        const document = await Document.findOne({ _id: documentId, tenant: req.tenant })
+            .select('processingStatus errorMessage');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const progressTracker = getProgressTracker(documentId);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // Ask the browser to wait before reconnecting when there is nothing live to follow
+        res.write('retry: 5000\n\n');
+
+        if (!progressTracker) {
+            // No active tracker: replay the stored status once and close
+            sendEvent(res, 'status', {
+                documentId,
+                status: document.processingStatus,
+                progress: document.processingStatus === 'completed' ? 100 : 0,
+                step: document.processingStatus,
+                error: document.errorMessage,
+                elapsed: 0
+            });
+            return res.end();
+        }
+
+        // Replay the latest state on connect
+        sendEvent(res, 'status', progressTracker.getState());
+        if (progressTracker.isFinished()) {
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => {
+            res.write(': keep-alive\n\n');
+        }, 15000);
+
+        const onProgress = data => sendEvent(res, 'progress', data);
+        const onStatus = data => {
+            sendEvent(res, 'status', data);
+            if (progressTracker.isFinished()) {
+                cleanup();
+                res.end();
+            }
+        };
+        // Failure details are carried on the terminal status event
+        const onError = () => {};
+
+        function cleanup() {
+            clearInterval(heartbeat);
+            progressTracker.off('progress', onProgress);
+            progressTracker.off('status', onStatus);
+            progressTracker.off('error', onError);
+        }
+
+        progressTracker.on('progress', onProgress);
+        progressTracker.on('status', onStatus);
+        progressTracker.on('error', onError);
+        req.on('close', cleanup);
+    } catch (error) {
+        console.error('Stream events error:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            error: 'Failed to stream events',
+            message: 'An internal server error occurred while streaming progress events',
+            code: 'STREAM_EVENTS_ERROR'
+        });
+    }
+};
+
 module.exports = {
     uploadDocument,
+    uploadDocumentVersion,
+    getDocumentVersions,
     getAllDocuments,
+    getDuplicateDocuments,
     getDocumentById,
+    getDocumentPage,
+    exportDocument,
+    getDocumentFile,
+    compareDocuments,
     deleteDocument,
-    getDocumentProgress
+    restoreDocument,
+    getDocumentProgress,
+    streamDocumentEvents,
+    reprocessDocument,
+    reindexDocument,
+    runDocumentJob
 };
@@ -0,0 +1,32 @@
+const { describeFormats } = require('../utils/parserRegistry');
+const { getAvailableLanguages, DEFAULT_LANGUAGES } = require('../utils/ocrParser');
+
+/**
+ * List the file formats the server can parse and what it extracts from each,
+ * plus the languages OCR can read
+ */
+const getFormats = async (req, res) => {
+    try {
+        const formats = describeFormats();
+
+        res.status(200).json({
+            count: formats.length,
+            formats,
+            ocr: {
+                languages: getAvailableLanguages(),
+                defaultLanguages: DEFAULT_LANGUAGES
+            }
+        });
+    } catch (error) {
+        console.error('Get formats error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch formats',
+            message: 'An internal server error occurred while fetching supported formats',
+            code: 'FETCH_FORMATS_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getFormats
+};
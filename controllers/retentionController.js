@@ -0,0 +1,283 @@
+const RetentionRule = require('../models/RetentionRule');
+const PurgeLog = require('../models/PurgeLog');
+const { RETENTION_ACTIONS } = require('../models/RetentionRule');
+const { getSupportedExtensions } = require('../utils/parserRegistry');
+const { runRetentionSweep } = require('../utils/retention');
+
+const PURGE_REASONS = ['retention', 'trash'];
+
+/**
+ * Check the number of days a rule waits before purging
+ */
+function isValidAfterDays(afterDays) {
+    return Number.isInteger(afterDays) && afterDays >= 0;
+}
+
+/**
+ * Add a retention rule for the tenant: { action, afterDays, fileType? }
+ */
+const createRetentionRule = async (req, res) => {
+    try {
+        const { action, afterDays } = req.body || {};
+        const fileType = req.body && req.body.fileType
+            ? String(req.body.fileType).toLowerCase().replace(/^\./, '')
+            : null;
+
+        if (!RETENTION_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                error: 'Invalid retention action',
+                message: `action must be one of: ${RETENTION_ACTIONS.join(', ')}`,
+                code: 'INVALID_RETENTION_ACTION'
+            });
+        }
+
+        if (!isValidAfterDays(afterDays)) {
+            return res.status(400).json({
+                error: 'Invalid retention period',
+                message: 'afterDays must be a whole number of days, 0 or more',
+                code: 'INVALID_RETENTION_PERIOD'
+            });
+        }
+
+        if (fileType && !getSupportedExtensions().includes(fileType)) {
+            return res.status(400).json({
+                error: 'Invalid file type',
+                message: `File type '${fileType}' is not supported. Allowed types: ${getSupportedExtensions().join(', ')}`,
+                code: 'INVALID_FILE_TYPE'
+            });
+        }
+
+        if (await RetentionRule.exists({ tenant: req.tenant, fileType, action })) {
+            return res.status(409).json({
+                error: 'Retention rule already exists',
+                message: `There is already a ${action} rule for ${fileType ? `${fileType} files` : 'all file types'}`,
+                code: 'RETENTION_RULE_EXISTS'
+            });
+        }
+
+        const rule = await RetentionRule.create({ tenant: req.tenant, fileType, action, afterDays });
+
+        res.status(201).json({
+            message: 'Retention rule created successfully',
+            rule
+        });
+    } catch (error) {
+        console.error('Create retention rule error:', error);
+        res.status(500).json({
+            error: 'Failed to create retention rule',
+            message: 'An internal server error occurred while creating the retention rule',
+            code: 'CREATE_RETENTION_RULE_ERROR'
+        });
+    }
+};
+
+/**
+ * List the tenant's retention rules
+ */
+const getRetentionRules = async (req, res) => {
+    try {
+        const rules = await RetentionRule.find({ tenant: req.tenant }).sort({ action: 1, fileType: 1 });
+
+        res.status(200).json({
+            count: rules.length,
+            rules
+        });
+    } catch (error) {
+        console.error('Get retention rules error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch retention rules',
+            message: 'An internal server error occurred while fetching retention rules',
+            code: 'FETCH_RETENTION_RULES_ERROR'
+        });
+    }
+};
+
+/**
+ * Change how long a retention rule waits: { afterDays }
+ */
+const updateRetentionRule = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid retention rule ID',
+                message: 'Retention rule ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_RETENTION_RULE_ID'
+            });
+        }
+
+        const { afterDays } = req.body || {};
+        if (!isValidAfterDays(afterDays)) {
+            return res.status(400).json({
+                error: 'Invalid retention period',
+                message: 'afterDays must be a whole number of days, 0 or more',
+                code: 'INVALID_RETENTION_PERIOD'
+            });
+        }
+
+        const rule = await RetentionRule.findOneAndUpdate(
+            { _id: req.params.id, tenant: req.tenant },
+            { afterDays },
+            { new: true }
+        );
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Retention rule not found',
+                message: 'No retention rule found with the provided ID',
+                code: 'RETENTION_RULE_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Retention rule updated successfully',
+            rule
+        });
+    } catch (error) {
+        console.error('Update retention rule error:', error);
+        res.status(500).json({
+            error: 'Failed to update retention rule',
+            message: 'An internal server error occurred while updating the retention rule',
+            code: 'UPDATE_RETENTION_RULE_ERROR'
+        });
+    }
+};
+
+/**
+ * Remove a retention rule; documents it already purged stay purged
+ */
+const deleteRetentionRule = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid retention rule ID',
+                message: 'Retention rule ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_RETENTION_RULE_ID'
+            });
+        }
+
+        const rule = await RetentionRule.findOneAndDelete({ _id: req.params.id, tenant: req.tenant });
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Retention rule not found',
+                message: 'No retention rule found with the provided ID',
+                code: 'RETENTION_RULE_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Retention rule deleted successfully',
+            rule
+        });
+    } catch (error) {
+        console.error('Delete retention rule error:', error);
+        res.status(500).json({
+            error: 'Failed to delete retention rule',
+            message: 'An internal server error occurred while deleting the retention rule',
+            code: 'DELETE_RETENTION_RULE_ERROR'
+        });
+    }
+};
+
+/**
+ * What the retention sweeper removed, newest first. Filters: document, action, reason.
+ */
+const getPurgeLog = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { tenant: req.tenant };
+
+        if (req.query.document) {
+            if (!String(req.query.document).match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    error: 'Invalid document ID',
+                    message: 'Document ID must be a valid MongoDB ObjectId',
+                    code: 'INVALID_DOCUMENT_ID'
+                });
+            }
+            filter.document = req.query.document;
+        }
+
+        if (req.query.action) {
+            if (!RETENTION_ACTIONS.includes(req.query.action)) {
+                return res.status(400).json({
+                    error: 'Invalid retention action',
+                    message: `action must be one of: ${RETENTION_ACTIONS.join(', ')}`,
+                    code: 'INVALID_RETENTION_ACTION'
+                });
+            }
+            filter.action = req.query.action;
+        }
+
+        if (req.query.reason) {
+            if (!PURGE_REASONS.includes(req.query.reason)) {
+                return res.status(400).json({
+                    error: 'Invalid purge reason',
+                    message: `reason must be one of: ${PURGE_REASONS.join(', ')}`,
+                    code: 'INVALID_PURGE_REASON'
+                });
+            }
+            filter.reason = req.query.reason;
+        }
+
+        const entries = await PurgeLog.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await PurgeLog.countDocuments(filter);
+
+        res.status(200).json({
+            count: entries.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            entries
+        });
+    } catch (error) {
+        console.error('Get purge log error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch purge log',
+            message: 'An internal server error occurred while fetching the purge log',
+            code: 'FETCH_PURGE_LOG_ERROR'
+        });
+    }
+};
+
+/**
+ * Apply the retention rules of every tenant now instead of waiting for the next sweep
+ */
+const sweepRetentionNow = async (req, res) => {
+    try {
+        const summary = await runRetentionSweep();
+        if (!summary) {
+            return res.status(409).json({
+                error: 'Sweep already running',
+                message: 'A retention sweep is already running; try again when it has finished',
+                code: 'SWEEP_IN_PROGRESS'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Retention sweep finished',
+            summary
+        });
+    } catch (error) {
+        console.error('Retention sweep error:', error);
+        res.status(500).json({
+            error: 'Failed to run retention sweep',
+            message: 'An internal server error occurred while applying retention rules',
+            code: 'RETENTION_SWEEP_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    createRetentionRule,
+    getRetentionRules,
+    updateRetentionRule,
+    deleteRetentionRule,
+    getPurgeLog,
+    sweepRetentionNow
+};
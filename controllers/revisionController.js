@@ -0,0 +1,185 @@
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const { getActiveJob } = require('../utils/jobQueue');
+const { applyRevision } = require('../utils/revisionStore');
+const { indexDocument } = require('../utils/semanticIndex');
+
+/**
+ * List a document's extraction runs, newest first, without their output
+ */
+const getRevisions = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant }).select('currentRevision');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const revisions = await Revision.find({ document: document._id })
+            .select('revision parser options createdAt output.metadata.pageCount output.metadata.extractionConfidence')
+            .sort({ revision: -1 })
+            .lean();
+
+        res.status(200).json({
+            documentId: document._id,
+            currentRevision: document.currentRevision,
+            count: revisions.length,
+            revisions: revisions.map(revision => ({
+                revision: revision.revision,
+                current: revision.revision === document.currentRevision,
+                parser: revision.parser,
+                options: revision.options,
+                pageCount: revision.output && revision.output.metadata ? revision.output.metadata.pageCount : null,
+                extractionConfidence: revision.output && revision.output.metadata ? revision.output.metadata.extractionConfidence : null,
+                createdAt: revision.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch revisions',
+            message: 'An internal server error occurred while fetching revisions',
+            code: 'FETCH_REVISIONS_ERROR'
+        });
+    }
+};
+
+/**
+ * Get one extraction run with its full output
+ */
+const getRevision = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const revisionNumber = Number(req.params.revision);
+        if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+            return res.status(400).json({
+                error: 'Invalid revision number',
+                message: 'Revision must be a positive integer',
+                code: 'INVALID_REVISION_NUMBER'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant }).select('_id');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        const revision = await Revision.findOne({ document: document._id, revision: revisionNumber }).lean();
+        if (!revision) {
+            return res.status(404).json({
+                error: 'Revision not found',
+                message: `Document has no revision ${revisionNumber}`,
+                code: 'REVISION_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json(revision);
+    } catch (error) {
+        console.error('Get revision error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch revision',
+            message: 'An internal server error occurred while fetching the revision',
+            code: 'FETCH_REVISION_ERROR'
+        });
+    }
+};
+
+/**
+ * Make an earlier extraction run the document's current content again.
+ * The revision itself is left as it is.
+ */
+const restoreRevision = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'Document ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const revisionNumber = Number(req.params.revision);
+        if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+            return res.status(400).json({
+                error: 'Invalid revision number',
+                message: 'Revision must be a positive integer',
+                code: 'INVALID_REVISION_NUMBER'
+            });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, tenant: req.tenant }).select('_id');
+        if (!document) {
+            return res.status(404).json({
+                error: 'Document not found',
+                message: 'No document found with the provided ID',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+
+        // A run finishing afterwards would overwrite the restored content
+        if (await getActiveJob(document._id)) {
+            return res.status(409).json({
+                error: 'Document already queued',
+                message: 'This document is queued or being processed; restore it once processing finishes',
+                code: 'DOCUMENT_ALREADY_QUEUED'
+            });
+        }
+
+        const revision = await Revision.findOne({ document: document._id, revision: revisionNumber }).lean();
+        if (!revision) {
+            return res.status(404).json({
+                error: 'Revision not found',
+                message: `Document has no revision ${revisionNumber}`,
+                code: 'REVISION_NOT_FOUND'
+            });
+        }
+
+        const restored = await applyRevision(document._id, revision);
+        await indexDocument(restored, revision.output || {});
+
+        res.status(200).json({
+            message: `Revision ${revisionNumber} restored`,
+            document: {
+                id: restored._id,
+                fileName: restored.originalName,
+                status: restored.processingStatus,
+                currentRevision: restored.currentRevision
+            }
+        });
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        res.status(500).json({
+            error: 'Failed to restore revision',
+            message: 'An internal server error occurred while restoring the revision',
+            code: 'RESTORE_REVISION_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getRevisions,
+    getRevision,
+    restoreRevision
+};
@@ -0,0 +1,163 @@
+const Document = require('../models/Document');
+const { parseSearchTerms, buildSnippets } = require('../utils/textSearch');
+const { queryIndex } = require('../utils/semanticIndex');
+const { createRedactor, redactText } = require('../utils/piiDetector');
+
+const MAX_TOP_K = 50;
+
+/**
+ * Search extracted text and table contents
+ */
+const searchDocuments = async (req, res) => {
+    try {
+        const query = (req.query.q || '').trim();
+
+        if (!query) {
+            return res.status(400).json({
+                error: 'Missing search query',
+                message: 'Please provide a search query using the q parameter',
+                code: 'MISSING_SEARCH_QUERY'
+            });
+        }
+
+        // Same pagination support as the document list
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = { tenant: req.tenant, $text: { $search: query } };
+        if (req.query.fileType) {
+            filter.fileType = req.query.fileType;
+        }
+        if (req.query.status) {
+            filter.processingStatus = req.query.status;
+        }
+
+        const documents = await Document.find(filter, { score: { $meta: 'textScore' } })
+            .select('originalName fileType fileSize processingStatus metadata createdAt extractedText extractedTables')
+            .sort({ score: { $meta: 'textScore' } })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        const total = await Document.countDocuments(filter);
+        const terms = parseSearchTerms(query);
+
+        const results = documents.map(document => ({
+            id: document._id,
+            originalName: document.originalName,
+            fileType: document.fileType,
+            fileSize: document.fileSize,
+            processingStatus: document.processingStatus,
+            pageCount: document.metadata.pageCount,
+            createdAt: document.createdAt,
+            score: document.score,
+            highlights: buildSnippets(document, terms)
+        }));
+
+        res.status(200).json({
+            query,
+            count: results.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            results
+        });
+    } catch (error) {
+        console.error('Search documents error:', error);
+        res.status(500).json({
+            error: 'Failed to search documents',
+            message: 'An internal server error occurred while searching documents',
+            code: 'SEARCH_DOCUMENTS_ERROR'
+        });
+    }
+};
+
+/**
+ * Semantic retrieval: the chunks of the tenant's documents closest to a query.
+ * Body: { query, topK, minScore, documentIds, fileType, redact }
+ */
+const queryDocuments = async (req, res) => {
+    try {
+        const { query, topK = 5, minScore = null, documentIds = null, fileType = null, redact = false } = req.body || {};
+
+        if (typeof query !== 'string' || !query.trim()) {
+            return res.status(400).json({
+                error: 'Missing search query',
+                message: 'Please provide the text to search for as query',
+                code: 'MISSING_SEARCH_QUERY'
+            });
+        }
+
+        if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+            return res.status(400).json({
+                error: 'Invalid topK',
+                message: `topK must be a whole number from 1 to ${MAX_TOP_K}`,
+                code: 'INVALID_TOP_K'
+            });
+        }
+
+        if (minScore !== null && (typeof minScore !== 'number' || minScore < -1 || minScore > 1)) {
+            return res.status(400).json({
+                error: 'Invalid minScore',
+                message: 'minScore must be a number from -1 to 1',
+                code: 'INVALID_MIN_SCORE'
+            });
+        }
+
+        if (documentIds !== null && (!Array.isArray(documentIds) || documentIds.some(id => !String(id).match(/^[0-9a-fA-F]{24}$/)))) {
+            return res.status(400).json({
+                error: 'Invalid document ID',
+                message: 'documentIds must be a list of valid MongoDB ObjectIds',
+                code: 'INVALID_DOCUMENT_ID'
+            });
+        }
+
+        const { embedder, results } = await queryIndex(req.tenant, query.trim(), { topK, minScore, documentIds, fileType });
+
+        // Redaction needs each document's content and findings to know what to mask
+        const documents = await Document.find({ _id: { $in: results.map(result => result.chunk.document) }, tenant: req.tenant })
+            .select(redact === true ? 'originalName fileType extractedText extractedTables pii.findings' : 'originalName fileType')
+            .lean();
+        const byId = new Map(documents.map(document => [String(document._id), {
+            ...document,
+            redact: redact === true
+                ? createRedactor({ text: document.extractedText, tables: document.extractedTables }, document.pii && document.pii.findings)
+                : null
+        }]));
+
+        res.status(200).json({
+            query: query.trim(),
+            embedder,
+            count: results.length,
+            results: results.map(({ chunk, score }) => {
+                const document = byId.get(String(chunk.document)) || {};
+                const mask = redact === true ? (document.redact || redactText) : text => text;
+                return {
+                    documentId: chunk.document,
+                    fileName: document.originalName,
+                    fileType: document.fileType,
+                    pageNumber: chunk.pageNumber,
+                    chunkIndex: chunk.chunkIndex,
+                    type: chunk.type,
+                    tableIndex: chunk.tableIndex,
+                    headings: chunk.headings.map(mask),
+                    text: mask(chunk.text),
+                    score: Math.round(score * 10000) / 10000
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Query documents error:', error);
+        res.status(500).json({
+            error: 'Failed to query documents',
+            message: 'An internal server error occurred while querying the document index',
+            code: 'QUERY_DOCUMENTS_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    searchDocuments,
+    queryDocuments
+};
@@ -0,0 +1,321 @@
+const ExtractionTemplate = require('../models/ExtractionTemplate');
+const Document = require('../models/Document');
+const Page = require('../models/Page');
+const { BUILT_IN_TEMPLATES, validateTemplate, applyTemplate, loadTemplates, extractFields } = require('../utils/fieldExtractor');
+
+// Longest pasted text POST /templates/test will run templates over
+const MAX_TEST_TEXT_LENGTH = parseInt(process.env.TEMPLATE_TEST_MAX_TEXT) || 200000;
+
+const isBuiltInName = name => BUILT_IN_TEMPLATES.some(template => template.name === name);
+
+/**
+ * Fields a client may set on a stored template
+ */
+function templateFields(body) {
+    return {
+        name: typeof body.name === 'string' ? body.name.trim() : body.name,
+        description: body.description || '',
+        match: body.match || {},
+        fields: body.fields,
+        enabled: body.enabled !== false
+    };
+}
+
+/**
+ * List built-in and stored extraction templates
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const stored = await ExtractionTemplate.find({ tenant: req.tenant }).sort({ name: 1 }).lean();
+
+        const templates = [
+            ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true, enabled: true })),
+            ...stored.map(template => ({ ...template, builtIn: false }))
+        ];
+
+        res.status(200).json({
+            count: templates.length,
+            templates
+        });
+    } catch (error) {
+        console.error('Get templates error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch templates',
+            message: 'An internal server error occurred while fetching templates',
+            code: 'FETCH_TEMPLATES_ERROR'
+        });
+    }
+};
+
+/**
+ * Get a stored template by ID
+ */
+const getTemplateById = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid template ID',
+                message: 'Template ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_TEMPLATE_ID'
+            });
+        }
+
+        const template = await ExtractionTemplate.findOne({ _id: req.params.id, tenant: req.tenant });
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found',
+                message: 'No template found with the provided ID',
+                code: 'TEMPLATE_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json(template);
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch template',
+            message: 'An internal server error occurred while fetching the template',
+            code: 'FETCH_TEMPLATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Define a new extraction template
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const fields = templateFields(req.body || {});
+        const validationError = validateTemplate(fields);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid template',
+                message: validationError,
+                code: 'INVALID_TEMPLATE'
+            });
+        }
+
+        if (isBuiltInName(fields.name) || await ExtractionTemplate.exists({ tenant: req.tenant, name: fields.name })) {
+            return res.status(409).json({
+                error: 'Template already exists',
+                message: `A template named '${fields.name}' already exists`,
+                code: 'TEMPLATE_EXISTS'
+            });
+        }
+
+        const template = await ExtractionTemplate.create({ ...fields, tenant: req.tenant });
+
+        res.status(201).json({
+            message: 'Template created successfully',
+            template
+        });
+    } catch (error) {
+        console.error('Create template error:', error);
+        res.status(500).json({
+            error: 'Failed to create template',
+            message: 'An internal server error occurred while creating the template',
+            code: 'CREATE_TEMPLATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Replace a stored template's definition
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid template ID',
+                message: 'Template ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_TEMPLATE_ID'
+            });
+        }
+
+        const fields = templateFields(req.body || {});
+        const validationError = validateTemplate(fields);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid template',
+                message: validationError,
+                code: 'INVALID_TEMPLATE'
+            });
+        }
+
+        const clash = isBuiltInName(fields.name)
+            || await ExtractionTemplate.exists({ tenant: req.tenant, name: fields.name, _id: { $ne: req.params.id } });
+        if (clash) {
+            return res.status(409).json({
+                error: 'Template already exists',
+                message: `A template named '${fields.name}' already exists`,
+                code: 'TEMPLATE_EXISTS'
+            });
+        }
+
+        const template = await ExtractionTemplate.findOneAndUpdate(
+            { _id: req.params.id, tenant: req.tenant },
+            fields,
+            { new: true, runValidators: true }
+        );
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found',
+                message: 'No template found with the provided ID',
+                code: 'TEMPLATE_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Template updated successfully',
+            template
+        });
+    } catch (error) {
+        console.error('Update template error:', error);
+        res.status(500).json({
+            error: 'Failed to update template',
+            message: 'An internal server error occurred while updating the template',
+            code: 'UPDATE_TEMPLATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Delete a stored template
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid template ID',
+                message: 'Template ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_TEMPLATE_ID'
+            });
+        }
+
+        const template = await ExtractionTemplate.findOneAndDelete({ _id: req.params.id, tenant: req.tenant });
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found',
+                message: 'No template found with the provided ID',
+                code: 'TEMPLATE_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({
+            error: 'Failed to delete template',
+            message: 'An internal server error occurred while deleting the template',
+            code: 'DELETE_TEMPLATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Try a template without saving anything. The template is given inline
+ * (`template`) or by `name`; without either, the one processing would pick
+ * is used. The content is an existing document (`documentId`) or raw `text`
+ * (with optional `tables`).
+ */
+const testTemplate = async (req, res) => {
+    try {
+        const body = req.body || {};
+        let extracted;
+        let fileType = body.fileType || null;
+
+        if (body.documentId) {
+            if (!String(body.documentId).match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    error: 'Invalid document ID',
+                    message: 'Document ID must be a valid MongoDB ObjectId',
+                    code: 'INVALID_DOCUMENT_ID'
+                });
+            }
+
+            const document = await Document.findOne({ _id: body.documentId, tenant: req.tenant })
+                .select('fileType extractedText extractedTables processingStatus');
+            if (!document) {
+                return res.status(404).json({
+                    error: 'Document not found',
+                    message: 'No document found with the provided ID',
+                    code: 'DOCUMENT_NOT_FOUND'
+                });
+            }
+            if (document.processingStatus !== 'completed') {
+                return res.status(409).json({
+                    error: 'Document not ready',
+                    message: 'The document has not finished processing',
+                    code: 'DOCUMENT_NOT_READY'
+                });
+            }
+
+            const pages = await Page.find({ document: document._id }).select('pageNumber text').sort({ pageNumber: 1 }).lean();
+            extracted = { text: document.extractedText, tables: document.extractedTables, pages };
+            fileType = document.fileType;
+        } else if (typeof body.text === 'string') {
+            if (body.text.length > MAX_TEST_TEXT_LENGTH) {
+                return res.status(413).json({
+                    error: 'Test text too long',
+                    message: `Test text is limited to ${MAX_TEST_TEXT_LENGTH} characters`,
+                    code: 'TEST_TEXT_TOO_LONG'
+                });
+            }
+            extracted = { text: body.text, tables: Array.isArray(body.tables) ? body.tables : [], pages: [] };
+        } else {
+            return res.status(400).json({
+                error: 'Missing test content',
+                message: 'Provide a documentId or text to test against',
+                code: 'MISSING_TEST_CONTENT'
+            });
+        }
+
+        let template = null;
+        if (body.template) {
+            const validationError = validateTemplate(body.template);
+            if (validationError) {
+                return res.status(400).json({
+                    error: 'Invalid template',
+                    message: validationError,
+                    code: 'INVALID_TEMPLATE'
+                });
+            }
+            template = body.template;
+        } else if (body.name) {
+            template = (await loadTemplates(req.tenant)).find(candidate => candidate.name === body.name);
+            if (!template) {
+                return res.status(404).json({
+                    error: 'Template not found',
+                    message: `No enabled template named '${body.name}'`,
+                    code: 'TEMPLATE_NOT_FOUND'
+                });
+            }
+        }
+
+        const result = template
+            ? applyTemplate(template, extracted, fileType)
+            : await extractFields(extracted, fileType, await loadTemplates(req.tenant));
+
+        res.status(200).json(result
+            ? { result }
+            : { result: null, message: 'No template matched the content' });
+    } catch (error) {
+        console.error('Test template error:', error);
+        res.status(500).json({
+            error: 'Failed to test template',
+            message: 'An internal server error occurred while testing the template',
+            code: 'TEST_TEMPLATE_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    testTemplate
+};
@@ -0,0 +1,258 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { isValidWebhookUrl, generateWebhookSecret, queueDelivery } = require('../utils/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * What a client sees of a webhook; the secret is never included
+ */
+function webhookSummary(webhook) {
+    return {
+        id: webhook._id,
+        url: webhook.url,
+        events: webhook.events,
+        document: webhook.document,
+        createdAt: webhook.createdAt
+    };
+}
+
+/**
+ * Register a webhook for every document of the tenant. The signing secret is
+ * only ever returned here.
+ */
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events = WEBHOOK_EVENTS, secret } = req.body || {};
+
+        if (!isValidWebhookUrl(url)) {
+            return res.status(400).json({
+                error: 'Invalid webhook URL',
+                message: 'url must be an absolute http or https URL on a public host',
+                code: 'INVALID_WEBHOOK_URL'
+            });
+        }
+
+        const unknownEvents = Array.isArray(events) ? events.filter(event => !WEBHOOK_EVENTS.includes(event)) : [events];
+        if (unknownEvents.length > 0 || events.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid webhook events',
+                message: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`,
+                code: 'INVALID_WEBHOOK_EVENTS'
+            });
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({
+                error: 'Invalid webhook secret',
+                message: 'secret must be at least 16 characters',
+                code: 'INVALID_WEBHOOK_SECRET'
+            });
+        }
+
+        const signingSecret = secret || generateWebhookSecret();
+        const webhook = await Webhook.create({
+            tenant: req.tenant,
+            url,
+            secret: signingSecret,
+            events: [...new Set(events)]
+        });
+
+        res.status(201).json({
+            message: 'Webhook registered; store the secret now, it cannot be shown again',
+            secret: signingSecret,
+            webhook: webhookSummary(webhook)
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to register webhook',
+            message: 'An internal server error occurred while registering the webhook',
+            code: 'CREATE_WEBHOOK_ERROR'
+        });
+    }
+};
+
+/**
+ * List the tenant's webhooks; upload webhooks only with ?includeUploads=true
+ */
+const getWebhooks = async (req, res) => {
+    try {
+        const filter = { tenant: req.tenant };
+        if (req.query.includeUploads !== 'true') filter.document = null;
+
+        const webhooks = await Webhook.find(filter).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            count: webhooks.length,
+            webhooks: webhooks.map(webhookSummary)
+        });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhooks',
+            message: 'An internal server error occurred while fetching webhooks',
+            code: 'FETCH_WEBHOOKS_ERROR'
+        });
+    }
+};
+
+/**
+ * Remove a webhook. Its delivery log is kept; pending deliveries fail.
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid webhook ID',
+                message: 'Webhook ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_WEBHOOK_ID'
+            });
+        }
+
+        const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, tenant: req.tenant });
+        if (!webhook) {
+            return res.status(404).json({
+                error: 'Webhook not found',
+                message: 'No webhook found with the provided ID',
+                code: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            message: 'Webhook deleted successfully',
+            webhook: webhookSummary(webhook)
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to delete webhook',
+            message: 'An internal server error occurred while deleting the webhook',
+            code: 'DELETE_WEBHOOK_ERROR'
+        });
+    }
+};
+
+/**
+ * Send a webhook.test event, to check a receiver and its signature handling
+ */
+const testWebhook = async (req, res) => {
+    try {
+        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                error: 'Invalid webhook ID',
+                message: 'Webhook ID must be a valid MongoDB ObjectId',
+                code: 'INVALID_WEBHOOK_ID'
+            });
+        }
+
+        const webhook = await Webhook.findOne({ _id: req.params.id, tenant: req.tenant });
+        if (!webhook) {
+            return res.status(404).json({
+                error: 'Webhook not found',
+                message: 'No webhook found with the provided ID',
+                code: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        const delivery = await queueDelivery(webhook, 'webhook.test', { webhook: webhookSummary(webhook) });
+
+        res.status(202).json({
+            message: 'Test event queued',
+            delivery: {
+                id: delivery._id,
+                event: delivery.event,
+                status: delivery.status
+            }
+        });
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to send test event',
+            message: 'An internal server error occurred while queueing the test event',
+            code: 'TEST_WEBHOOK_ERROR'
+        });
+    }
+};
+
+/**
+ * Delivery log, newest first: the tenant's, or one webhook's when called as
+ * /webhooks/:id/deliveries. Filters: document, event, status.
+ */
+const getDeliveries = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { tenant: req.tenant };
+
+        if (req.params.id) {
+            if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    error: 'Invalid webhook ID',
+                    message: 'Webhook ID must be a valid MongoDB ObjectId',
+                    code: 'INVALID_WEBHOOK_ID'
+                });
+            }
+            filter.webhook = req.params.id;
+        }
+
+        if (req.query.document) {
+            if (!String(req.query.document).match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    error: 'Invalid document ID',
+                    message: 'Document ID must be a valid MongoDB ObjectId',
+                    code: 'INVALID_DOCUMENT_ID'
+                });
+            }
+            filter.document = req.query.document;
+        }
+
+        if (req.query.status) {
+            if (!DELIVERY_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({
+                    error: 'Invalid delivery status',
+                    message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+                    code: 'INVALID_DELIVERY_STATUS'
+                });
+            }
+            filter.status = req.query.status;
+        }
+
+        if (req.query.event) {
+            filter.event = req.query.event;
+        }
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await WebhookDelivery.countDocuments(filter);
+
+        res.status(200).json({
+            count: deliveries.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            deliveries
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook deliveries',
+            message: 'An internal server error occurred while fetching webhook deliveries',
+            code: 'FETCH_DELIVERIES_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    createWebhook,
+    getWebhooks,
+    deleteWebhook,
+    testWebhook,
+    getDeliveries
+};
@@ -1,18 +1,22 @@
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/connectDB');
-const fs = require('fs');
+const { runMigrations } = require('./utils/migrations');
+const { startQueue } = require('./utils/jobQueue');
+const { startWebhooks } = require('./utils/webhooks');
+const { startRetention } = require('./utils/retention');
+const { runDocumentJob } = require('./controllers/documentController');
+const { getStorage } = require('./utils/storage');
+const { getEmbedder } = require('./utils/embeddings');
 const path = require('path');
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Set up file storage and the embedder now so a misconfigured backend stops the server at startup
+console.log(`✅ File storage: ${getStorage().name}`);
+console.log(`✅ Embeddings: ${getEmbedder().id}`);
 
 // Middleware
 app.use(cors());
@@ -22,8 +26,16 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files
 app.use(express.static('public'));
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB and migrate older records, then start processing queued
+// documents, sending webhooks and applying retention rules
+connectDB()
+    .then(() => runMigrations())
+    .then(() => startQueue(runDocumentJob))
+    .then(() => startWebhooks())
+    .then(() => startRetention())
+    .catch(error => {
+        console.error('❌ Background worker startup error:', error.message);
+    });
 
 // Routes
 app.get('/', (req, res) => {
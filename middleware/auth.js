@@ -0,0 +1,87 @@
+const ApiKey = require('../models/ApiKey');
+const { hashApiKey, sameKey } = require('../utils/apiKeys');
+
+// How often a key's lastUsedAt is written
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * API key sent with the request: `X-API-Key`, `Authorization: Bearer`, or the
+ * `api_key` query parameter for clients that cannot set headers (EventSource, links)
+ */
+function readApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+
+    const authorization = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+    if (bearer) return bearer[1];
+
+    return typeof req.query.api_key === 'string' ? req.query.api_key : null;
+}
+
+/**
+ * Identify the caller from their API key, setting req.apiKey and req.tenant.
+ * The ADMIN_API_KEY environment variable is accepted as a key with only the
+ * admin scope, so the first keys can be issued.
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const key = readApiKey(req);
+        if (!key) {
+            return res.status(401).json({
+                error: 'API key required',
+                message: 'Send an API key in the X-API-Key header or as a Bearer token',
+                code: 'MISSING_API_KEY'
+            });
+        }
+
+        if (process.env.ADMIN_API_KEY && sameKey(key, process.env.ADMIN_API_KEY)) {
+            req.apiKey = { id: null, name: 'bootstrap admin', tenant: null, scopes: ['admin'] };
+            req.tenant = null;
+            return next();
+        }
+
+        const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+        if (!apiKey) {
+            return res.status(401).json({
+                error: 'Invalid API key',
+                message: 'The API key is not recognised or has been revoked',
+                code: 'INVALID_API_KEY'
+            });
+        }
+
+        if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL) {
+            ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(error => {
+                console.error('API key usage update error:', error.message);
+            });
+        }
+
+        req.apiKey = { id: apiKey._id, name: apiKey.name, tenant: apiKey.tenant, scopes: apiKey.scopes };
+        req.tenant = apiKey.tenant;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({
+            error: 'Failed to authenticate',
+            message: 'An internal server error occurred while checking the API key',
+            code: 'AUTHENTICATION_ERROR'
+        });
+    }
+};
+
+/**
+ * Only let through callers whose key has the given scope
+ * @param {string} scope - read, upload, delete or admin
+ */
+const requireScope = scope => (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+            error: 'Insufficient scope',
+            message: `This API key does not have the '${scope}' scope`,
+            code: 'INSUFFICIENT_SCOPE'
+        });
+    }
+    next();
+};
+
+module.exports = { authenticate, requireScope };
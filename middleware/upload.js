@@ -1,27 +1,54 @@
 const multer = require('multer');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const { getFormatByExtension, getSupportedExtensions } = require('../utils/parserRegistry');
+const { getStorage, newStorageKey, storeStream } = require('../utils/storage');
 
-// Configure storage
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, 'uploads/'); // Files will be saved in uploads directory
+// Stream each upload straight into file storage instead of buffering it,
+// hashing it on the way. Files are kept under the uploading tenant's prefix.
+const storage = {
+    _handleFile(req, file, cb) {
+        const key = newStorageKey(req.tenant, file.originalname);
+        storeStream(key, file.stream, { contentType: file.mimetype })
+            .then(({ size, contentHash }) => cb(null, {
+                storageKey: key,
+                filename: path.basename(key),
+                size,
+                contentHash
+            }))
+            .catch(cb);
     },
-    filename: function (req, file, cb) {
-        const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
+    _removeFile(req, file, cb) {
+        getStorage().delete(file.storageKey).then(() => cb(null), cb);
     }
-});
+};
 
 // File filter
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.docx', '.xlsx', '.xls', '.txt', '.jpg', '.jpeg', '.png'];
     const ext = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(ext)) {
+    if (getFormatByExtension(ext)) {
+        cb(null, true);
+    } else {
+        cb(new Error(`Invalid file type. Only ${getSupportedExtensions().map(type => type.toUpperCase()).join(', ')} are allowed.`));
+    }
+};
+
+// Batch file filter: the single-upload types plus .zip archives. Other files
+// are skipped rather than failing the whole batch, and listed in
+// req.rejectedUploads for the batch's per-file report.
+const batchFileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (ext === '.zip' || getFormatByExtension(ext)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF, DOCX, XLSX, XLS, TXT, JPG, JPEG, PNG are allowed.'));
+        req.rejectedUploads = req.rejectedUploads || [];
+        req.rejectedUploads.push({
+            fileName: file.originalname,
+            code: 'INVALID_FILE_TYPE',
+            reason: `File type '${ext.slice(1)}' is not supported. Allowed types: ${getSupportedExtensions().join(', ')}, zip`
+        });
+        cb(null, false);
     }
 };
 
@@ -34,4 +61,15 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
-module.exports = upload;
+// Batch uploads allow many files and larger archives; each extracted file is
+// still held to the 10MB limit when it is validated
+const batchUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 100 * 1024 * 1024, // 100MB limit for archives
+        files: 100
+    },
+    fileFilter: batchFileFilter
+});
+
+module.exports = { upload, batchUpload };
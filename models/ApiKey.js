@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// What a key may do: read documents, upload (and reprocess) them, delete
+// them, and manage API keys
+const API_KEY_SCOPES = ['read', 'upload', 'delete', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Tenant whose documents the key can reach
+    tenant: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Start of the key, shown so keys can be told apart; the key itself is never stored
+    prefix: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the key
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: API_KEY_SCOPES
+        }],
+        default: ['read']
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ tenant: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
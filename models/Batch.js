@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const batchSchema = new mongoose.Schema({
+    // Tenant that uploaded the batch
+    tenant: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // Files that were accepted and became documents
+    totalFiles: {
+        type: Number,
+        default: 0
+    },
+    // Uploaded or extracted files that never became documents
+    rejectedFiles: [{
+        _id: false,
+        fileName: String,
+        archive: String,
+        code: String,
+        reason: String
+    }]
+}, {
+    timestamps: true
+});
+
+batchSchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
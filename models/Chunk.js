@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One piece of a document's content in the semantic index (see utils/semanticIndex.js)
+const chunkSchema = new mongoose.Schema({
+    tenant: {
+        type: String,
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true
+    },
+    chunkIndex: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['text', 'table'],
+        required: true
+    },
+    pageNumber: {
+        type: Number,
+        default: null
+    },
+    // Index into the document's extractedTables, for table chunks
+    tableIndex: {
+        type: Number,
+        default: null
+    },
+    // Headings the chunk sits under, outermost first
+    headings: [String],
+    text: {
+        type: String,
+        required: true
+    },
+    // Embedder the vector came from; vectors of other embedders are not comparable
+    embedder: {
+        type: String,
+        required: true
+    },
+    // Unit-length vector as little-endian float32
+    embedding: {
+        type: Buffer,
+        required: true,
+        select: false
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+chunkSchema.index({ tenant: 1, embedder: 1 });
+chunkSchema.index({ document: 1, chunkIndex: 1 });
+
+module.exports = mongoose.model('Chunk', chunkSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { getSupportedExtensions } = require('../utils/parserRegistry');
 
 const documentSchema = new mongoose.Schema({
+    // Tenant that owns the document; every query is scoped to the caller's tenant
+    tenant: {
+        type: String,
+        required: true
+    },
     fileName: {
         type: String,
         required: true,
@@ -10,19 +16,67 @@ const documentSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    filePath: {
+    // Where the original file is kept in file storage (see utils/storage.js)
+    storageKey: {
         type: String,
         required: true
     },
     fileType: {
         type: String,
         required: true,
-        enum: ['pdf', 'docx', 'xlsx', 'xls', 'txt', 'jpg', 'jpeg', 'png']
+        enum: getSupportedExtensions()
     },
     fileSize: {
         type: Number,
         required: true
     },
+    // MIME type detected from the file content, not the extension
+    mimeType: {
+        type: String,
+        default: null
+    },
+    // SHA-256 of the uploaded file, used to spot duplicate uploads
+    contentHash: {
+        type: String,
+        default: null
+    },
+    // Earlier document with the same content this one was uploaded as a copy of
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    // Version chain: the first document of the chain (null on the first itself),
+    // this document's place in it and the version it was uploaded to replace
+    lineage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    previousVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    // OCR settings chosen at upload; no languages means detect them per page
+    ocrOptions: {
+        languages: [String],
+        preprocess: {
+            type: Boolean,
+            default: true
+        }
+    },
+    // Whether the extracted content is stored with personal data masked
+    piiOptions: {
+        storeRedacted: {
+            type: Boolean,
+            default: false
+        }
+    },
     processingStatus: {
         type: String,
         enum: ['pending', 'processing', 'completed', 'failed'],
@@ -36,12 +90,140 @@ const documentSchema = new mongoose.Schema({
     extractedTables: [{
         pageNumber: Number,
         tableIndex: Number,
+        // Sheet the table came from and its cell range there (spreadsheets)
+        sheetName: String,
+        range: String,
+        // Tables rebuilt from OCR word positions: how sure the detection is (0-100) and where it sits on the page
+        confidence: Number,
+        bbox: {
+            x0: Number,
+            y0: Number,
+            x1: Number,
+            y1: Number
+        },
         data: mongoose.Schema.Types.Mixed, // Store table as array of rows
+        // Spreadsheets: rows of typed cells ({ type, value, text, format?, formula? } or null when empty)
+        cells: mongoose.Schema.Types.Mixed,
         structure: {
             rows: Number,
-            columns: Number
+            columns: Number,
+            headerRows: Number,
+            mergedCells: [{
+                _id: false,
+                row: Number,
+                column: Number,
+                rowSpan: Number,
+                colSpan: Number
+            }]
         }
     }],
+    // Document structure in reading order (headings, paragraphs, lists, tables)
+    blocks: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: ['heading', 'paragraph', 'listItem', 'table']
+        },
+        level: Number,
+        listType: String,
+        text: String,
+        pageNumber: Number,
+        tableIndex: Number
+    }],
+    // Typed values pulled out by an extraction template, keyed by field name:
+    // { value, raw, type, currency?, confidence, source: { type: 'text'|'table', pageNumber, ... } }
+    fields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Which template produced the fields
+    fieldExtraction: {
+        template: String,
+        confidence: Number,
+        missing: [String],
+        extractedAt: Date
+    },
+    // Entities found in the text and table cells, normalised and de-duplicated
+    entities: {
+        // ISO 8601 (YYYY-MM-DD), so ranges compare as strings
+        dates: [{ _id: false, value: String, raw: String, pageNumber: Number }],
+        amounts: [{ _id: false, value: Number, currency: String, raw: String, pageNumber: Number }],
+        percentages: [{ _id: false, value: Number, raw: String, pageNumber: Number }],
+        emails: [{ _id: false, value: String, pageNumber: Number }],
+        // Digits only, with a leading + when written with a country code
+        phones: [{ _id: false, value: String, raw: String, pageNumber: Number }],
+        companies: [{ _id: false, value: String, pageNumber: Number }],
+        keyValues: [{
+            _id: false,
+            label: String,
+            value: String,
+            type: {
+                type: String,
+                enum: ['text', 'date', 'amount', 'percentage']
+            },
+            normalized: mongoose.Schema.Types.Mixed,
+            currency: String,
+            source: {
+                type: String,
+                enum: ['text', 'table']
+            },
+            pageNumber: Number
+        }]
+    },
+    // Personal data found in the text and table cells (see utils/piiDetector.js).
+    // Only a masked preview of each value is kept, with where it was found:
+    // offsets into extractedText, or into one table cell.
+    pii: {
+        findings: [{
+            _id: false,
+            type: {
+                type: String,
+                enum: ['email', 'iban', 'card', 'aadhaar', 'pan', 'ssn', 'phone']
+            },
+            preview: String,
+            source: {
+                type: String,
+                enum: ['text', 'table']
+            },
+            pageNumber: Number,
+            tableIndex: Number,
+            row: Number,
+            column: Number,
+            start: Number,
+            end: Number
+        }],
+        // Findings per type, including any past the stored limit
+        counts: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        // The stored content is the redacted text
+        redacted: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Chunks of the content in the semantic index and the embedder that made them
+    searchIndex: {
+        status: {
+            type: String,
+            enum: ['indexed', 'failed'],
+            default: null
+        },
+        chunks: {
+            type: Number,
+            default: 0
+        },
+        embedder: String,
+        indexedAt: Date,
+        error: String
+    },
+    // Flattened table cell contents, kept only for the text index
+    tableText: {
+        type: String,
+        default: '',
+        select: false
+    },
     // Metadata
     metadata: {
         pageCount: {
@@ -53,6 +235,74 @@ const documentSchema = new mongoose.Schema({
             default: 0
         },
         processedPages: [Number],
+        // Headers of email (EML) documents
+        email: {
+            from: String,
+            to: String,
+            cc: String,
+            subject: String,
+            date: Date,
+            messageId: String
+        },
+        // Attachments found in email documents and whether they were parsed
+        attachments: [{
+            _id: false,
+            fileName: String,
+            mimeType: String,
+            size: Number,
+            fileType: String,
+            pageCount: Number,
+            processed: Boolean,
+            error: String
+        }],
+        // Spreadsheet sheets, whether they are hidden and how many tables each held
+        sheets: [{
+            _id: false,
+            name: String,
+            pageNumber: Number,
+            state: {
+                type: String,
+                enum: ['visible', 'hidden', 'veryHidden']
+            },
+            range: String,
+            tableCount: Number
+        }],
+        // Pages whose text came from OCR rather than a text layer
+        ocrPages: [Number],
+        pageConfidence: [{
+            _id: false,
+            pageNumber: Number,
+            confidence: Number,
+            method: {
+                type: String,
+                enum: ['text', 'ocr']
+            }
+        }],
+        // Languages and image preprocessing used for OCR pages
+        ocr: {
+            requestedLanguages: [String],
+            languages: [String],
+            preprocess: Boolean,
+            pages: [{
+                _id: false,
+                pageNumber: Number,
+                languages: [String],
+                languageSource: {
+                    type: String,
+                    enum: ['requested', 'detected', 'default']
+                },
+                script: String,
+                scriptConfidence: Number,
+                preprocessing: {
+                    grayscale: Boolean,
+                    binarised: Boolean,
+                    threshold: Number,
+                    deskewAngle: Number,
+                    rotation: Number,
+                    scale: Number
+                }
+            }]
+        },
         extractionDate: {
             type: Date,
             default: Date.now
@@ -61,13 +311,68 @@ const documentSchema = new mongoose.Schema({
     errorMessage: {
         type: String,
         default: null
+    },
+    // Extraction runs kept as revisions and the one the content above comes from
+    revisionCount: {
+        type: Number,
+        default: 0
+    },
+    currentRevision: {
+        type: Number,
+        default: null
+    },
+    // Batch upload this document arrived in, if any
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Batch',
+        default: null
+    },
+    // Path inside the ZIP archive the file was extracted from
+    archivePath: {
+        type: String,
+        default: null
+    },
+    // Soft delete: set when the document is moved to the trash (see utils/retention.js)
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when a retention rule has removed the original file or the extracted content
+    originalPurgedAt: {
+        type: Date,
+        default: null
+    },
+    contentPurgedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
 });
 
 // Index for faster queries
+documentSchema.index({ tenant: 1, createdAt: -1 });
 documentSchema.index({ fileType: 1, processingStatus: 1 });
 documentSchema.index({ createdAt: -1 });
+documentSchema.index({ batch: 1 });
+documentSchema.index({ contentHash: 1, createdAt: 1 });
+documentSchema.index({ lineage: 1, version: 1 });
+documentSchema.index({ 'entities.amounts.value': 1 });
+documentSchema.index({ 'entities.dates.value': 1 });
+documentSchema.index({ 'entities.emails.value': 1 });
+documentSchema.index({ deletedAt: 1 });
+
+// Documents in the trash are left out of every query unless the filter names
+// deletedAt itself or the query is run with the withDeleted option
+documentSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+});
+
+// Full-text search across extracted content
+documentSchema.index(
+    { extractedText: 'text', tableText: 'text' },
+    { name: 'content_text', weights: { extractedText: 2, tableText: 1 } }
+);
 
 module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One way of finding a field's value (see utils/fieldTemplates.js for the rule types)
+const ruleSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['keyword', 'regex', 'table', 'value'],
+        required: true
+    },
+    keywords: { type: [String], default: undefined },
+    pattern: String,
+    flags: String,
+    group: Number,
+    headers: { type: [String], default: undefined },
+    rowLabels: { type: [String], default: undefined },
+    occurrence: {
+        type: String,
+        enum: ['first', 'last']
+    },
+    maxDistance: Number,
+    requireSeparator: Boolean,
+    confidence: Number
+}, { _id: false });
+
+const fieldSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['string', 'number', 'integer', 'amount', 'date'],
+        default: 'string'
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    // Read ambiguous numeric dates as day/month
+    dayFirst: Boolean,
+    // Currency assumed for amounts written without one
+    currency: String,
+    rules: [ruleSchema]
+}, { _id: false });
+
+const extractionTemplateSchema = new mongoose.Schema({
+    // Tenant the template belongs to; built-in templates are shared
+    tenant: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Which documents the template applies to
+    match: {
+        keywords: [String],
+        fileTypes: [String]
+    },
+    fields: [fieldSchema],
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Names are unique within a tenant
+extractionTemplateSchema.index({ tenant: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExtractionTemplate', extractionTemplateSchema);
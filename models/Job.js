@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Earliest time the job may be picked up (used for retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Index for claiming the next runnable job
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ document: 1, status: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const bboxSchema = new mongoose.Schema({
+    x0: Number,
+    y0: Number,
+    x1: Number,
+    y1: Number
+}, { _id: false });
+
+const wordSchema = new mongoose.Schema({
+    text: String,
+    confidence: Number,
+    bbox: bboxSchema
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+    text: String,
+    confidence: Number,
+    bbox: bboxSchema,
+    words: [wordSchema]
+}, { _id: false });
+
+const blockSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['heading', 'paragraph', 'listItem', 'table'],
+        default: 'paragraph'
+    },
+    text: String,
+    confidence: Number,
+    // Bounding boxes are only present where the source provides them (OCR)
+    bbox: bboxSchema,
+    level: Number,
+    listType: String,
+    tableIndex: Number,
+    lines: [lineSchema]
+}, { _id: false });
+
+const pageSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true
+    },
+    pageNumber: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        default: ''
+    },
+    confidence: {
+        type: Number,
+        default: 0
+    },
+    // How the page text was obtained
+    method: {
+        type: String,
+        enum: ['text', 'ocr'],
+        default: 'text'
+    },
+    // Pixel size of the rendered/OCR'd image, when there was one
+    width: Number,
+    height: Number,
+    blocks: [blockSchema]
+}, {
+    timestamps: true
+});
+
+// One entry per page of a document
+pageSchema.index({ document: 1, pageNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Page', pageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One removal made by the retention sweeper, kept after the document itself is gone
+const purgeLogSchema = new mongoose.Schema({
+    tenant: {
+        type: String,
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    fileName: String,
+    fileType: String,
+    action: {
+        type: String,
+        enum: ['purgeOriginal', 'purgeContent', 'purgeRecord'],
+        required: true
+    },
+    // retention: a retention rule applied; trash: the document stayed in the trash too long
+    reason: {
+        type: String,
+        enum: ['retention', 'trash'],
+        required: true
+    },
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RetentionRule',
+        default: null
+    },
+    afterDays: Number,
+    // What was actually removed
+    removed: {
+        originalFile: Boolean,
+        extractedContent: Boolean,
+        pages: Number,
+        revisions: Number,
+        chunks: Number,
+        record: Boolean
+    },
+    uploadedAt: Date,
+    deletedAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+purgeLogSchema.index({ tenant: 1, createdAt: -1 });
+purgeLogSchema.index({ document: 1 });
+
+module.exports = mongoose.model('PurgeLog', purgeLogSchema);
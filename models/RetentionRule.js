@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// What a retention rule removes once a document is old enough
+const RETENTION_ACTIONS = ['purgeOriginal', 'purgeContent', 'purgeRecord'];
+
+// How long a tenant keeps part of its documents. A rule for a file type takes
+// precedence over the tenant's rule for all types with the same action.
+const retentionRuleSchema = new mongoose.Schema({
+    tenant: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // File extension the rule is limited to; null for every type
+    fileType: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: RETENTION_ACTIONS,
+        required: true
+    },
+    // Days after upload the action is applied
+    afterDays: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+retentionRuleSchema.index({ tenant: 1, fileType: 1, action: 1 }, { unique: true });
+
+const RetentionRule = mongoose.model('RetentionRule', retentionRuleSchema);
+
+module.exports = RetentionRule;
+module.exports.RETENTION_ACTIONS = RETENTION_ACTIONS;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One extraction run of a document. Revisions are never changed once written;
+// restoring one copies its output back onto the document.
+const revisionSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true,
+        immutable: true
+    },
+    // 1 for the first run, counting up per document
+    revision: {
+        type: Number,
+        required: true,
+        immutable: true
+    },
+    // Parser that produced the output: its format, version and the server version
+    parser: {
+        format: String,
+        version: String,
+        appVersion: String
+    },
+    // Options the run was made with (e.g. OCR languages)
+    options: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+        immutable: true
+    },
+    // Everything the run stored on the document and its pages
+    output: {
+        text: String,
+        tables: mongoose.Schema.Types.Mixed,
+        blocks: mongoose.Schema.Types.Mixed,
+        metadata: mongoose.Schema.Types.Mixed,
+        fields: mongoose.Schema.Types.Mixed,
+        fieldExtraction: mongoose.Schema.Types.Mixed,
+        entities: mongoose.Schema.Types.Mixed,
+        pii: mongoose.Schema.Types.Mixed,
+        pages: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ document: 1, revision: 1 }, { unique: true });
+
+revisionSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Extraction revisions cannot be changed'));
+    next();
+});
+
+revisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+    next(new Error('Extraction revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['document.completed', 'document.failed'];
+
+const webhookSchema = new mongoose.Schema({
+    tenant: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Set for webhooks registered with a single upload; null for the whole tenant
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Key for the HMAC signature. Kept in the clear because signing needs it,
+    // but never returned after the webhook is created.
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        default: WEBHOOK_EVENTS
+    }
+}, {
+    timestamps: true
+});
+
+webhookSchema.index({ tenant: 1, document: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
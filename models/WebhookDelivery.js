@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One event sent (or still to be sent) to one webhook, with every attempt made
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    tenant: {
+        type: String,
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        default: null
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // JSON body that is posted, exactly as signed
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivered', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    // Earliest time of the next attempt (used for retry backoff)
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    attemptLog: [{
+        at: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number
+    }]
+}, {
+    timestamps: true
+});
+
+// Index for claiming the next due delivery
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ tenant: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,121 @@
+const { diffDocuments, diffSequences, diffWords } = require('../utils/documentDiff');
+
+const doc = (extractedText, extractedTables = [], originalName) => ({ originalName, extractedText, extractedTables });
+
+const invoice = rows => ({
+    tableIndex: 0,
+    pageNumber: 1,
+    data: [['Item', 'Qty', 'Price'], ...rows],
+    structure: { headerRows: 1 }
+});
+
+describe('diffSequences', () => {
+    test('finds the shortest edit script', () => {
+        const operations = diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']);
+
+        expect(operations).toEqual([
+            { op: 'equal', a: 0, b: 0 },
+            { op: 'delete', a: 1 },
+            { op: 'equal', a: 2, b: 1 },
+            { op: 'equal', a: 3, b: 2 },
+            { op: 'insert', b: 3 }
+        ]);
+    });
+
+    test('handles empty sides', () => {
+        expect(diffSequences([], ['x'])).toEqual([{ op: 'insert', b: 0 }]);
+        expect(diffSequences(['x'], [])).toEqual([{ op: 'delete', a: 0 }]);
+        expect(diffSequences([], [])).toEqual([]);
+    });
+});
+
+describe('diffWords', () => {
+    test('joins consecutive words of the same kind', () => {
+        expect(diffWords('The total due is 500 dollars', 'The total due is 650 US dollars')).toEqual([
+            { op: 'equal', text: 'The total due is' },
+            { op: 'delete', text: '500' },
+            { op: 'insert', text: '650 US' },
+            { op: 'equal', text: 'dollars' }
+        ]);
+    });
+});
+
+describe('diffDocuments', () => {
+    test('reports nothing for identical documents', () => {
+        const result = diffDocuments(doc('One.\n\nTwo.', [invoice([['Pen', '2', '1.50']])]), doc('One.\n\nTwo.', [invoice([['Pen', '2', '1.50']])]));
+
+        expect(result.summary.changed).toBe(false);
+        expect(result.changes).toEqual([]);
+        expect(result.html).toContain('No text changes.');
+        expect(result.html).toContain('No table changes.');
+    });
+
+    test('pairs similar paragraphs as modified and keeps new ones as added', () => {
+        const before = 'Payment terms apply.\n\nThe total amount due is 500 dollars by Friday.\n\nThank you.';
+        const after = 'Payment terms apply.\n\nThe total amount due is 650 dollars by Friday.\n\nLate payments incur a fee.\n\nThank you.';
+
+        const { summary, changes } = diffDocuments(doc(before), doc(after));
+
+        expect(summary.paragraphs).toEqual({ added: 1, removed: 0, modified: 1 });
+        expect(changes[0]).toMatchObject({ type: 'paragraph', change: 'modified', indexA: 1, indexB: 1 });
+        expect(changes[0].words).toContainEqual({ op: 'delete', text: '500' });
+        expect(changes[0].words).toContainEqual({ op: 'insert', text: '650' });
+        expect(changes[1]).toEqual({ type: 'paragraph', change: 'added', indexB: 2, after: 'Late payments incur a fee.' });
+    });
+
+    test('treats lines as paragraphs when the text has no blank lines', () => {
+        const { changes } = diffDocuments(doc('Line one\nLine two\nLine three'), doc('Line one\nLine three'));
+
+        expect(changes).toEqual([{ type: 'paragraph', change: 'removed', indexA: 1, before: 'Line two' }]);
+    });
+
+    test('aligns table rows on a key column when they are reordered', () => {
+        const before = invoice([['Pen', '2', '1.50'], ['Pad', '1', '3.00'], ['Ink', '5', '0.80']]);
+        const after = invoice([['Ink', '5', '0.90'], ['Pen', '2', '1.50'], ['Tape', '3', '2.00']]);
+
+        const { summary, changes } = diffDocuments(doc('', [before]), doc('', [after]));
+
+        expect(summary.cells.modified).toBe(1);
+        expect(summary.rows).toEqual({ added: 1, removed: 1 });
+        expect(changes).toContainEqual(expect.objectContaining({
+            type: 'cell', change: 'modified', key: 'Ink', column: 'Price', before: '0.80', after: '0.90'
+        }));
+        expect(changes).toContainEqual(expect.objectContaining({ type: 'row', change: 'added', key: 'Tape' }));
+        expect(changes).toContainEqual(expect.objectContaining({ type: 'row', change: 'removed', key: 'Pad' }));
+    });
+
+    test('keeps renamed columns in place and compares their cells', () => {
+        const before = { tableIndex: 0, data: [['Item', 'Qty', 'Note'], ['Pen', '2', 'blue']] };
+        const after = { tableIndex: 0, data: [['Item', 'Quantity', 'Price'], ['Pen', '2', '1.50']] };
+
+        const { summary, changes } = diffDocuments(doc('', [before]), doc('', [after]));
+
+        expect(summary.columns).toEqual({ added: 0, removed: 0, renamed: 2 });
+        expect(changes).toContainEqual(expect.objectContaining({ type: 'column', change: 'renamed', before: 'Qty', after: 'Quantity' }));
+        expect(changes).toContainEqual(expect.objectContaining({ type: 'cell', change: 'modified', before: 'blue', after: '1.50' }));
+    });
+
+    test('reports unrelated tables as removed and added', () => {
+        const before = { tableIndex: 0, pageNumber: 1, data: [['Name', 'Role'], ['Ann', 'Chair']] };
+        const after = { tableIndex: 1, pageNumber: 2, data: [['Date', 'Amount', 'Balance'], ['1 May', '10', '90']] };
+
+        const { summary, changes } = diffDocuments(doc('', [before]), doc('', [after]));
+
+        expect(summary.tables).toEqual({ added: 1, removed: 1, modified: 0 });
+        expect(changes).toContainEqual({ type: 'table', change: 'added', tableB: 1, pageNumber: 2, rows: 2, columns: 3 });
+        expect(changes).toContainEqual({ type: 'table', change: 'removed', tableA: 0, pageNumber: 1, rows: 2, columns: 2 });
+    });
+
+    test('renders escaped HTML with the changes marked', () => {
+        const { html } = diffDocuments(
+            doc('Keep <b>this</b> safe today', [invoice([['Pen', '2', '1.50']])], 'v1.pdf'),
+            doc('Keep <b>that</b> safe today', [invoice([['Pen', '2', '1.75']])], 'v2.pdf')
+        );
+
+        expect(html).toContain('<h3>v1.pdf → v2.pdf</h3>');
+        expect(html).toContain('<del>&lt;b&gt;this&lt;/b&gt;</del> <ins>&lt;b&gt;that&lt;/b&gt;</ins>');
+        expect(html).toContain('<td class="diff-modified"><del>1.50</del> <ins>1.75</ins></td>');
+        expect(html).toContain('rows matched on Item');
+        expect(html).not.toContain('<b>');
+    });
+});
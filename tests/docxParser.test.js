@@ -0,0 +1,94 @@
+const JSZip = require('jszip');
+const { extractDOCXText } = require('../utils/docxParser');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const paragraph = (text, extra = '') => `<w:p>${extra}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+const table = rows => `<w:tbl>${rows.map(row => `<w:tr>${row.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`).join('')}</w:tbl>`;
+const words = (count, word) => Array.from({ length: count }, () => word).join(' ');
+
+async function buildDocx(bodyXml) {
+    const zip = new JSZip();
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="${W_NS}"><w:body>${bodyXml}</w:body></w:document>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('extractDOCXText page grouping', () => {
+    test('spreads a long document without breaks over its estimated pages', async () => {
+        const body = [
+            paragraph(words(400, 'alpha')),
+            paragraph(words(400, 'beta')),
+            table([['Name', 'Qty'], ['Pen', '2']]),
+            paragraph(words(400, 'gamma'))
+        ].join('');
+
+        const result = await extractDOCXText(await buildDocx(body));
+
+        expect(result.metadata.pageCount).toBe(3);
+        expect(result.metadata.processedPages).toEqual([1, 2, 3]);
+        expect(result.pages.map(page => page.blocks.length)).toEqual([1, 2, 1]);
+        for (const page of result.pages) {
+            expect(page.text).not.toBe('');
+        }
+        expect(result.blocks.map(block => block.pageNumber)).toEqual([1, 2, 2, 3]);
+        expect(result.tables[0].pageNumber).toBe(2);
+        expect(result.pages[1].text).toContain('Name\tQty');
+    });
+
+    test('keeps a short document on one page', async () => {
+        const result = await extractDOCXText(await buildDocx(paragraph('Hello world')));
+
+        expect(result.metadata.pageCount).toBe(1);
+        expect(result.pages).toHaveLength(1);
+        expect(result.pages[0].text).toBe('Hello world');
+    });
+
+    test('follows explicit page breaks', async () => {
+        const body = [
+            paragraph('First page'),
+            pageBreak,
+            paragraph('Second page'),
+            paragraph('Third page', '<w:pPr><w:pageBreakBefore/></w:pPr>')
+        ].join('');
+
+        const result = await extractDOCXText(await buildDocx(body));
+
+        expect(result.metadata.pageCount).toBe(3);
+        expect(result.pages.map(page => page.text)).toEqual(['First page', 'Second page', 'Third page']);
+        expect(result.blocks.map(block => block.pageNumber)).toEqual([1, 2, 3]);
+    });
+});
+
+describe('extractDOCXText content controls', () => {
+    const sdt = content => `<w:sdt><w:sdtPr><w:alias w:val="Control"/></w:sdtPr><w:sdtContent>${content}</w:sdtContent></w:sdt>`;
+    const customXml = content => `<w:customXml w:element="invoice">${content}</w:customXml>`;
+
+    test('reads text inside content controls and custom XML', async () => {
+        const body = [
+            sdt(`${paragraph('Contents')}${paragraph('1 Introduction')}`),
+            customXml(paragraph('Invoice number INV-7')),
+            paragraph('Body text'),
+            sdt(customXml(table([['Field', 'Value'], ['Name', 'Ann']])))
+        ].join('');
+
+        const result = await extractDOCXText(await buildDocx(body));
+
+        expect(result.blocks.map(block => block.text || block.type)).toEqual([
+            'Contents', '1 Introduction', 'Invoice number INV-7', 'Body text', 'table'
+        ]);
+        expect(result.tables[0].data).toEqual([['Field', 'Value'], ['Name', 'Ann']]);
+        expect(result.text).toContain('Invoice number INV-7');
+    });
+
+    test('reads form fields inside table rows and cells', async () => {
+        const body = '<w:tbl>'
+            + `<w:tr><w:tc>${paragraph('Name')}</w:tc>${sdt(`<w:tc>${paragraph('Ann')}</w:tc>`)}</w:tr>`
+            + sdt(`<w:tr><w:tc>${paragraph('City')}</w:tc><w:tc>${sdt(paragraph('Oslo'))}</w:tc></w:tr>`)
+            + '</w:tbl>';
+
+        const result = await extractDOCXText(await buildDocx(body));
+
+        expect(result.tables[0].data).toEqual([['Name', 'Ann'], ['City', 'Oslo']]);
+    });
+});
@@ -0,0 +1,64 @@
+const { getFormatByExtension } = require('../utils/parserRegistry');
+const { extractEMLText } = require('../utils/emlParser');
+
+const attachmentPart = (fileName, mimeType, content) => [
+    `Content-Type: ${mimeType}; name="${fileName}"`,
+    `Content-Disposition: attachment; filename="${fileName}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(content).toString('base64')
+].join('\r\n');
+
+const buildEml = attachments => Buffer.from([
+    'From: Ann <ann@example.com>',
+    'To: Bob <bob@example.com>',
+    'Subject: Statements',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Both statements are attached.',
+    ...attachments.flatMap(part => ['--b1', part]),
+    '--b1--',
+    ''
+].join('\r\n'));
+
+// What the PDF parser returns for two pages with tables: indexes restart on each page
+const pdfTable = (pageNumber, tableIndex, label) => ({ pageNumber, tableIndex, data: [['Item', 'Amount'], [label, '1']] });
+const pdfOutput = {
+    text: 'Statement',
+    metadata: { pageCount: 2 },
+    tables: [pdfTable(1, 0, 'first'), pdfTable(1, 1, 'second'), pdfTable(2, 0, 'third')],
+    pages: [
+        { pageNumber: 1, text: 'Page one', confidence: 100, blocks: [{ type: 'table', tableIndex: 0 }, { type: 'table', tableIndex: 1 }] },
+        { pageNumber: 2, text: 'Page two', confidence: 100, blocks: [{ type: 'table', tableIndex: 0 }] }
+    ]
+};
+
+describe('extractEMLText attachment tables', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('numbers tables across the message without collisions', async () => {
+        jest.spyOn(getFormatByExtension('pdf'), 'parse').mockResolvedValue(pdfOutput);
+        const eml = buildEml([
+            attachmentPart('statement.pdf', 'application/pdf', '%PDF-1.4 stub'),
+            attachmentPart('totals.csv', 'text/csv', 'Name,Total\nfourth,2\n')
+        ]);
+
+        const result = await extractEMLText(eml);
+
+        expect(result.tables.map(table => table.tableIndex)).toEqual([0, 1, 2, 3]);
+        expect(result.tables.map(table => table.data[1][0])).toEqual(['first', 'second', 'third', 'fourth']);
+
+        // Every table block still points at its own table
+        const blockTables = result.pages.flatMap(page => page.blocks
+            .filter(block => block.tableIndex !== undefined)
+            .map(block => ({ page: page.pageNumber, label: result.tables[block.tableIndex].data[1][0], tablePage: result.tables[block.tableIndex].pageNumber })));
+        expect(blockTables.map(block => block.label)).toEqual(['first', 'second', 'third', 'fourth']);
+        for (const block of blockTables) {
+            expect(block.tablePage).toBe(block.page);
+        }
+    });
+});
@@ -0,0 +1,27 @@
+const { tableToCSV } = require('../utils/exporters');
+
+const csvRows = table => tableToCSV(table).replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+
+describe('tableToCSV', () => {
+    test('quotes cells with commas, quotes and line breaks', () => {
+        expect(csvRows({ data: [['Item', 'Note'], ['Pen, blue', 'say "hi"\nthen go']] })).toEqual([
+            'Item,Note',
+            '"Pen, blue","say ""hi""\nthen go"'
+        ]);
+    });
+
+    test.each([
+        ['=HYPERLINK("http://evil.example","click")', '"\'=HYPERLINK(""http://evil.example"",""click"")"'],
+        ['+cmd|\' /C calc\'!A0', '"\'+cmd|\' /C calc\'!A0"'],
+        ['-2+3', '"\'-2+3"'],
+        ['@SUM(A1:A2)', '"\'@SUM(A1:A2)"'],
+        ['\t=1+1', '"\'\t=1+1"'],
+        ['\r=1+1', '"\'\r=1+1"']
+    ])('neutralises the formula %j', (cell, expected) => {
+        expect(tableToCSV({ data: [[cell]] })).toBe(`\uFEFF${expected}\r\n`);
+    });
+
+    test('leaves plain signed numbers as numbers', () => {
+        expect(csvRows({ data: [['-12.50', '+3', '-1,200.00']] })).toEqual(['-12.50,+3,"-1,200.00"']);
+    });
+});
@@ -0,0 +1,107 @@
+const { BUILT_IN_TEMPLATES, validateTemplate, applyTemplate } = require('../utils/fieldExtractor');
+
+const templateWith = rule => ({
+    name: 'test',
+    fields: [{ name: 'value', type: 'string', rules: [rule] }]
+});
+
+describe('validateTemplate', () => {
+    test('accepts the built-in templates', () => {
+        for (const template of BUILT_IN_TEMPLATES) {
+            expect(validateTemplate(template)).toBeNull();
+        }
+    });
+
+    test('rejects malformed templates', () => {
+        expect(validateTemplate(null)).toMatch(/object/);
+        expect(validateTemplate({ fields: [] })).toMatch(/name/);
+        expect(validateTemplate({ name: 'x', fields: [] })).toMatch(/at least one field/);
+        expect(validateTemplate({ name: 'x', fields: [{ name: '1bad', type: 'string', rules: [] }] })).toMatch(/Invalid field name/);
+        expect(validateTemplate({ name: 'x', fields: [{ name: 'a', type: 'money', rules: [] }] })).toMatch(/unknown type/);
+        expect(validateTemplate(templateWith({ type: 'regex' }))).toMatch(/needs a pattern/);
+        expect(validateTemplate(templateWith({ type: 'keyword' }))).toMatch(/needs keywords/);
+        expect(validateTemplate(templateWith({ type: 'table' }))).toMatch(/headers or rowLabels/);
+        expect(validateTemplate(templateWith({ type: 'regex', pattern: '(' }))).toMatch(/Invalid pattern/);
+    });
+
+    test.each([
+        '^(a+)+$',
+        '(a|aa)*$',
+        '(\\w|\\d)+$',
+        '(x*)*',
+        '(?:a{1,3})+',
+        '((a+))+',
+        '(a+){2,}',
+        '(\\d)\\1',
+        '(?<n>a)\\k<n>'
+    ])('rejects the unsafe pattern %s', pattern => {
+        expect(validateTemplate(templateWith({ type: 'regex', pattern }))).toMatch(/Unsafe pattern/);
+        expect(validateTemplate(templateWith({ type: 'keyword', keywords: ['Total'], pattern }))).toMatch(/Unsafe pattern/);
+    });
+
+    test.each([
+        '\\d{1,3}(?:,\\d{3})+',
+        'INV-(\\d+)(?:\\.\\d+)?',
+        '(?<number>[A-Z]{2}\\d{4})',
+        '(?:foo|bar)\\s+\\d+',
+        '[(a+)+]x',
+        '(a+)?'
+    ])('accepts the pattern %s', pattern => {
+        expect(validateTemplate(templateWith({ type: 'regex', pattern }))).toBeNull();
+    });
+});
+
+describe('applyTemplate', () => {
+    test('extracts keyword, regex and table fields', () => {
+        const template = {
+            name: 'order',
+            fields: [
+                { name: 'orderNumber', type: 'string', rules: [{ type: 'regex', pattern: 'Order\\s+#(\\w+)' }] },
+                { name: 'total', type: 'amount', rules: [{ type: 'keyword', keywords: ['Total'] }] },
+                { name: 'quantity', type: 'integer', rules: [{ type: 'table', headers: ['Qty'] }] }
+            ]
+        };
+        const extracted = {
+            text: 'Order #A123\nTotal: €54.00',
+            tables: [{ data: [['Item', 'Qty'], ['Pen', '4']] }]
+        };
+
+        const result = applyTemplate(template, extracted);
+
+        expect(result.fields.orderNumber.value).toBe('A123');
+        expect(result.fields.total).toMatchObject({ value: 54, currency: 'EUR' });
+        expect(result.fields.quantity.value).toBe(4);
+        expect(result.missing).toEqual([]);
+    });
+
+    test('skips stored patterns that are unsafe instead of running them', () => {
+        const started = Date.now();
+        const result = applyTemplate(templateWith({ type: 'regex', pattern: '^(a+)+$' }), { text: `${'a'.repeat(40)}!` });
+
+        expect(result.missing).toEqual(['value']);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test.each([
+        { type: 'regex', pattern: '\\s*\\s*\\s*\\s*x' },
+        { type: 'keyword', keywords: ['Total'], pattern: '\\s*\\s*\\s*\\s*x' }
+    ])('cuts off a $type pattern that backtracks past the time limit', rule => {
+        const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const started = Date.now();
+        const result = applyTemplate(templateWith(rule), { text: `Total${' '.repeat(3000)}` });
+
+        expect(result.missing).toEqual(['value']);
+        expect(Date.now() - started).toBeLessThan(5000);
+        expect(errors).toHaveBeenCalledWith(expect.stringMatching(/stopped after \d+ms/));
+        errors.mockRestore();
+    });
+
+    test('still finds values with patterns that run in time', () => {
+        const result = applyTemplate(
+            templateWith({ type: 'keyword', keywords: ['Ref'], pattern: '[A-Z]{2}-\\d+' }),
+            { text: 'Ref: AB-1234 and CD-5678' }
+        );
+
+        expect(result.fields.value).toMatchObject({ value: 'AB-1234', source: { offset: 5, length: 7 } });
+    });
+});
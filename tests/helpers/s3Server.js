@@ -0,0 +1,120 @@
+const http = require('http');
+const crypto = require('crypto');
+const { signRequest } = require('../../utils/s3Storage');
+
+// S3's minimum size for every multipart upload part but the last
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Parse an X-Amz-Date value (20130524T000000Z)
+ */
+const parseAmzDate = value => new Date(value.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+
+/**
+ * A small S3-compatible server for tests, in the path-style form MinIO serves.
+ * It checks every request's SigV4 signature and payload hash, and supports
+ * PutObject, GetObject, HeadObject, DeleteObject and multipart uploads.
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @returns {Promise<Object>} { url, objects, uploads, requests, close() }
+ */
+function startS3Server(credentials) {
+    const objects = new Map(); // "<bucket>/<key>" -> { body, contentType }
+    const uploads = new Map(); // uploadId -> { key, contentType, parts }
+    const requests = [];
+    let nextUploadId = 1;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const key = decodeURIComponent(url.pathname.slice(1));
+            requests.push({ method: req.method, key, query: Object.fromEntries(url.searchParams), size: body.length });
+
+            const reply = (status, xml = '') => {
+                res.statusCode = status;
+                res.end(req.method === 'HEAD' ? undefined : xml);
+            };
+
+            // Recompute the signature from the headers the client says it signed
+            const signedNames = (/SignedHeaders=([^,]+)/.exec(req.headers.authorization || '') || [])[1];
+            if (!signedNames) return reply(403, '<Error><Code>AccessDenied</Code></Error>');
+            const headers = {};
+            for (const name of signedNames.split(';')) {
+                if (!['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name)) headers[name] = req.headers[name];
+            }
+            const expected = signRequest(
+                { method: req.method, url, headers, payloadHash: req.headers['x-amz-content-sha256'] },
+                credentials,
+                parseAmzDate(req.headers['x-amz-date'])
+            );
+            if (expected.authorization !== req.headers.authorization) {
+                return reply(403, '<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            }
+            if (sha256(body) !== req.headers['x-amz-content-sha256']) {
+                return reply(400, '<Error><Code>XAmzContentSHA256Mismatch</Code></Error>');
+            }
+
+            const query = url.searchParams;
+            if (req.method === 'POST' && query.has('uploads')) {
+                const uploadId = `upload-${nextUploadId++}`;
+                uploads.set(uploadId, { key, contentType: req.headers['content-type'], parts: [] });
+                return reply(200, `<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+            }
+            if (query.has('uploadId')) {
+                const upload = uploads.get(query.get('uploadId'));
+                if (!upload) return reply(404, '<Error><Code>NoSuchUpload</Code></Error>');
+
+                if (req.method === 'PUT') {
+                    upload.parts[Number(query.get('partNumber'))] = body;
+                    res.setHeader('ETag', `"${crypto.createHash('md5').update(body).digest('hex')}"`);
+                    return reply(200);
+                }
+                if (req.method === 'DELETE') {
+                    uploads.delete(query.get('uploadId'));
+                    return reply(204);
+                }
+                // Like S3, a failed completion still answers 200 with an <Error> body
+                const partNumbers = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(match => Number(match[1]));
+                const parts = partNumbers.map(number => upload.parts[number]);
+                if (parts.slice(0, -1).some(part => part.length < MIN_PART_SIZE)) {
+                    return reply(200, '<Error><Code>EntityTooSmall</Code></Error>');
+                }
+                objects.set(upload.key, { body: Buffer.concat(parts), contentType: upload.contentType });
+                uploads.delete(query.get('uploadId'));
+                return reply(200, '<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+            }
+
+            if (req.method === 'PUT') {
+                objects.set(key, { body, contentType: req.headers['content-type'] });
+                return reply(200);
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                return reply(204);
+            }
+
+            const object = objects.get(key);
+            if (!object) return reply(404, '<Error><Code>NoSuchKey</Code></Error>');
+            res.setHeader('Content-Type', object.contentType || 'binary/octet-stream');
+            res.setHeader('Content-Length', object.body.length);
+            res.statusCode = 200;
+            res.end(req.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            objects,
+            uploads,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+module.exports = { startS3Server };
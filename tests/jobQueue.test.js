@@ -0,0 +1,32 @@
+const { isTransientError, willRetry } = require('../utils/jobQueue');
+
+const failure = (message, properties = {}) => Object.assign(new Error(message), properties);
+
+describe('job retries', () => {
+    test('does not retry parser errors', () => {
+        expect(isTransientError(new Error('Invalid PDF structure'))).toBe(false);
+        expect(isTransientError(new TypeError("Cannot read properties of undefined (reading 'data')"))).toBe(false);
+        expect(isTransientError(failure('Corrupted zip: missing end of central directory'))).toBe(false);
+    });
+
+    test.each([
+        ['an I/O error', failure('read failed', { code: 'EIO' })],
+        ['a timeout', failure('The operation was aborted due to timeout', { name: 'TimeoutError' })],
+        ['a network error behind fetch', failure('fetch failed', { cause: failure('connect refused', { code: 'ECONNREFUSED' }) })],
+        ['a storage error marked retryable', failure('S3 GetObject failed with HTTP 503', { retryable: true })]
+    ])('retries %s', (name, error) => {
+        expect(isTransientError(error)).toBe(true);
+    });
+
+    test('lets an error opt out of retries', () => {
+        expect(isTransientError(failure('Uploaded file is missing from storage', { code: 'ETIMEDOUT', retryable: false }))).toBe(false);
+    });
+
+    test('stops after the last attempt', () => {
+        const error = failure('socket hang up', { code: 'ECONNRESET' });
+
+        expect(willRetry({ attempts: 2, maxAttempts: 3 }, error)).toBe(true);
+        expect(willRetry({ attempts: 3, maxAttempts: 3 }, error)).toBe(false);
+        expect(willRetry({ attempts: 1, maxAttempts: 3 }, new Error('Invalid PDF structure'))).toBe(false);
+    });
+});
@@ -0,0 +1,139 @@
+const {
+    isValidVerhoeff,
+    isValidLuhn,
+    isValidIban,
+    scanPII,
+    redactText,
+    detectPII,
+    createRedactor,
+    readPIIOptions
+} = require('../utils/piiDetector');
+const { extractEntities } = require('../utils/entityExtractor');
+
+describe('check digit validators', () => {
+    test('Verhoeff accepts valid Aadhaar numbers only', () => {
+        expect(isValidVerhoeff('234123412346')).toBe(true);
+        expect(isValidVerhoeff('234123412345')).toBe(false);
+    });
+
+    test('Luhn accepts valid card numbers only', () => {
+        expect(isValidLuhn('4111111111111111')).toBe(true);
+        expect(isValidLuhn('4111111111111112')).toBe(false);
+    });
+
+    test('IBAN mod 97 accepts valid IBANs only', () => {
+        expect(isValidIban('GB82WEST12345698765432')).toBe(true);
+        expect(isValidIban('GB82WEST12345698765433')).toBe(false);
+        expect(isValidIban('GB82WEST')).toBe(false);
+    });
+});
+
+describe('scanPII', () => {
+    test('finds each type with its offsets', () => {
+        const text = 'PAN: ABCPK1234F, Aadhaar 2341 2341 2346, card 4111 1111 1111 1111, '
+            + 'IBAN GB82 WEST 1234 5698 7654 32, mail ravi.k@example.com, SSN 078-05-1120, call +91 98765 43210';
+        const matches = scanPII(text);
+
+        expect(matches.map(match => match.type)).toEqual(['pan', 'aadhaar', 'card', 'iban', 'email', 'ssn', 'phone']);
+        for (const match of matches) {
+            expect(text.slice(match.start, match.end)).toBe(match.raw);
+        }
+    });
+
+    test('ignores numbers that fail their checks or lack a label', () => {
+        expect(scanPII('Order 4111 1111 1111 1112 and ref 2341 2341 2345')).toEqual([]);
+        expect(scanPII('Invoice 123 45 6789 qty 98765 43210')).toEqual([]);
+    });
+
+    test('reports unlabelled-looking numbers next to a label', () => {
+        expect(scanPII('SSN: 123 45 6789').map(match => match.type)).toEqual(['ssn']);
+        expect(scanPII('Phone: 9876543210').map(match => match.type)).toEqual(['phone']);
+        expect(scanPII('98765 43210', 'Mobile')).toEqual([{ type: 'phone', raw: '98765 43210', start: 0, end: 11 }]);
+    });
+});
+
+describe('redactText', () => {
+    test('masks letters and digits of findings and keeps the length', () => {
+        const text = 'Card 4111-1111-1111-1111 for ravi.k@example.com';
+        const redacted = redactText(text);
+
+        expect(redacted).toBe('Card ****-****-****-**** for ****.*@*******.***');
+        expect(redacted).toHaveLength(text.length);
+    });
+});
+
+describe('detectPII', () => {
+    test('stores previews and locations, never the values', () => {
+        const extracted = {
+            text: 'Page one\nPAN ABCPK1234F',
+            pages: [{ pageNumber: 1, text: 'Page one' }, { pageNumber: 2, text: 'PAN ABCPK1234F' }],
+            tables: [{ pageNumber: 2, data: [['Name', 'Phone', 'SSN'], ['Bob', '98765 43210', '123456789']] }]
+        };
+        const { findings, counts } = detectPII(extracted);
+
+        expect(counts).toEqual({ pan: 1, phone: 1, ssn: 1 });
+        expect(findings[0]).toEqual({ type: 'pan', preview: '******234F', source: 'text', pageNumber: 2, start: 13, end: 23 });
+        expect(findings[1]).toMatchObject({ type: 'phone', source: 'table', tableIndex: 0, row: 1, column: 1 });
+        expect(findings[2]).toMatchObject({ type: 'ssn', preview: '*****6789', row: 1, column: 2 });
+        expect(JSON.stringify(findings)).not.toMatch(/ABCPK1234F|98765 43210|123456789/);
+    });
+
+    test('uses row labels as context for table cells', () => {
+        const { counts } = detectPII({ tables: [{ data: [['Mobile', '98765 43210'], ['Total', '98765 43210']] }] });
+        expect(counts).toEqual({ phone: 1 });
+    });
+});
+
+describe('createRedactor', () => {
+    const text = 'Phone: 98765 43210 / SSN: 123 45 6789';
+    const tables = [{ data: [['Name', 'Phone'], ['Bob', '98765 11111'], ['Ann', 9123456780]] }];
+
+    test('masks derived entities, key-value pairs, fields and table cells', () => {
+        const extracted = { text, tables };
+        const pii = detectPII(extracted);
+        const document = {
+            extractedText: text,
+            extractedTables: tables,
+            entities: extractEntities(extracted),
+            fields: { phone: { value: 9876543210, raw: '98765 43210' } },
+            pii
+        };
+
+        const redacted = createRedactor(extracted, pii.findings)(document);
+        const json = JSON.stringify(redacted);
+
+        expect(redacted.extractedText).toBe('Phone: ***** ***** / SSN: *** ** ****');
+        expect(redacted.extractedTables[0].data[1][1]).toBe('***** *****');
+        expect(redacted.extractedTables[0].data[2][1]).toBe('**********');
+        expect(redacted.fields.phone).toEqual({ value: '**********', raw: '***** *****' });
+        for (const value of ['9876543210', '98765 43210', '123 45 6789', '98765 11111', '9123456780']) {
+            expect(json).not.toContain(value);
+        }
+    });
+
+    test('reads values at the stored finding offsets', () => {
+        // A value only the stored findings know about (found by an earlier scan)
+        const findings = [{ type: 'ssn', source: 'text', start: 4, end: 13 }];
+        const redact = createRedactor({ text: 'Ref 555123456' }, findings);
+
+        expect(redact({ text: 'Ref 555123456', keyValues: [{ label: 'Ref', value: '555 123 456' }] })).toEqual({
+            text: 'Ref *********',
+            keyValues: [{ label: 'Ref', value: '*** *** ***' }]
+        });
+    });
+
+    test('keeps OCR words in step with their line and leaves ids alone', () => {
+        const line = { _id: 'ABCPK1234F', text: 'PAN ABCPK1234F', words: [{ text: 'PAN' }, { text: 'ABCPK1234F' }] };
+        const redacted = createRedactor()(line);
+
+        expect(redacted).toEqual({ _id: 'ABCPK1234F', text: 'PAN **********', words: [{ text: 'PAN' }, { text: '**********' }] });
+    });
+});
+
+describe('readPIIOptions', () => {
+    test('reads storeRedacted and rejects other values', () => {
+        expect(readPIIOptions({ storeRedacted: 'true' })).toEqual({ piiOptions: { storeRedacted: true } });
+        expect(readPIIOptions({ storeRedacted: 'FALSE' })).toEqual({ piiOptions: { storeRedacted: false } });
+        expect(readPIIOptions({ storeRedacted: 'yes' }).error.code).toBe('INVALID_STORE_REDACTED_OPTION');
+    });
+});
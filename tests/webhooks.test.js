@@ -0,0 +1,310 @@
+// Short delays so retries happen within the test
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY = '100';
+process.env.WEBHOOK_TIMEOUT = '300';
+process.env.WEBHOOK_POLL_INTERVAL = '20';
+// The receiver runs on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+    isPrivateAddress,
+    isValidWebhookUrl,
+    readWebhookOptions,
+    signPayload,
+    getRetryDelay,
+    queueDelivery,
+    startWebhooks,
+    stopWebhooks
+} = require('../utils/webhooks');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+/**
+ * Deliveries and webhooks kept in memory in place of MongoDB, with the
+ * queries the delivery loop makes
+ */
+const deliveries = new Map();
+const webhooks = new Map();
+
+function useMemoryStore(models = { Webhook, WebhookDelivery }) {
+    const { Webhook, WebhookDelivery } = models;
+    jest.spyOn(WebhookDelivery, 'create').mockImplementation(async fields => {
+        const delivery = new WebhookDelivery(fields).toObject();
+        deliveries.set(String(delivery._id), delivery);
+        return delivery;
+    });
+    jest.spyOn(WebhookDelivery, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockImplementation(async filter => {
+        const busy = filter.webhook.$nin.map(String);
+        const due = [...deliveries.values()]
+            .filter(delivery => delivery.status === 'pending' && !delivery.lockedAt && delivery.nextAttemptAt <= new Date())
+            .filter(delivery => !busy.includes(String(delivery.webhook)))
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+        if (!due) return null;
+        due.lockedAt = new Date();
+        due.attempts += 1;
+        return { ...due };
+    });
+    jest.spyOn(WebhookDelivery, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+        const delivery = deliveries.get(String(id));
+        Object.assign(delivery, update.$set);
+        delivery.attemptLog.push(update.$push.attemptLog);
+        return delivery;
+    });
+    jest.spyOn(Webhook, 'findById').mockImplementation(id => ({
+        select: async () => webhooks.get(String(id)) || null
+    }));
+}
+
+/**
+ * Local receiver answering with the next of `responses` (a status code, or
+ * null to never answer), then 200
+ */
+function startReceiver() {
+    const receiver = { requests: [], responses: [] };
+
+    receiver.server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            receiver.requests.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks).toString() });
+            const status = receiver.responses.length > 0 ? receiver.responses.shift() : 200;
+            if (status === null) return;
+            res.statusCode = status;
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+            resolve(receiver);
+        });
+    });
+}
+
+async function waitFor(condition, timeout = 5000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for the delivery');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const settled = delivery => () => deliveries.get(String(delivery._id)).status !== 'pending';
+
+const makeWebhook = url => {
+    const webhook = { _id: new mongoose.Types.ObjectId(), tenant: 'acme', url, secret: SECRET };
+    webhooks.set(String(webhook._id), webhook);
+    return webhook;
+};
+
+describe('webhook options', () => {
+    test('accepts absolute http(s) URLs only', () => {
+        expect(isValidWebhookUrl('https://example.com/hook')).toBe(true);
+        expect(isValidWebhookUrl('http://localhost:4000/hook')).toBe(true);
+        expect(isValidWebhookUrl('ftp://example.com')).toBe(false);
+        expect(isValidWebhookUrl('/relative')).toBe(false);
+    });
+
+    test('reads the URL and secret of an upload, generating a secret when left out', () => {
+        expect(readWebhookOptions({})).toEqual({ webhookOptions: null });
+        expect(readWebhookOptions({ webhookUrl: 'nope' }).error.code).toBe('INVALID_WEBHOOK_URL');
+        expect(readWebhookOptions({ webhookUrl: 'https://example.com', webhookSecret: 'short' }).error.code).toBe('INVALID_WEBHOOK_SECRET');
+        expect(readWebhookOptions({ webhookUrl: 'https://example.com', webhookSecret: SECRET }).webhookOptions)
+            .toEqual({ url: 'https://example.com', secret: SECRET });
+        expect(readWebhookOptions({ webhookUrl: 'https://example.com' }).webhookOptions.secret).toMatch(/^whsec_/);
+    });
+
+    test('recognises private and loopback addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1', '::ffff:127.0.0.1']) {
+            expect(isPrivateAddress(address)).toBe(true);
+        }
+        for (const address of ['93.184.216.34', '8.8.8.8', '::ffff:808:808', '2606:4700::1111', 'example.com']) {
+            expect(isPrivateAddress(address)).toBe(false);
+        }
+    });
+
+    test('backs off exponentially', () => {
+        expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([100, 200, 400, 800]);
+    });
+
+    test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        expect(signPayload('secret', 1700000000, '{"a":1}'))
+            .toBe(`sha256=${crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex')}`);
+        expect(signPayload('secret', 1700000001, '{"a":1}')).not.toBe(signPayload('secret', 1700000000, '{"a":1}'));
+    });
+});
+
+describe('webhook delivery', () => {
+    let receiver;
+    let webhook;
+
+    beforeAll(async () => {
+        useMemoryStore();
+        receiver = await startReceiver();
+        await startWebhooks();
+    });
+
+    afterAll(async () => {
+        stopWebhooks();
+        receiver.server.closeAllConnections();
+        await new Promise(resolve => receiver.server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        deliveries.clear();
+        receiver.requests = [];
+        receiver.responses = [];
+        webhook = makeWebhook(receiver.url);
+    });
+
+    test('posts the event signed with the webhook secret', async () => {
+        const delivery = await queueDelivery(webhook, 'document.completed', { document: { id: 'doc-1' } });
+        await waitFor(settled(delivery));
+
+        expect(receiver.requests).toHaveLength(1);
+        const { headers, body } = receiver.requests[0];
+        expect(headers['x-webhook-event']).toBe('document.completed');
+        expect(headers['x-webhook-delivery']).toBe(String(delivery._id));
+        expect(headers['content-type']).toBe('application/json');
+
+        // What a receiver does: recompute the signature over the raw body
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+        expect(Math.abs(Date.now() / 1000 - Number(headers['x-webhook-timestamp']))).toBeLessThan(60);
+
+        expect(JSON.parse(body)).toMatchObject({ event: 'document.completed', tenant: 'acme', data: { document: { id: 'doc-1' } } });
+        expect(deliveries.get(String(delivery._id))).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, lastError: null });
+    });
+
+    test('retries failed attempts with exponential backoff until one succeeds', async () => {
+        receiver.responses = [500, 503];
+        const delivery = await queueDelivery(webhook, 'document.failed', { document: { id: 'doc-2' } });
+        await waitFor(settled(delivery));
+
+        const stored = deliveries.get(String(delivery._id));
+        expect(stored).toMatchObject({ status: 'delivered', attempts: 3 });
+        expect(stored.attemptLog.map(attempt => attempt.statusCode)).toEqual([500, 503, 200]);
+        expect(stored.attemptLog[0].error).toBe('Receiver responded with HTTP 500');
+
+        const [first, second, third] = receiver.requests.map(request => request.at);
+        expect(second - first).toBeGreaterThanOrEqual(100);
+        expect(third - second).toBeGreaterThanOrEqual(200);
+
+        // Every attempt carries the same delivery ID and body
+        expect(new Set(receiver.requests.map(request => request.headers['x-webhook-delivery'])).size).toBe(1);
+        expect(new Set(receiver.requests.map(request => request.body)).size).toBe(1);
+    });
+
+    test('gives up after the last attempt', async () => {
+        receiver.responses = [500, 500, 500];
+        const delivery = await queueDelivery(webhook, 'document.failed', {});
+        await waitFor(settled(delivery));
+
+        expect(receiver.requests).toHaveLength(3);
+        expect(deliveries.get(String(delivery._id))).toMatchObject({
+            status: 'failed',
+            attempts: 3,
+            responseStatus: 500,
+            lastError: 'Receiver responded with HTTP 500'
+        });
+    });
+
+    test('counts a receiver that does not answer in time as a failed attempt', async () => {
+        receiver.responses = [null];
+        const delivery = await queueDelivery(webhook, 'document.completed', {});
+        await waitFor(settled(delivery));
+
+        const stored = deliveries.get(String(delivery._id));
+        expect(stored.attemptLog[0]).toMatchObject({ statusCode: null, error: 'No response within 300ms' });
+        expect(stored).toMatchObject({ status: 'delivered', attempts: 2 });
+    });
+
+    test('does not hold up other webhooks while one endpoint is slow', async () => {
+        const other = makeWebhook(receiver.url);
+        receiver.responses = [null];
+        const slow = await queueDelivery(webhook, 'document.completed', {});
+        const fast = await queueDelivery(other, 'document.completed', {});
+        await waitFor(settled(fast));
+
+        expect(deliveries.get(String(fast._id))).toMatchObject({ status: 'delivered', attempts: 1 });
+        expect(deliveries.get(String(slow._id)).attemptLog).toHaveLength(0);
+
+        await waitFor(settled(slow));
+        expect(deliveries.get(String(slow._id)).attemptLog[0].error).toBe('No response within 300ms');
+    });
+
+    test('fails deliveries of a deleted webhook without sending them', async () => {
+        webhooks.delete(String(webhook._id));
+        const delivery = await queueDelivery(webhook, 'document.completed', {});
+        await waitFor(settled(delivery));
+
+        expect(receiver.requests).toHaveLength(0);
+        expect(deliveries.get(String(delivery._id))).toMatchObject({ status: 'failed', lastError: 'Webhook was deleted' });
+    });
+});
+
+describe('webhook delivery to private addresses', () => {
+    let receiver;
+    let isolated;
+
+    beforeAll(async () => {
+        // A separate copy of the module, loaded without WEBHOOK_ALLOW_PRIVATE
+        delete process.env.WEBHOOK_ALLOW_PRIVATE;
+        jest.isolateModules(() => {
+            isolated = {
+                webhooks: require('../utils/webhooks'),
+                Webhook: require('../models/Webhook'),
+                WebhookDelivery: require('../models/WebhookDelivery')
+            };
+        });
+        process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+        useMemoryStore(isolated);
+        receiver = await startReceiver();
+        await isolated.webhooks.startWebhooks();
+    });
+
+    afterAll(async () => {
+        isolated.webhooks.stopWebhooks();
+        receiver.server.closeAllConnections();
+        await new Promise(resolve => receiver.server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        deliveries.clear();
+        receiver.requests = [];
+    });
+
+    test('refuses to register URLs on internal hosts', () => {
+        const { isValidWebhookUrl: isValid, readWebhookOptions: readOptions } = isolated.webhooks;
+
+        expect(isValid('https://example.com/hook')).toBe(true);
+        expect(isValid('http://localhost:4000/hook')).toBe(false);
+        expect(isValid('http://127.0.0.1/hook')).toBe(false);
+        expect(isValid('http://169.254.169.254/latest/meta-data')).toBe(false);
+        expect(isValid('http://[::1]:8080/')).toBe(false);
+        expect(readOptions({ webhookUrl: 'http://10.0.0.5/hook' }).error.code).toBe('INVALID_WEBHOOK_URL');
+    });
+
+    test.each([
+        ['an IP address', () => receiver.url, /^127\.0\.0\.1 is a private address$/],
+        ['a host name that resolves to one', () => receiver.url.replace('127.0.0.1', 'localhost'), /^localhost resolves to the private address /]
+    ])('fails deliveries to %s without sending or retrying them', async (name, url, error) => {
+        const delivery = await isolated.webhooks.queueDelivery(makeWebhook(url()), 'document.completed', {});
+        await waitFor(settled(delivery));
+
+        expect(receiver.requests).toHaveLength(0);
+        const stored = deliveries.get(String(delivery._id));
+        expect(stored).toMatchObject({ status: 'failed', attempts: 1 });
+        expect(stored.lastError).toMatch(error);
+    });
+});
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'dpk_';
+// Characters of a key kept in the clear to identify it
+const VISIBLE_LENGTH = 12;
+const TENANT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * SHA-256 of an API key. Keys are long random strings, so a fast hash is
+ * enough to make a leaked database useless for signing in.
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Create a new random API key
+ * @returns {Object} { key, prefix, keyHash }
+ */
+function generateApiKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { key, prefix: key.slice(0, VISIBLE_LENGTH), keyHash: hashApiKey(key) };
+}
+
+/**
+ * Whether two keys are the same, in constant time
+ */
+function sameKey(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(hashApiKey(a), 'hex'), Buffer.from(hashApiKey(b), 'hex'));
+}
+
+/**
+ * Whether a tenant ID is well formed (letters, digits, '-' and '_', up to 64 characters)
+ */
+const isValidTenant = tenant => typeof tenant === 'string' && TENANT_PATTERN.test(tenant);
+
+module.exports = { hashApiKey, generateApiKey, sameKey, isValidTenant };
@@ -0,0 +1,124 @@
+const JSZip = require('jszip');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { getStorage, newStorageKey, storeStream } = require('./storage');
+
+const limits = {
+    maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES) || 500,
+    maxEntrySize: 10 * 1024 * 1024, // Same as the single upload limit
+    maxTotalSize: parseInt(process.env.ZIP_MAX_TOTAL_SIZE) || 500 * 1024 * 1024,
+    maxCompressionRatio: 100
+};
+
+/**
+ * Whether an entry name tries to escape the archive root
+ */
+function isUnsafePath(entryName) {
+    const normalized = entryName.replace(/\\/g, '/');
+    return normalized.startsWith('/')
+        || /^[a-zA-Z]:/.test(normalized)
+        || normalized.split('/').includes('..');
+}
+
+/**
+ * Whether an entry is OS metadata rather than a real file
+ */
+function isMetadataEntry(entryName) {
+    const parts = entryName.replace(/\\/g, '/').split('/');
+    return parts.includes('__MACOSX') || parts[parts.length - 1].startsWith('.');
+}
+
+/**
+ * Stream an entry into file storage, counting the bytes actually inflated so
+ * a lying size header cannot get past the limits
+ * @returns {Promise<Object>} { key, size, contentHash }
+ */
+async function storeEntry(entry, key, maxBytes) {
+    let inflated = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            inflated += chunk.length;
+            if (inflated > maxBytes) {
+                const error = new Error('Entry exceeds the allowed uncompressed size');
+                error.code = 'ZIP_ENTRY_TOO_LARGE';
+                return callback(error);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        return await storeStream(key, pipeline(entry.nodeStream('nodebuffer'), limiter, () => {}));
+    } catch (error) {
+        await getStorage().delete(key).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Expand a ZIP archive into file storage
+ * @param {Buffer} archive - Content of the uploaded .zip
+ * @param {string} tenant - Tenant the extracted files are stored for
+ * @returns {Promise<Object>} { files, rejected } where files look like multer files
+ */
+async function extractArchive(archive, tenant) {
+    const zip = await JSZip.loadAsync(archive);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    const files = [];
+    const rejected = [];
+
+    if (entries.length > limits.maxEntries) {
+        const error = new Error(`Archive contains ${entries.length} files; the limit is ${limits.maxEntries}`);
+        error.code = 'ZIP_TOO_MANY_ENTRIES';
+        throw error;
+    }
+
+    let totalSize = 0;
+
+    for (const entry of entries) {
+        const originalName = path.basename(entry.name.replace(/\\/g, '/'));
+
+        if (isMetadataEntry(entry.name)) continue;
+
+        // JSZip strips "../" from entry.name on load; check the name as stored
+        if (isUnsafePath(entry.unsafeOriginalName || entry.name)) {
+            rejected.push({ fileName: entry.unsafeOriginalName || entry.name, code: 'ZIP_UNSAFE_PATH', reason: 'Entry path points outside the archive' });
+            continue;
+        }
+
+        // Reject obvious zip bombs from the declared sizes before inflating anything
+        const declared = entry._data || {};
+        if (declared.uncompressedSize > limits.maxEntrySize
+            || (declared.compressedSize > 0 && declared.uncompressedSize / declared.compressedSize > limits.maxCompressionRatio)) {
+            rejected.push({ fileName: entry.name, code: 'ZIP_ENTRY_TOO_LARGE', reason: 'Entry is too large or too highly compressed' });
+            continue;
+        }
+
+        const remaining = limits.maxTotalSize - totalSize;
+        if (remaining <= 0) {
+            rejected.push({ fileName: entry.name, code: 'ZIP_TOO_LARGE', reason: 'Archive exceeds the allowed total uncompressed size' });
+            continue;
+        }
+
+        const key = newStorageKey(tenant, originalName);
+
+        try {
+            const { size, contentHash } = await storeEntry(entry, key, Math.min(limits.maxEntrySize, remaining));
+            totalSize += size;
+            files.push({
+                originalname: originalName,
+                filename: path.basename(key),
+                storageKey: key,
+                size,
+                contentHash,
+                archivePath: entry.name
+            });
+        } catch (error) {
+            rejected.push({ fileName: entry.name, code: error.code || 'ZIP_EXTRACT_ERROR', reason: error.message });
+        }
+    }
+
+    return { files, rejected };
+}
+
+module.exports = { extractArchive };
@@ -0,0 +1,186 @@
+/**
+ * Split extracted content into chunks for the semantic index. Chunks never
+ * cross a page, a heading or a table: text under a heading is packed into
+ * chunks of up to CHUNK_SIZE characters, each table becomes chunks of its own
+ * (with its header rows repeated), and every chunk carries the headings it
+ * sits under.
+ */
+
+const config = {
+    maxChars: parseInt(process.env.CHUNK_SIZE) || 1200,
+    maxChunks: parseInt(process.env.CHUNK_LIMIT) || 2000
+};
+
+/**
+ * Split text longer than a chunk at sentence ends, or at spaces when a
+ * sentence is too long itself
+ */
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let current = '';
+
+    const sentences = text.split(/(?<=[.!?])\s+/).flatMap(sentence => {
+        if (sentence.length <= maxChars) return [sentence];
+        const words = [];
+        let line = '';
+        for (const word of sentence.split(/\s+/)) {
+            if (line && line.length + word.length + 1 > maxChars) {
+                words.push(line);
+                line = '';
+            }
+            line = line ? `${line} ${word}` : word.slice(0, maxChars);
+        }
+        if (line) words.push(line);
+        return words;
+    });
+
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length + 1 > maxChars) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Blocks to chunk when the parser produced none: paragraphs of each page, or
+ * of the whole text
+ */
+function paragraphBlocks(content) {
+    const pages = (content.pages || []).filter(page => page.text);
+    const sources = pages.length > 0
+        ? pages.map(page => ({ pageNumber: page.pageNumber, text: page.text }))
+        : [{ pageNumber: null, text: content.text || '' }];
+
+    return sources.flatMap(source => source.text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => ({ type: 'paragraph', text: paragraph, pageNumber: source.pageNumber })));
+}
+
+/**
+ * Chunks of one table: rows as " | "-separated lines, header rows repeated in each
+ */
+function tableChunks(table, tableIndex, headings, maxChars) {
+    const rows = (table.data || [])
+        .map(row => (Array.isArray(row) ? row : [row])
+            .map(cell => (cell === null || cell === undefined ? '' : String(cell).replace(/\s+/g, ' ').trim()))
+            .join(' | '))
+        .filter(line => line.replace(/[|\s]/g, ''));
+    if (rows.length === 0) return [];
+
+    const headerRows = table.structure && Number.isInteger(table.structure.headerRows) ? table.structure.headerRows : 1;
+    const header = rows.slice(0, Math.min(headerRows, rows.length - 1));
+    const headerLength = header.join('\n').length;
+    const chunkHeadings = table.sheetName ? [...headings, table.sheetName] : headings;
+
+    const chunks = [];
+    let lines = [];
+    let length = headerLength;
+    const flush = () => {
+        chunks.push({
+            type: 'table',
+            pageNumber: table.pageNumber || null,
+            tableIndex,
+            headings: chunkHeadings,
+            text: [...header, ...lines].join('\n')
+        });
+        lines = [];
+        length = headerLength;
+    };
+
+    for (const row of rows.slice(header.length)) {
+        const line = row.slice(0, maxChars);
+        if (lines.length > 0 && length + line.length + 1 > maxChars) flush();
+        lines.push(line);
+        length += line.length + 1;
+    }
+    if (lines.length > 0) flush();
+
+    return chunks;
+}
+
+/**
+ * Split extracted content into chunks
+ * @param {Object} content - { text, tables, blocks, pages } as stored on a document or revision
+ * @param {Object} [options] - { maxChars }
+ * @returns {Array<Object>} [{ type: 'text'|'table', pageNumber, tableIndex?, headings, text }]
+ */
+function chunkContent(content, options = {}) {
+    const maxChars = options.maxChars || config.maxChars;
+    const tables = content.tables || [];
+    const blocks = (content.blocks || []).length > 0 ? content.blocks : paragraphBlocks(content);
+
+    const chunks = [];
+    const headings = [];
+    const chunkedTables = new Set();
+    let current = null;
+
+    const flush = () => {
+        if (current && current.parts.length > 0) {
+            chunks.push({ type: 'text', pageNumber: current.pageNumber, headings: current.headings, text: current.parts.join('\n') });
+        }
+        current = null;
+    };
+
+    const add = (text, pageNumber) => {
+        if (current && (current.pageNumber !== pageNumber || current.length + text.length + 1 > maxChars)) {
+            flush();
+        }
+        if (!current) {
+            current = { pageNumber, headings: headings.map(heading => heading.text), parts: [], length: 0 };
+        }
+        current.parts.push(text);
+        current.length += text.length + 1;
+    };
+
+    for (const block of blocks) {
+        const pageNumber = block.pageNumber || null;
+
+        if (block.type === 'heading') {
+            flush();
+            const level = block.level || 1;
+            while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+            headings.push({ level, text: (block.text || '').replace(/\s+/g, ' ').trim() });
+            continue;
+        }
+
+        if (block.type === 'table') {
+            flush();
+            const table = tables[block.tableIndex];
+            if (table && !chunkedTables.has(block.tableIndex)) {
+                chunkedTables.add(block.tableIndex);
+                chunks.push(...tableChunks(table, block.tableIndex, headings.map(heading => heading.text), maxChars));
+            }
+            continue;
+        }
+
+        let text = (block.text || '').trim();
+        if (!text) continue;
+        if (block.type === 'listItem') text = `${'  '.repeat(block.level || 0)}- ${text}`;
+
+        if (text.length > maxChars) {
+            flush();
+            splitLongText(text, maxChars).forEach(piece => {
+                add(piece, pageNumber);
+                flush();
+            });
+        } else {
+            add(text, pageNumber);
+        }
+    }
+    flush();
+
+    // Tables no block points at (spreadsheets, CSV) still get their chunks
+    tables.forEach((table, tableIndex) => {
+        if (!chunkedTables.has(tableIndex)) chunks.push(...tableChunks(table, tableIndex, [], maxChars));
+    });
+
+    return chunks.slice(0, config.maxChunks);
+}
+
+module.exports = { chunkContent };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage backend keeping files in a directory on local disk
+ * @param {string} [root] - Directory files are kept in (STORAGE_DIR, default ./uploads)
+ * @returns {Object} Storage backend (see utils/storage.js)
+ */
+function createDiskStorage(root = process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads')) {
+    const base = path.resolve(root);
+
+    // Keys are joined to the root; anything resolving outside it is refused
+    const resolveKey = key => {
+        const fullPath = path.resolve(base, key);
+        if (!fullPath.startsWith(base + path.sep)) {
+            throw new Error(`Invalid storage key '${key}'`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, stream) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            try {
+                await pipeline(stream, fs.createWriteStream(fullPath));
+            } catch (error) {
+                await fs.promises.unlink(fullPath).catch(() => {});
+                throw error;
+            }
+            const { size } = await fs.promises.stat(fullPath);
+            return { key, size };
+        },
+
+        async get(key) {
+            const fullPath = resolveKey(key);
+            // Fail here rather than on the stream's first read when the file is missing
+            await fs.promises.access(fullPath);
+            return fs.createReadStream(fullPath);
+        },
+
+        async read(key) {
+            return fs.promises.readFile(resolveKey(key));
+        },
+
+        async stat(key) {
+            try {
+                const { size } = await fs.promises.stat(resolveKey(key));
+                return { size, contentType: null };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+}
+
+module.exports = { createDiskStorage };
@@ -0,0 +1,673 @@
+/**
+ * Compare the extracted content of two documents: text paragraph by
+ * paragraph (and word by word inside changed paragraphs), tables cell by
+ * cell with rows aligned on a key column. Produces a flat change list and
+ * an HTML rendering of the differences.
+ */
+
+// Give up on a minimal edit script past this many edits and report the rest as replaced
+const MAX_EDIT_DISTANCE = 2000;
+// Removed and added paragraphs this similar are reported as one modified paragraph
+const PARAGRAPH_SIMILARITY = 0.5;
+// How far ahead among added paragraphs to look for a removed one's new version
+const PAIRING_WINDOW = 50;
+// Unchanged paragraphs kept around changes in the HTML rendering
+const CONTEXT_PARAGRAPHS = 1;
+
+const normalise = value => (value === null || value === undefined ? '' : String(value)).replace(/\s+/g, ' ').trim();
+
+const escapeHTML = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Shortest edit script between two sequences of strings (Myers' algorithm)
+ * @param {Array<string>} a - Old sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<Object>} Operations in order: { op: 'equal'|'delete'|'insert', a?, b? } with indexes into a and b
+ */
+function diffSequences(a, b) {
+    // Common prefix and suffix need no search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const prefix = Array.from({ length: start }, (_, i) => ({ op: 'equal', a: i, b: i }));
+    const suffix = Array.from({ length: a.length - endA }, (_, i) => ({ op: 'equal', a: endA + i, b: endB + i }));
+    const n = endA - start;
+    const m = endB - start;
+    const replaceAll = () => [
+        ...Array.from({ length: n }, (_, i) => ({ op: 'delete', a: start + i })),
+        ...Array.from({ length: m }, (_, i) => ({ op: 'insert', b: start + i }))
+    ];
+
+    if (n === 0 || m === 0) return [...prefix, ...replaceAll(), ...suffix];
+
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = -1;
+
+    for (let d = 0; d <= max && found < 0; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = d;
+                break;
+            }
+        }
+    }
+
+    if (found < 0) return [...prefix, ...replaceAll(), ...suffix];
+
+    // Walk back through the saved frontiers to recover the edits
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = found; d > 0; d--) {
+        const previous = trace[d];
+        const at = k => previous[k + d + 1];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            middle.push({ op: 'equal', a: start + x, b: start + y });
+        }
+        if (x === previousX) {
+            middle.push({ op: 'insert', b: start + y - 1 });
+        } else {
+            middle.push({ op: 'delete', a: start + x - 1 });
+        }
+        x = previousX;
+        y = previousY;
+    }
+    while (x > 0 && y > 0) {
+        x--;
+        y--;
+        middle.push({ op: 'equal', a: start + x, b: start + y });
+    }
+
+    return [...prefix, ...middle.reverse(), ...suffix];
+}
+
+/**
+ * Runs of unchanged items and of changes between them
+ */
+function groupOperations(operations) {
+    const groups = [];
+    for (const operation of operations) {
+        const kind = operation.op === 'equal' ? 'equal' : 'change';
+        let group = groups[groups.length - 1];
+        if (!group || group.kind !== kind) {
+            group = { kind, equal: [], deleted: [], inserted: [] };
+            groups.push(group);
+        }
+        if (operation.op === 'equal') group.equal.push(operation);
+        if (operation.op === 'delete') group.deleted.push(operation.a);
+        if (operation.op === 'insert') group.inserted.push(operation.b);
+    }
+    return groups;
+}
+
+/**
+ * Word-level differences between two pieces of text, with consecutive words
+ * of the same kind joined
+ * @returns {Array<Object>} [{ op: 'equal'|'delete'|'insert', text }]
+ */
+function diffWords(before, after) {
+    const wordsA = before.split(/\s+/).filter(Boolean);
+    const wordsB = after.split(/\s+/).filter(Boolean);
+    const parts = [];
+
+    for (const operation of diffSequences(wordsA, wordsB)) {
+        const text = operation.op === 'insert' ? wordsB[operation.b] : wordsA[operation.a];
+        const last = parts[parts.length - 1];
+        if (last && last.op === operation.op) {
+            last.text += ` ${text}`;
+        } else {
+            parts.push({ op: operation.op, text });
+        }
+    }
+    return parts;
+}
+
+const wordSet = text => new Set(text.toLowerCase().split(/\s+/).filter(Boolean));
+
+/**
+ * Share of words two paragraphs have in common (Dice coefficient)
+ */
+function wordSimilarity(wordsA, wordsB) {
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Paragraphs of extracted text: blocks separated by blank lines, or lines
+ * when the text has no blank lines (as PDF text often does not)
+ */
+function splitParagraphs(text) {
+    const source = (text || '').replace(/\r\n?/g, '\n').trim();
+    if (!source) return [];
+    const separator = /\n\s*\n/.test(source) ? /\n\s*\n/ : /\n/;
+    return source.split(separator).map(normalise).filter(Boolean);
+}
+
+/**
+ * Paragraph-level comparison. Within each run of changes, removed and added
+ * paragraphs that share most of their words are paired as modifications.
+ * @returns {Object} { entries, changes } - entries are every paragraph in order, for rendering
+ */
+function compareText(textA, textB) {
+    const paragraphsA = splitParagraphs(textA);
+    const paragraphsB = splitParagraphs(textB);
+    const entries = [];
+    const changes = [];
+
+    for (const group of groupOperations(diffSequences(paragraphsA, paragraphsB))) {
+        if (group.kind === 'equal') {
+            group.equal.forEach(operation => entries.push({ change: 'unchanged', indexA: operation.a, indexB: operation.b, text: paragraphsA[operation.a] }));
+            continue;
+        }
+
+        // Pair in order: each removed paragraph with the next similar enough added one
+        const pairs = new Map();
+        const insertedWords = group.inserted.map(indexB => wordSet(paragraphsB[indexB]));
+        let searchFrom = 0;
+        for (const indexA of group.deleted) {
+            const words = wordSet(paragraphsA[indexA]);
+            for (let i = searchFrom; i < Math.min(group.inserted.length, searchFrom + PAIRING_WINDOW); i++) {
+                if (wordSimilarity(words, insertedWords[i]) >= PARAGRAPH_SIMILARITY) {
+                    pairs.set(indexA, group.inserted[i]);
+                    searchFrom = i + 1;
+                    break;
+                }
+            }
+        }
+        const pairedB = new Set(pairs.values());
+
+        // Removed paragraphs come before the added ones that follow them
+        let nextInserted = 0;
+        const flushInserted = upTo => {
+            while (nextInserted < group.inserted.length && group.inserted[nextInserted] <= upTo) {
+                const indexB = group.inserted[nextInserted++];
+                if (pairedB.has(indexB)) continue;
+                const change = { type: 'paragraph', change: 'added', indexB, after: paragraphsB[indexB] };
+                entries.push(change);
+                changes.push(change);
+            }
+        };
+
+        for (const indexA of group.deleted) {
+            if (pairs.has(indexA)) {
+                const indexB = pairs.get(indexA);
+                flushInserted(indexB - 1);
+                const change = {
+                    type: 'paragraph',
+                    change: 'modified',
+                    indexA,
+                    indexB,
+                    before: paragraphsA[indexA],
+                    after: paragraphsB[indexB],
+                    words: diffWords(paragraphsA[indexA], paragraphsB[indexB])
+                };
+                entries.push(change);
+                changes.push(change);
+                nextInserted = Math.max(nextInserted, group.inserted.indexOf(indexB) + 1);
+            } else {
+                const change = { type: 'paragraph', change: 'removed', indexA, before: paragraphsA[indexA] };
+                entries.push(change);
+                changes.push(change);
+            }
+        }
+        flushInserted(Infinity);
+    }
+
+    return { entries, changes };
+}
+
+/**
+ * Rows of a table as normalised cell text, padded to the same width
+ */
+function tableGrid(table) {
+    const rows = (Array.isArray(table.data) ? table.data : [])
+        .map(row => (Array.isArray(row) ? row : [row]).map(normalise));
+    const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    return rows.map(row => [...row, ...Array(columns - row.length).fill('')]);
+}
+
+/**
+ * Header rows of a table (at least one when it has a body) and a label per column
+ */
+function tableHeader(table, grid) {
+    const declared = table.structure && table.structure.headerRows ? table.structure.headerRows : 0;
+    const headerRows = grid.length > 1 ? Math.min(Math.max(1, declared), grid.length - 1) : 0;
+    const columns = grid[0] ? grid[0].length : 0;
+
+    const labels = Array.from({ length: columns }, (_, column) => {
+        const parts = [];
+        for (let row = 0; row < headerRows; row++) {
+            const text = grid[row][column];
+            if (text && parts[parts.length - 1] !== text) parts.push(text);
+        }
+        return parts.join(' / ');
+    });
+    return { headerRows, labels };
+}
+
+function describeTable(table, index) {
+    return {
+        tableIndex: table.tableIndex !== undefined ? table.tableIndex : index,
+        pageNumber: table.pageNumber,
+        ...(table.sheetName ? { sheetName: table.sheetName } : {})
+    };
+}
+
+/**
+ * A table's index under the given key, with its page or sheet
+ */
+function tableLocation(key, info) {
+    const { tableIndex, ...location } = info;
+    return { [key]: tableIndex, ...location };
+}
+
+/**
+ * How likely two tables are the same table in two versions of a document
+ */
+function tableSimilarity(a, b) {
+    const labelsA = new Set(a.header.labels.map(label => label.toLowerCase()).filter(Boolean));
+    const labelsB = new Set(b.header.labels.map(label => label.toLowerCase()).filter(Boolean));
+    const shared = [...labelsA].filter(label => labelsB.has(label)).length;
+    const union = labelsA.size + labelsB.size - shared;
+
+    let score = union > 0 ? shared / union : 0;
+    if (a.table.sheetName && a.table.sheetName === b.table.sheetName) score += 0.5;
+    if (a.info.tableIndex === b.info.tableIndex) score += 0.25;
+    if (a.header.labels.length === b.header.labels.length) score += 0.25;
+    return score;
+}
+
+/**
+ * Match columns by header label, then by position for those left over
+ * (a renamed header keeps its column)
+ */
+function matchColumns(labelsA, labelsB) {
+    const pairs = [];
+    const usedB = new Set();
+
+    labelsA.forEach((label, columnA) => {
+        if (!label) return;
+        const columnB = labelsB.findIndex((other, index) => !usedB.has(index) && other.toLowerCase() === label.toLowerCase());
+        if (columnB >= 0) {
+            pairs.push({ columnA, columnB });
+            usedB.add(columnB);
+        }
+    });
+
+    labelsA.forEach((label, columnA) => {
+        if (pairs.some(pair => pair.columnA === columnA)) return;
+        if (columnA < labelsB.length && !usedB.has(columnA)) {
+            pairs.push({ columnA, columnB: columnA });
+            usedB.add(columnA);
+        }
+    });
+
+    return pairs.sort((a, b) => a.columnB - b.columnB);
+}
+
+/**
+ * Leftmost matched column whose body values are filled and unique in both
+ * tables, preferring text columns over numeric ones
+ */
+function findKeyColumn(pairs, bodyA, bodyB) {
+    const unique = values => values.every(Boolean) && new Set(values.map(value => value.toLowerCase())).size === values.length;
+    const numeric = values => values.every(value => /^[-+(]?[\d.,\s%$€£¥₹]+\)?$/.test(value));
+
+    const candidates = pairs.filter(pair => {
+        const valuesA = bodyA.map(row => row[pair.columnA]);
+        const valuesB = bodyB.map(row => row[pair.columnB]);
+        return valuesA.length > 0 && valuesB.length > 0 && unique(valuesA) && unique(valuesB);
+    });
+
+    return candidates.find(pair => !numeric(bodyA.map(row => row[pair.columnA]))) || candidates[0] || null;
+}
+
+/**
+ * Align the body rows of two matched tables: on the key column when there is
+ * one, otherwise by diffing whole rows
+ * @returns {Array<Object>} [{ rowA?, rowB? }] indexes into the grids, in the new table's order
+ */
+function alignRows(pairs, gridA, gridB, headerA, headerB) {
+    const bodyA = gridA.slice(headerA.headerRows);
+    const bodyB = gridB.slice(headerB.headerRows);
+    const key = findKeyColumn(pairs, bodyA, bodyB);
+    const aligned = [];
+
+    if (key) {
+        const rowsByKey = new Map(bodyA.map((row, index) => [row[key.columnA].toLowerCase(), index]));
+        const matchedA = new Set();
+        bodyB.forEach((row, index) => {
+            const indexA = rowsByKey.get(row[key.columnB].toLowerCase());
+            if (indexA !== undefined) matchedA.add(indexA);
+            aligned.push({ rowA: indexA === undefined ? undefined : indexA + headerA.headerRows, rowB: index + headerB.headerRows });
+        });
+        bodyA.forEach((row, index) => {
+            if (!matchedA.has(index)) aligned.push({ rowA: index + headerA.headerRows });
+        });
+        return { aligned, key };
+    }
+
+    const signature = (row, side) => pairs.map(pair => row[side === 'a' ? pair.columnA : pair.columnB]).join('\u0001');
+    const groups = groupOperations(diffSequences(bodyA.map(row => signature(row, 'a')), bodyB.map(row => signature(row, 'b'))));
+    for (const group of groups) {
+        group.equal.forEach(operation => aligned.push({ rowA: operation.a + headerA.headerRows, rowB: operation.b + headerB.headerRows }));
+        // Rows changed in place line up by position within the run
+        const paired = Math.min(group.deleted.length, group.inserted.length);
+        for (let i = 0; i < paired; i++) {
+            aligned.push({ rowA: group.deleted[i] + headerA.headerRows, rowB: group.inserted[i] + headerB.headerRows });
+        }
+        group.deleted.slice(paired).forEach(index => aligned.push({ rowA: index + headerA.headerRows }));
+        group.inserted.slice(paired).forEach(index => aligned.push({ rowB: index + headerB.headerRows }));
+    }
+    return { aligned, key: null };
+}
+
+/**
+ * Cell-level comparison of two versions of one table
+ */
+function compareTablePair(a, b) {
+    const changes = [];
+    const tables = { tableA: a.info.tableIndex, tableB: b.info.tableIndex };
+    const pairs = matchColumns(a.header.labels, b.header.labels);
+    const label = pair => b.header.labels[pair.columnB] || a.header.labels[pair.columnA] || `Column ${pair.columnB + 1}`;
+
+    a.header.labels.forEach((text, columnA) => {
+        if (!pairs.some(pair => pair.columnA === columnA)) {
+            changes.push({ type: 'column', change: 'removed', ...tables, columnA, label: text || `Column ${columnA + 1}` });
+        }
+    });
+    b.header.labels.forEach((text, columnB) => {
+        if (!pairs.some(pair => pair.columnB === columnB)) {
+            changes.push({ type: 'column', change: 'added', ...tables, columnB, label: text || `Column ${columnB + 1}` });
+        }
+    });
+
+    for (const pair of pairs) {
+        const before = a.header.labels[pair.columnA];
+        const after = b.header.labels[pair.columnB];
+        if (before !== after) {
+            changes.push({ type: 'column', change: 'renamed', ...tables, columnA: pair.columnA, columnB: pair.columnB, before, after });
+        }
+    }
+
+    const { aligned, key } = alignRows(pairs, a.grid, b.grid, a.header, b.header);
+    const keyOf = (row, side) => (key ? row[side === 'a' ? key.columnA : key.columnB] : undefined);
+
+    for (const rows of aligned) {
+        const rowA = rows.rowA !== undefined ? a.grid[rows.rowA] : null;
+        const rowB = rows.rowB !== undefined ? b.grid[rows.rowB] : null;
+
+        if (rowA && rowB) {
+            rows.cells = {};
+            for (const pair of pairs) {
+                if (rowA[pair.columnA] === rowB[pair.columnB]) continue;
+                rows.cells[pair.columnB] = rowA[pair.columnA];
+                changes.push({
+                    type: 'cell',
+                    change: 'modified',
+                    ...tables,
+                    rowA: rows.rowA,
+                    rowB: rows.rowB,
+                    ...(key ? { key: keyOf(rowB, 'b') } : {}),
+                    columnA: pair.columnA,
+                    columnB: pair.columnB,
+                    column: label(pair),
+                    before: rowA[pair.columnA],
+                    after: rowB[pair.columnB]
+                });
+            }
+        } else if (rowB) {
+            changes.push({ type: 'row', change: 'added', ...tables, rowB: rows.rowB, ...(key ? { key: keyOf(rowB, 'b') } : {}), values: rowB });
+        } else if (rowA && rowA.some(Boolean)) {
+            changes.push({ type: 'row', change: 'removed', ...tables, rowA: rows.rowA, ...(key ? { key: keyOf(rowA, 'a') } : {}), values: rowA });
+        }
+    }
+
+    return {
+        changes,
+        key: key ? label(key) : null,
+        pairs,
+        aligned
+    };
+}
+
+/**
+ * Pair the tables of the two documents and compare each pair
+ * @returns {Object} { results, changes } - results hold what rendering needs
+ */
+function compareTables(tablesA, tablesB) {
+    const prepare = (table, index) => {
+        const grid = tableGrid(table);
+        return { table, grid, header: tableHeader(table, grid), info: describeTable(table, index) };
+    };
+    const preparedA = (tablesA || []).map(prepare);
+    const preparedB = (tablesB || []).map(prepare);
+
+    // Greedy pairing, most similar first
+    const candidates = [];
+    preparedA.forEach((a, i) => preparedB.forEach((b, j) => candidates.push({ i, j, score: tableSimilarity(a, b) })));
+    candidates.sort((x, y) => y.score - x.score || x.i - y.i || x.j - y.j);
+
+    const pairOfA = new Map();
+    const pairedB = new Set();
+    for (const candidate of candidates) {
+        if (candidate.score < 0.5 || pairOfA.has(candidate.i) || pairedB.has(candidate.j)) continue;
+        pairOfA.set(candidate.i, candidate.j);
+        pairedB.add(candidate.j);
+    }
+
+    const results = [];
+    const changes = [];
+    preparedB.forEach((b, j) => {
+        const i = [...pairOfA.entries()].find(([, paired]) => paired === j);
+        if (!i) {
+            changes.push({ type: 'table', change: 'added', ...tableLocation('tableB', b.info), rows: b.grid.length, columns: b.header.labels.length });
+            results.push({ change: 'added', b });
+            return;
+        }
+        const a = preparedA[i[0]];
+        const comparison = compareTablePair(a, b);
+        changes.push(...comparison.changes);
+        results.push({ change: comparison.changes.length > 0 ? 'modified' : 'unchanged', a, b, ...comparison });
+    });
+    preparedA.forEach((a, i) => {
+        if (pairOfA.has(i)) return;
+        changes.push({ type: 'table', change: 'removed', ...tableLocation('tableA', a.info), rows: a.grid.length, columns: a.header.labels.length });
+        results.push({ change: 'removed', a });
+    });
+
+    return { results, changes };
+}
+
+function renderWords(words) {
+    return words.map(part => {
+        if (part.op === 'delete') return `<del>${escapeHTML(part.text)}</del>`;
+        if (part.op === 'insert') return `<ins>${escapeHTML(part.text)}</ins>`;
+        return escapeHTML(part.text);
+    }).join(' ');
+}
+
+/**
+ * Changed paragraphs with a little unchanged context, long unchanged runs elided
+ */
+function renderText(entries) {
+    const keep = entries.map(() => false);
+    entries.forEach((entry, index) => {
+        if (entry.change === 'unchanged') return;
+        for (let i = Math.max(0, index - CONTEXT_PARAGRAPHS); i <= Math.min(entries.length - 1, index + CONTEXT_PARAGRAPHS); i++) keep[i] = true;
+    });
+
+    const html = [];
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped > 0) html.push(`<p class="diff-skipped">… ${skipped} unchanged paragraph${skipped === 1 ? '' : 's'} …</p>`);
+        skipped = 0;
+    };
+
+    entries.forEach((entry, index) => {
+        if (!keep[index]) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+        if (entry.change === 'unchanged') html.push(`<p class="diff-unchanged">${escapeHTML(entry.text)}</p>`);
+        if (entry.change === 'added') html.push(`<p class="diff-added"><ins>${escapeHTML(entry.after)}</ins></p>`);
+        if (entry.change === 'removed') html.push(`<p class="diff-removed"><del>${escapeHTML(entry.before)}</del></p>`);
+        if (entry.change === 'modified') html.push(`<p class="diff-modified">${renderWords(entry.words)}</p>`);
+    });
+    flushSkipped();
+
+    return html.join('\n');
+}
+
+function tableCaption(result) {
+    const info = (result.b || result.a).info;
+    const where = info.sheetName ? `sheet ${info.sheetName}` : info.pageNumber ? `page ${info.pageNumber}` : '';
+    return `Table ${info.tableIndex + 1}${where ? ` (${where})` : ''}`;
+}
+
+function renderPlainTable(grid, className) {
+    return `<table class="${className}">${grid.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</table>`;
+}
+
+/**
+ * The new version of a table with changed cells, added rows and columns and
+ * removed rows marked
+ */
+function renderTablePair(result) {
+    const { a, b, pairs, aligned } = result;
+    const matchedB = new Map(pairs.map(pair => [pair.columnB, pair.columnA]));
+    const header = b.grid.slice(0, b.header.headerRows).map(row => `<tr>${row.map((cell, column) => (
+        `<th class="${matchedB.has(column) ? '' : 'diff-added'}">${escapeHTML(cell)}</th>`
+    )).join('')}</tr>`);
+
+    const body = aligned.map(rows => {
+        if (rows.rowB === undefined) {
+            const rowA = a.grid[rows.rowA];
+            return `<tr class="diff-removed">${b.header.labels.map((label, column) => (
+                `<td>${matchedB.has(column) ? `<del>${escapeHTML(rowA[matchedB.get(column)])}</del>` : ''}</td>`
+            )).join('')}</tr>`;
+        }
+
+        const rowB = b.grid[rows.rowB];
+        if (rows.rowA === undefined) {
+            return `<tr class="diff-added">${rowB.map(cell => `<td><ins>${escapeHTML(cell)}</ins></td>`).join('')}</tr>`;
+        }
+
+        return `<tr>${rowB.map((cell, column) => {
+            if (!matchedB.has(column)) return `<td class="diff-added"><ins>${escapeHTML(cell)}</ins></td>`;
+            if (rows.cells && column in rows.cells) {
+                return `<td class="diff-modified"><del>${escapeHTML(rows.cells[column])}</del> <ins>${escapeHTML(cell)}</ins></td>`;
+            }
+            return `<td>${escapeHTML(cell)}</td>`;
+        }).join('')}</tr>`;
+    });
+
+    return `<table class="diff-table">${header.join('')}${body.join('')}</table>`;
+}
+
+function renderTables(results) {
+    return results.filter(result => result.change !== 'unchanged').map(result => {
+        const caption = `<h4>${escapeHTML(tableCaption(result))} — ${result.change}${result.key ? ` (rows matched on ${escapeHTML(result.key)})` : ''}</h4>`;
+        if (result.change === 'added') return caption + renderPlainTable(result.b.grid, 'diff-table diff-added');
+        if (result.change === 'removed') return caption + renderPlainTable(result.a.grid, 'diff-table diff-removed');
+        return caption + renderTablePair(result);
+    }).join('\n');
+}
+
+const STYLE = `<style>
+.doc-compare ins { background: #d4f8d4; text-decoration: none; }
+.doc-compare del { background: #fbd3d3; }
+.doc-compare .diff-added { background: #eefbee; }
+.doc-compare .diff-removed { background: #fdeeee; }
+.doc-compare .diff-skipped { color: #888; font-style: italic; }
+.doc-compare .diff-table { border-collapse: collapse; margin: 8px 0 16px; }
+.doc-compare .diff-table td, .doc-compare .diff-table th { border: 1px solid #ddd; padding: 4px 8px; }
+.doc-compare .diff-modified del, .doc-compare .diff-modified ins { padding: 0 2px; }
+</style>`;
+
+/**
+ * HTML fragment showing the differences, self-styled so it can be dropped
+ * into any page
+ */
+function renderHTML(names, summary, textEntries, tableResults) {
+    const counts = [
+        `${summary.paragraphs.modified} modified, ${summary.paragraphs.added} added and ${summary.paragraphs.removed} removed paragraph(s)`,
+        `${summary.cells.modified} changed cell(s), ${summary.rows.added} added and ${summary.rows.removed} removed row(s)`,
+        `${summary.tables.added} added and ${summary.tables.removed} removed table(s)`
+    ];
+    const hasTextChanges = textEntries.some(entry => entry.change !== 'unchanged');
+    const hasTableChanges = tableResults.some(result => result.change !== 'unchanged');
+
+    return [
+        STYLE,
+        '<div class="doc-compare">',
+        `<h3>${escapeHTML(names.a)} → ${escapeHTML(names.b)}</h3>`,
+        `<ul class="diff-summary">${counts.map(line => `<li>${line}</li>`).join('')}</ul>`,
+        hasTextChanges ? `<h4>Text</h4>\n${renderText(textEntries)}` : '<p>No text changes.</p>',
+        hasTableChanges ? `<h4>Tables</h4>\n${renderTables(tableResults)}` : '<p>No table changes.</p>',
+        '</div>'
+    ].join('\n');
+}
+
+/**
+ * Compare the extracted text and tables of two documents
+ * @param {Object} documentA - Older version ({ originalName, extractedText, extractedTables })
+ * @param {Object} documentB - Newer version
+ * @returns {Object} { summary, changes, html }
+ */
+function diffDocuments(documentA, documentB) {
+    const text = compareText(documentA.extractedText, documentB.extractedText);
+    const tables = compareTables(documentA.extractedTables, documentB.extractedTables);
+    const changes = [...text.changes, ...tables.changes];
+
+    const count = (type, change) => changes.filter(item => item.type === type && item.change === change).length;
+    const summary = {
+        changed: changes.length > 0,
+        paragraphs: { added: count('paragraph', 'added'), removed: count('paragraph', 'removed'), modified: count('paragraph', 'modified') },
+        tables: { added: count('table', 'added'), removed: count('table', 'removed'), modified: tables.results.filter(result => result.change === 'modified').length },
+        rows: { added: count('row', 'added'), removed: count('row', 'removed') },
+        columns: { added: count('column', 'added'), removed: count('column', 'removed'), renamed: count('column', 'renamed') },
+        cells: { modified: count('cell', 'modified') }
+    };
+
+    const names = { a: documentA.originalName || 'Document A', b: documentB.originalName || 'Document B' };
+    return {
+        summary,
+        changes,
+        html: renderHTML(names, summary, text.entries, tables.results)
+    };
+}
+
+module.exports = { diffDocuments, diffSequences, diffWords };
@@ -0,0 +1,186 @@
+const path = require('path');
+const Document = require('../models/Document');
+const { createProgressTracker } = require('./progressTracker');
+const { enqueueDocument } = require('./jobQueue');
+const { detectFileType } = require('./fileTypeDetector');
+const { getFormatByExtension, getSupportedExtensions } = require('./parserRegistry');
+const { getAvailableLanguages } = require('./ocrParser');
+const { getStorage } = require('./storage');
+
+const maxSize = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Validate an uploaded file before it becomes a document
+ * @param {Object} file - Multer file (or an entry extracted from an archive)
+ * @returns {Object|null} { error, message, code } when invalid, null when valid
+ */
+function validateUploadedFile(file) {
+    const fileExt = path.extname(file.originalname || '').toLowerCase().slice(1);
+
+    // Enhanced file validation
+    if (!getFormatByExtension(fileExt)) {
+        return {
+            error: 'Invalid file type',
+            message: `File type '${fileExt}' is not supported. Allowed types: ${getSupportedExtensions().join(', ')}`,
+            code: 'INVALID_FILE_TYPE'
+        };
+    }
+
+    // File size validation (10MB limit)
+    if (file.size > maxSize) {
+        return {
+            error: 'File too large',
+            message: `File size (${(file.size / 1024 / 1024).toFixed(2)}MB) exceeds maximum allowed size of 10MB`,
+            code: 'FILE_TOO_LARGE'
+        };
+    }
+
+    // File name validation
+    if (!file.originalname || file.originalname.trim().length === 0) {
+        return {
+            error: 'Invalid file name',
+            message: 'File name cannot be empty',
+            code: 'INVALID_FILE_NAME'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check the file's content matches its extension and can be parsed.
+ * Records the detected MIME type on the file as detectedMimeType.
+ * @param {Object} file - File that passed validateUploadedFile
+ * @returns {Promise<Object|null>} { error, message, code } when invalid, null when valid
+ */
+async function validateFileContent(file) {
+    const fileExt = path.extname(file.originalname).toLowerCase().slice(1);
+    const expected = getFormatByExtension(fileExt);
+    const detected = await detectFileType(await getStorage().read(file.storageKey));
+    file.detectedMimeType = detected.mimeType;
+
+    if (detected.encrypted) {
+        return {
+            error: 'Encrypted document',
+            message: 'The document is encrypted or password-protected and cannot be parsed. Remove the password and upload it again.',
+            code: 'ENCRYPTED_DOCUMENT'
+        };
+    }
+
+    // Text formats have no signature, so any text content is accepted for them
+    const matches = detected.type === expected.type || (detected.textual && expected.textual);
+    if (!matches) {
+        return {
+            error: 'File type mismatch',
+            message: `File content does not match its '.${fileExt}' extension (detected ${detected.mimeType})`,
+            code: 'FILE_TYPE_MISMATCH'
+        };
+    }
+    if (detected.type !== expected.type) {
+        // Text content alone cannot tell CSV from HTML or plain text, so trust the extension
+        file.detectedMimeType = expected.mimeTypes[0];
+    }
+
+    return null;
+}
+
+/**
+ * Read the OCR options of an upload. `languages` is a Tesseract language list
+ * ("eng+hin", "eng,deu" or repeated fields); omitted or "auto" detects the
+ * script of each page. `preprocess=false` turns off image clean-up.
+ * @param {Object} source - Upload fields (query string and form body)
+ * @returns {Object} { ocrOptions } or { error } with { error, message, code }
+ */
+function readOCROptions(source = {}) {
+    const raw = [].concat(source.languages || []).join('+').trim();
+    const languages = raw && raw.toLowerCase() !== 'auto'
+        ? [...new Set(raw.split(/[+,\s]+/).filter(Boolean))]
+        : [];
+
+    const available = getAvailableLanguages();
+    const unsupported = languages.filter(language => !available.includes(language));
+    if (unsupported.length > 0) {
+        return {
+            error: {
+                error: 'Unsupported OCR language',
+                message: `OCR language data is not installed for: ${unsupported.join(', ')}. Available languages: ${available.join(', ')}`,
+                code: 'UNSUPPORTED_OCR_LANGUAGE'
+            }
+        };
+    }
+
+    const preprocess = source.preprocess === undefined ? 'true' : String(source.preprocess).toLowerCase();
+    if (!['true', 'false'].includes(preprocess)) {
+        return {
+            error: {
+                error: 'Invalid preprocess option',
+                message: 'preprocess must be true or false',
+                code: 'INVALID_PREPROCESS_OPTION'
+            }
+        };
+    }
+
+    return { ocrOptions: { languages, preprocess: preprocess === 'true' } };
+}
+
+/**
+ * Remove a file that will not become a document from storage
+ * @param {Object} file - Multer file (or an entry extracted from an archive)
+ */
+async function discardFile(file) {
+    await getStorage().delete(file.storageKey).catch(error => {
+        console.error(`Failed to remove ${file.storageKey} from storage:`, error.message);
+    });
+}
+
+/**
+ * Earliest document uploaded with the same content
+ * @param {string} contentHash - SHA-256 of the file
+ * @param {Object} [filter] - Extra conditions (e.g. processingStatus)
+ * @returns {Promise<Object|null>} Matching document
+ */
+async function findDocumentByHash(contentHash, filter = {}) {
+    return Document.findOne({ contentHash, ...filter })
+        .select('-extractedText -extractedTables.data')
+        .sort({ createdAt: 1 });
+}
+
+/**
+ * Create a document record for a validated file and queue it for processing
+ * @param {Object} file - Multer file (or an entry extracted from an archive)
+ * @param {Object} [fields] - Extra document fields (e.g. batch)
+ * @returns {Promise<Object>} Saved document
+ */
+async function createQueuedDocument(file, fields = {}) {
+    const document = new Document({
+        fileName: file.filename,
+        originalName: file.originalname,
+        storageKey: file.storageKey,
+        fileType: path.extname(file.originalname).toLowerCase().slice(1),
+        fileSize: file.size,
+        mimeType: file.detectedMimeType || null,
+        contentHash: file.contentHash,
+        processingStatus: 'pending',
+        ...fields
+    });
+
+    await document.save();
+
+    // Create progress tracker
+    const progressTracker = createProgressTracker(document._id.toString());
+    progressTracker.setStatus('pending', 'Queued for processing');
+
+    // Queue document for background processing
+    await enqueueDocument(document._id);
+
+    return document;
+}
+
+module.exports = {
+    validateUploadedFile,
+    validateFileContent,
+    readOCROptions,
+    discardFile,
+    findDocumentByHash,
+    createQueuedDocument
+};
@@ -1,84 +1,356 @@
-const mammoth = require('mammoth');
-const fs = require('fs');
-const XLSX = require('xlsx');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { paginateBlocks } = require('./pageBuilder');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Child elements of a node in the WordprocessingML namespace, optionally filtered by local name
+ */
+function wChildren(node, localName = null) {
+    const children = [];
+    if (!node) return children;
+
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && child.namespaceURI === W_NS && (!localName || child.localName === localName)) {
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+/**
+ * Child elements of a body, table, row or cell, with the content of content
+ * controls (w:sdt, used for tables of contents, cover pages and form fields)
+ * and custom XML elements taken in place of the element that wraps it
+ */
+function contentChildren(node, localName = null) {
+    const children = [];
+    for (const child of wChildren(node)) {
+        if (child.localName === 'sdt') {
+            children.push(...contentChildren(wChild(child, 'sdtContent'), localName));
+        } else if (child.localName === 'customXml') {
+            children.push(...contentChildren(child, localName));
+        } else if (!localName || child.localName === localName) {
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+function wChild(node, localName) {
+    return wChildren(node, localName)[0] || null;
+}
+
+function wAttr(node, name) {
+    return node ? node.getAttributeNS(W_NS, name) || node.getAttribute(`w:${name}`) || null : null;
+}
+
+/**
+ * Map style IDs to heading levels using styles.xml (names and outline levels)
+ */
+function readHeadingStyles(stylesXml) {
+    const headingLevels = new Map();
+    if (!stylesXml) return headingLevels;
+
+    for (const style of wChildren(stylesXml.documentElement, 'style')) {
+        if (wAttr(style, 'type') !== 'paragraph') continue;
+
+        const styleId = wAttr(style, 'styleId');
+        const name = (wAttr(wChild(style, 'name'), 'val') || '').toLowerCase();
+        const outlineLevel = wAttr(wChild(wChild(style, 'pPr'), 'outlineLvl'), 'val');
+        const headingMatch = name.match(/^heading\s*(\d)$/);
+
+        if (headingMatch) {
+            headingLevels.set(styleId, parseInt(headingMatch[1]));
+        } else if (name === 'title') {
+            headingLevels.set(styleId, 1);
+        } else if (outlineLevel !== null && parseInt(outlineLevel) < 9) {
+            headingLevels.set(styleId, parseInt(outlineLevel) + 1);
+        }
+    }
+    return headingLevels;
+}
+
+/**
+ * Map numbering IDs to per-level list formats using numbering.xml
+ */
+function readNumberingFormats(numberingXml) {
+    const formats = new Map();
+    if (!numberingXml) return formats;
+
+    const abstractFormats = new Map();
+    for (const abstractNum of wChildren(numberingXml.documentElement, 'abstractNum')) {
+        const levels = new Map();
+        for (const level of wChildren(abstractNum, 'lvl')) {
+            levels.set(wAttr(level, 'ilvl'), wAttr(wChild(level, 'numFmt'), 'val') || 'decimal');
+        }
+        abstractFormats.set(wAttr(abstractNum, 'abstractNumId'), levels);
+    }
+
+    for (const num of wChildren(numberingXml.documentElement, 'num')) {
+        const abstractId = wAttr(wChild(num, 'abstractNumId'), 'val');
+        formats.set(wAttr(num, 'numId'), abstractFormats.get(abstractId) || new Map());
+    }
+    return formats;
+}
+
+/**
+ * Collect the text of a paragraph and count the explicit page breaks inside it
+ */
+function readParagraph(paragraph) {
+    let text = '';
+    let pageBreaks = 0;
+
+    const walk = (node) => {
+        for (const child of wChildren(node)) {
+            switch (child.localName) {
+                case 't':
+                    text += child.textContent;
+                    break;
+                case 'tab':
+                    text += '\t';
+                    break;
+                case 'br':
+                case 'cr':
+                    if (wAttr(child, 'type') === 'page') {
+                        pageBreaks++;
+                    } else {
+                        text += '\n';
+                    }
+                    break;
+                case 'pPr':
+                case 'rPr':
+                    break;
+                default:
+                    // Runs, hyperlinks, smart tags, inserted text, etc.
+                    walk(child);
+            }
+        }
+    };
+    walk(paragraph);
+
+    return { text, pageBreaks };
+}
+
+/**
+ * Read a w:tbl into a grid of cell text, expanding horizontal (gridSpan)
+ * and vertical (vMerge) merges into merged cell ranges
+ */
+function readTable(table) {
+    const data = [];
+    const mergedCells = [];
+    const openVerticalMerges = new Map(); // column -> merged range being extended
+    let headerRows = 0;
+    let pageBreaks = 0;
+
+    contentChildren(table, 'tr').forEach((row, rowIndex) => {
+        const rowData = [];
+        const isHeader = wChild(wChild(row, 'trPr'), 'tblHeader') !== null;
+        if (isHeader && headerRows === rowIndex) headerRows++;
+
+        for (const cell of contentChildren(row, 'tc')) {
+            const cellProperties = wChild(cell, 'tcPr');
+            const colSpan = parseInt(wAttr(wChild(cellProperties, 'gridSpan'), 'val')) || 1;
+            const vMerge = wChild(cellProperties, 'vMerge');
+            const column = rowData.length;
+
+            const paragraphs = [];
+            for (const child of contentChildren(cell)) {
+                if (child.localName === 'p') {
+                    const paragraph = readParagraph(child);
+                    paragraphs.push(paragraph.text);
+                    pageBreaks += paragraph.pageBreaks;
+                } else if (child.localName === 'tbl') {
+                    // Nested tables are flattened into the cell text
+                    const nested = readTable(child);
+                    paragraphs.push(nested.data.map(nestedRow => nestedRow.join('\t')).join('\n'));
+                }
+            }
+            const text = paragraphs.join('\n').trim();
+
+            if (vMerge && wAttr(vMerge, 'val') !== 'restart' && openVerticalMerges.has(column)) {
+                // Continuation of a vertical merge: extend the range, leave the cell empty
+                openVerticalMerges.get(column).rowSpan++;
+                rowData.push(...Array(colSpan).fill(''));
+                continue;
+            }
+
+            const range = { row: rowIndex, column, rowSpan: 1, colSpan };
+            if (vMerge) {
+                openVerticalMerges.set(column, range);
+            } else {
+                openVerticalMerges.delete(column);
+            }
+            if (colSpan > 1 || vMerge) {
+                mergedCells.push(range);
+            }
+
+            rowData.push(text, ...Array(colSpan - 1).fill(''));
+        }
+
+        data.push(rowData);
+    });
+
+    return {
+        data,
+        headerRows,
+        pageBreaks,
+        // Drop vertical merges that never spanned more than their own cell
+        mergedCells: mergedCells.filter(range => range.rowSpan > 1 || range.colSpan > 1)
+    };
+}
 
 /**
  * Extract text from DOCX file
- * @param {string} filePath - Path to DOCX file
+ * @param {Buffer} buffer - DOCX file content
  * @returns {Promise<Object>} Extracted text and metadata
  */
-async function extractDOCXText(filePath) {
+async function extractDOCXText(buffer) {
     try {
-        const result = await mammoth.extractRawText({ path: filePath });
-        const text = result.value;
-        const messages = result.messages;
-        
-        // Estimate page count (rough calculation: ~500 words per page)
-        const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-        const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-        
-        // Extract tables from DOCX
+        const zip = await JSZip.loadAsync(buffer);
+        const readXml = async (name) => {
+            const file = zip.file(name);
+            return file ? new DOMParser().parseFromString(await file.async('string'), 'text/xml') : null;
+        };
+
+        const documentXml = await readXml('word/document.xml');
+        if (!documentXml) {
+            throw new Error('word/document.xml not found');
+        }
+        const headingLevels = readHeadingStyles(await readXml('word/styles.xml'));
+        const numberingFormats = readNumberingFormats(await readXml('word/numbering.xml'));
+
+        const body = wChild(documentXml.documentElement, 'body');
+        const blocks = [];
         const extractedTables = [];
-        try {
-            // Use mammoth to extract tables
-            const tableResult = await mammoth.extractRawText({ path: filePath });
-            
-            // Simple table detection based on text patterns
-            // This is a basic implementation - more sophisticated table detection could be added
-            const lines = text.split('\n');
-            let currentTable = [];
-            let tableIndex = 0;
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                
-                // Check if line looks like a table row (contains multiple tab-separated or space-separated values)
-                if (line.includes('\t') || (line.split(/\s{2,}/).length > 2)) {
-                    const cells = line.split(/\t|\s{2,}/).filter(cell => cell.trim() !== '');
-                    if (cells.length > 1) {
-                        currentTable.push(cells);
-                    }
-                } else if (currentTable.length > 0) {
-                    // End of table detected
-                    if (currentTable.length > 1) { // Only add tables with more than one row
-                        extractedTables.push({
-                            pageNumber: 1, // DOCX doesn't have clear page breaks
-                            tableIndex: tableIndex++,
-                            data: currentTable,
-                            structure: {
-                                rows: currentTable.length,
-                                columns: currentTable[0] ? currentTable[0].length : 0
-                            }
-                        });
+        const lines = [];
+        let pageNumber = 1;
+        let explicitPageBreaks = 0;
+        const listCounters = new Map(); // numId -> counter per level
+
+        for (const element of contentChildren(body)) {
+            if (element.localName === 'p') {
+                const properties = wChild(element, 'pPr');
+                if (wChild(properties, 'pageBreakBefore')) {
+                    pageNumber++;
+                    explicitPageBreaks++;
+                }
+
+                const { text, pageBreaks } = readParagraph(element);
+                const styleId = wAttr(wChild(properties, 'pStyle'), 'val');
+                const numbering = wChild(properties, 'numPr');
+                const trimmed = text.trim();
+
+                if (trimmed) {
+                    if (headingLevels.has(styleId)) {
+                        blocks.push({ type: 'heading', level: headingLevels.get(styleId), text: trimmed, pageNumber });
+                        lines.push(trimmed);
+                    } else if (numbering) {
+                        const numId = wAttr(wChild(numbering, 'numId'), 'val');
+                        const level = parseInt(wAttr(wChild(numbering, 'ilvl'), 'val')) || 0;
+                        const format = (numberingFormats.get(numId) || new Map()).get(String(level)) || 'bullet';
+                        const listType = format === 'bullet' ? 'unordered' : 'ordered';
+
+                        // Number items per list and level, restarting deeper levels
+                        const counters = listCounters.get(numId) || [];
+                        counters[level] = (counters[level] || 0) + 1;
+                        counters.length = level + 1;
+                        listCounters.set(numId, counters);
+
+                        blocks.push({ type: 'listItem', listType, level, text: trimmed, pageNumber });
+                        lines.push(`${'  '.repeat(level)}${listType === 'ordered' ? `${counters[level]}.` : '-'} ${trimmed}`);
+                    } else {
+                        blocks.push({ type: 'paragraph', text: trimmed, pageNumber });
+                        lines.push(trimmed);
                     }
-                    currentTable = [];
                 }
-            }
-            
-            // Add the last table if it exists
-            if (currentTable.length > 1) {
+
+                pageNumber += pageBreaks;
+                explicitPageBreaks += pageBreaks;
+
+                // A section break other than "continuous" starts a new page
+                const sectionProperties = wChild(properties, 'sectPr');
+                if (sectionProperties && wAttr(wChild(sectionProperties, 'type'), 'val') !== 'continuous') {
+                    pageNumber++;
+                    explicitPageBreaks++;
+                }
+            } else if (element.localName === 'tbl') {
+                const table = readTable(element);
+                if (table.data.length === 0) continue;
+
+                const tableIndex = extractedTables.length;
                 extractedTables.push({
-                    pageNumber: 1,
-                    tableIndex: tableIndex,
-                    data: currentTable,
+                    pageNumber,
+                    tableIndex,
+                    data: table.data,
                     structure: {
-                        rows: currentTable.length,
-                        columns: currentTable[0] ? currentTable[0].length : 0
+                        rows: table.data.length,
+                        columns: Math.max(...table.data.map(row => row.length)),
+                        headerRows: table.headerRows,
+                        mergedCells: table.mergedCells
                     }
                 });
+                blocks.push({ type: 'table', tableIndex, pageNumber });
+                lines.push(table.data.map(row => row.join('\t')).join('\n'));
+
+                pageNumber += table.pageBreaks;
+                explicitPageBreaks += table.pageBreaks;
             }
-        } catch (tableError) {
-            console.log('Table extraction failed for DOCX:', tableError.message);
         }
-        
+
+        const text = lines.join('\n');
+
+        // Page blocks carry their text, tables as tab-separated rows
+        const pageBlocks = blocks.map(block => ({
+            type: block.type,
+            text: block.type === 'table'
+                ? extractedTables[block.tableIndex].data.map(row => row.join('\t')).join('\n')
+                : block.text,
+            confidence: 98,
+            level: block.level,
+            listType: block.listType,
+            tableIndex: block.tableIndex
+        }));
+
+        let pages;
+        if (explicitPageBreaks > 0) {
+            // Group the reading-order blocks into the pages the breaks make
+            pages = Array.from({ length: pageNumber }, (_, i) => ({
+                pageNumber: i + 1,
+                text: '',
+                confidence: 98,
+                method: 'text',
+                blocks: []
+            }));
+            blocks.forEach((block, index) => pages[block.pageNumber - 1].blocks.push(pageBlocks[index]));
+        } else {
+            // Without explicit breaks, estimate pages of ~500 words; blocks and
+            // tables take the page they were paginated onto
+            pages = paginateBlocks(pageBlocks, 98);
+            let index = 0;
+            pages.forEach(page => page.blocks.forEach(() => {
+                const block = blocks[index++];
+                block.pageNumber = page.pageNumber;
+                if (block.type === 'table') extractedTables[block.tableIndex].pageNumber = page.pageNumber;
+            }));
+        }
+
+        const pageCount = pages.length;
+        pages.forEach(page => {
+            page.text = page.blocks.map(block => block.text).join('\n');
+        });
+
         return {
             text: text,
             metadata: {
-                pageCount: estimatedPages,
-                extractionConfidence: messages.length === 0 ? 95 : 85,
-                processedPages: Array.from({ length: estimatedPages }, (_, i) => i + 1)
+                pageCount: pageCount,
+                extractionConfidence: 98,
+                processedPages: Array.from({ length: pageCount }, (_, i) => i + 1)
             },
-            tables: extractedTables
+            tables: extractedTables,
+            blocks: blocks,
+            pages: pages
         };
     } catch (error) {
         console.error('DOCX parsing error:', error);
@@ -86,4 +358,16 @@ async function extractDOCXText(filePath) {
     }
 }
 
-module.exports = { extractDOCXText };
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'docx',
+    label: 'Word document',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    magicBytes: [{ bytes: [0x50, 0x4b, 0x03, 0x04] }],
+    containerEntries: ['word/document.xml'],
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractDOCXText
+}];
+
+module.exports = { extractDOCXText, formats };
@@ -0,0 +1,174 @@
+/**
+ * Text embedders for the semantic index.
+ *
+ * The embedder is chosen with EMBEDDING_PROVIDER: `local` (default, a
+ * feature-hashing model that runs in-process and needs no download) or `http`
+ * (any server with an OpenAI-compatible /v1/embeddings endpoint, such as a
+ * locally-run Ollama, llama.cpp or text-embeddings-inference). Every embedder
+ * exposes:
+ *
+ *   {
+ *     name,
+ *     id,            // names the model; vectors from different ids are not comparable
+ *     embed(texts)   // resolves to one unit-length Float32Array per text
+ *   }
+ */
+
+const crypto = require('crypto');
+
+let embedder = null;
+
+/**
+ * Scale a vector to unit length so cosine similarity is a dot product
+ */
+function normalise(vector) {
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+/**
+ * Words of a text, lowercased, with digits and letters of any script
+ */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 1 || /\d/.test(word));
+}
+
+/**
+ * Embedder that hashes words, word pairs and character trigrams into a fixed
+ * number of dimensions (the hashing trick). It matches on shared vocabulary
+ * and word forms rather than meaning, but is fast, deterministic and offline.
+ * @param {number} [dimensions] - Vector size (EMBEDDING_DIMENSIONS, default 512)
+ * @returns {Object} Embedder
+ */
+function createLocalEmbedder(dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 512) {
+    const addFeature = (vector, feature, weight) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32LE(0) % dimensions;
+        // A second hash bit picks the sign so collisions tend to cancel out
+        vector[index] += (hash[4] & 1 ? 1 : -1) * weight;
+    };
+
+    const embedOne = text => {
+        const vector = new Float32Array(dimensions);
+        const words = tokenize(text);
+        const counts = new Map();
+        const count = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+        words.forEach((word, index) => {
+            count(`w:${word}`);
+            if (index > 0) count(`b:${words[index - 1]} ${word}`);
+            const padded = `<${word}>`;
+            for (let i = 0; i + 3 <= padded.length; i++) count(`c:${padded.slice(i, i + 3)}`);
+        });
+
+        // Sublinear term frequency; whole words weigh more than trigrams
+        for (const [feature, frequency] of counts) {
+            const weight = feature.startsWith('c:') ? 0.5 : 1;
+            addFeature(vector, feature, weight * (1 + Math.log(frequency)));
+        }
+        return normalise(vector);
+    };
+
+    return {
+        name: 'local',
+        id: `local-hash-${dimensions}`,
+        async embed(texts) {
+            return texts.map(embedOne);
+        }
+    };
+}
+
+/**
+ * Embedder calling an OpenAI-compatible embeddings endpoint
+ * @param {Object} [options] - Defaults from EMBEDDING_URL, EMBEDDING_MODEL,
+ *   EMBEDDING_API_KEY, EMBEDDING_BATCH_SIZE and EMBEDDING_TIMEOUT
+ * @returns {Object} Embedder
+ */
+function createHttpEmbedder(options = {}) {
+    const config = {
+        url: process.env.EMBEDDING_URL,
+        model: process.env.EMBEDDING_MODEL,
+        apiKey: process.env.EMBEDDING_API_KEY || null,
+        batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32,
+        timeout: parseInt(process.env.EMBEDDING_TIMEOUT) || 30000,
+        ...options
+    };
+
+    if (!config.url || !config.model) {
+        throw new Error('HTTP embeddings need EMBEDDING_URL and EMBEDDING_MODEL');
+    }
+
+    async function embedBatch(input) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+        const response = await fetch(config.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: config.model, input }),
+            signal: AbortSignal.timeout(config.timeout)
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Embedding request failed with HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+        }
+
+        const { data } = await response.json();
+        if (!Array.isArray(data) || data.length !== input.length) {
+            throw new Error('Embedding response does not have one vector per input');
+        }
+        return [...data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => normalise(Float32Array.from(item.embedding)));
+    }
+
+    return {
+        name: 'http',
+        id: `http:${config.model}`,
+        async embed(texts) {
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += config.batchSize) {
+                vectors.push(...await embedBatch(texts.slice(i, i + config.batchSize)));
+            }
+            return vectors;
+        }
+    };
+}
+
+/**
+ * Create the embedder named by EMBEDDING_PROVIDER
+ * @param {string} [provider] - local or http
+ * @returns {Object} Embedder
+ */
+function createEmbedder(provider = process.env.EMBEDDING_PROVIDER || 'local') {
+    switch (provider) {
+        case 'local':
+            return createLocalEmbedder();
+        case 'http':
+            return createHttpEmbedder();
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER '${provider}'; use local or http`);
+    }
+}
+
+/**
+ * The configured embedder, created on first use
+ */
+function getEmbedder() {
+    if (!embedder) {
+        embedder = createEmbedder();
+    }
+    return embedder;
+}
+
+module.exports = {
+    createEmbedder,
+    getEmbedder,
+    createLocalEmbedder,
+    createHttpEmbedder
+};
@@ -0,0 +1,296 @@
+const path = require('path');
+const { buildTextPages } = require('./pageBuilder');
+const { extractFromHTML } = require('./htmlParser');
+
+// Forwarded emails can nest other emails as attachments; stop descending after this
+const MAX_ATTACHMENT_DEPTH = 3;
+
+/**
+ * Decode bytes in a MIME charset, falling back to UTF-8 for unknown labels
+ */
+function decodeCharset(buffer, charset) {
+    try {
+        return new TextDecoder((charset || 'utf-8').toLowerCase()).decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf-8');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, ''); // Soft line breaks
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.substr(i + 1, 2))) {
+            bytes.push(parseInt(source.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(source.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ */
+function decodeHeaderValue(value) {
+    return (value || '')
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1') // Whitespace between encoded words is not content
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(encoded, 'base64')
+                : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset.split('*')[0]);
+        });
+}
+
+/**
+ * Split a raw MIME entity into lower-cased, unfolded headers and its body
+ */
+function splitEntity(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    const headerText = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+    const headers = {};
+
+    for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        const name = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+    }
+    return { headers, body };
+}
+
+/**
+ * Parse a structured header (Content-Type, Content-Disposition) into its
+ * value and parameters, including RFC 2231 encoded parameters
+ */
+function parseStructuredHeader(value) {
+    const [main, ...rest] = (value || '').split(';');
+    const params = {};
+    for (const part of rest) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+        let name = part.slice(0, separator).trim().toLowerCase();
+        let paramValue = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+        if (name.endsWith('*')) {
+            name = name.slice(0, -1);
+            const encoded = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+            if (encoded) {
+                const bytes = encoded[2].replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+                paramValue = decodeCharset(Buffer.from(bytes, 'latin1'), encoded[1]);
+            }
+        }
+        params[name] = decodeHeaderValue(paramValue);
+    }
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} body - Body as a latin1 string (one char per byte)
+ * @returns {Buffer}
+ */
+function decodeBody(body, transferEncoding) {
+    switch ((transferEncoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return Buffer.from(body, 'latin1');
+    }
+}
+
+/**
+ * Walk a MIME entity, collecting text bodies and attachments
+ */
+function collectParts(raw, result, alternative = false) {
+    const { headers, body } = splitEntity(raw);
+    const contentType = parseStructuredHeader(headers['content-type'] || 'text/plain');
+    const disposition = parseStructuredHeader(headers['content-disposition'] || '');
+    const fileName = disposition.params.filename || contentType.params.name || null;
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+        const boundary = `--${contentType.params.boundary}`;
+        const sections = body.split(new RegExp(`\\r?\\n?${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`));
+        // The first section is the preamble and the last the epilogue
+        const parts = sections.slice(1, -1).filter(section => section.trim() !== '');
+        parts.forEach(part => collectParts(part, result, contentType.value === 'multipart/alternative'));
+        return;
+    }
+
+    const content = decodeBody(body, headers['content-transfer-encoding']);
+    const isAttachment = disposition.value === 'attachment' || contentType.value === 'message/rfc822'
+        || (fileName && !contentType.value.startsWith('text/'));
+
+    if (isAttachment) {
+        result.attachments.push({
+            fileName: fileName || (contentType.value === 'message/rfc822' ? 'message.eml' : 'attachment'),
+            mimeType: contentType.value,
+            content
+        });
+    } else if (contentType.value === 'text/plain') {
+        // In multipart/alternative, keep the first plain-text rendering only
+        if (!(alternative && result.plain.length > 0)) {
+            result.plain.push(decodeCharset(content, contentType.params.charset));
+        }
+    } else if (contentType.value === 'text/html') {
+        result.html.push(decodeCharset(content, contentType.params.charset));
+    }
+}
+
+/**
+ * Parse an attachment with the parser registered for its extension
+ */
+async function processAttachment(attachment, depth, ocrOptions) {
+    // Required here because the registry itself loads this parser
+    const { getFormatByExtension } = require('./parserRegistry');
+    const extension = path.extname(attachment.fileName).toLowerCase().slice(1)
+        || (attachment.mimeType === 'message/rfc822' ? 'eml' : '');
+    const format = getFormatByExtension(extension);
+    const summary = {
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.content.length,
+        fileType: format ? format.type : null,
+        pageCount: 0,
+        processed: false,
+        error: null
+    };
+
+    if (!format) {
+        summary.error = `Unsupported attachment type '${extension || attachment.mimeType}'`;
+        return { summary, extracted: null };
+    }
+    if (depth >= MAX_ATTACHMENT_DEPTH) {
+        summary.error = 'Attachment nested too deeply';
+        return { summary, extracted: null };
+    }
+
+    try {
+        const extracted = await format.parse(attachment.content, { depth: depth + 1, ocr: ocrOptions });
+        summary.pageCount = extracted.metadata.pageCount;
+        summary.processed = true;
+        return { summary, extracted };
+    } catch (error) {
+        summary.error = error.message;
+        return { summary, extracted: null };
+    }
+}
+
+/**
+ * Extract headers, body and attachments from an email message (EML).
+ * Attachments in supported formats are parsed with their own parser and
+ * their pages and tables follow the message body.
+ * @param {Buffer} buffer - EML file content
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Nesting depth when parsing an attached email
+ * @param {Object} [options.ocr] - OCR options for image and scanned PDF attachments
+ * @returns {Promise<Object>} Extracted text, tables, pages and email metadata
+ */
+async function extractEMLText(buffer, options = {}) {
+    try {
+        const depth = options.depth || 0;
+        // latin1 keeps one char per byte so encoded bodies decode exactly
+        const raw = buffer.toString('latin1');
+        const { headers } = splitEntity(raw);
+        const parts = { plain: [], html: [], attachments: [] };
+        collectParts(raw, parts);
+
+        const email = {
+            from: decodeHeaderValue(headers.from) || null,
+            to: decodeHeaderValue(headers.to) || null,
+            cc: decodeHeaderValue(headers.cc) || null,
+            subject: decodeHeaderValue(headers.subject) || null,
+            date: headers.date ? new Date(headers.date) : null,
+            messageId: headers['message-id'] || null
+        };
+        if (email.date && isNaN(email.date)) email.date = null;
+
+        const headerText = [
+            ['From', email.from], ['To', email.to], ['Cc', email.cc],
+            ['Date', headers.date], ['Subject', email.subject]
+        ].filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+        // Plain text when the message has it, otherwise the HTML rendering (with its tables)
+        let bodyText = parts.plain.join('\n\n').trim();
+        let bodyTables = [];
+        if (!bodyText && parts.html.length > 0) {
+            const html = extractFromHTML(parts.html.join('\n'));
+            bodyText = html.text;
+            bodyTables = html.tables;
+        }
+
+        const pages = buildTextPages(`${headerText}\n\n${bodyText}`, 100);
+        const tables = bodyTables.map((table, tableIndex) => ({ ...table, pageNumber: Math.min(table.pageNumber, pages.length), tableIndex }));
+        const sections = [headerText, bodyText];
+        const attachments = [];
+
+        for (const attachment of parts.attachments) {
+            const { summary, extracted } = await processAttachment(attachment, depth, options.ocr);
+            attachments.push(summary);
+            if (!extracted) continue;
+
+            // Attachment pages and tables continue the message's numbering. Parsers
+            // number tables per page (PDF) or per file, so each table gets the
+            // next index in the message and blocks find theirs by page and index.
+            const pageOffset = pages.length;
+            const renumbered = new Map(); // "<page>:<tableIndex>" in the attachment -> index in the message
+            const byIndex = new Map(); // tableIndex -> index in the message, for blocks on pages tables do not name
+            sections.push(`Attachment: ${attachment.fileName}\n${extracted.text}`);
+            (extracted.tables || []).forEach(table => {
+                const tableIndex = tables.length;
+                renumbered.set(`${table.pageNumber || 1}:${table.tableIndex}`, tableIndex);
+                byIndex.set(table.tableIndex, byIndex.has(table.tableIndex) ? null : tableIndex);
+                tables.push({ ...table, pageNumber: (table.pageNumber || 1) + pageOffset, tableIndex });
+            });
+            const messageTableIndex = (page, block) => {
+                const key = `${page.pageNumber}:${block.tableIndex}`;
+                return renumbered.has(key) ? renumbered.get(key) : byIndex.get(block.tableIndex);
+            };
+            (extracted.pages || []).forEach(page => pages.push({
+                ...page,
+                pageNumber: page.pageNumber + pageOffset,
+                blocks: (page.blocks || []).map(block => (block.tableIndex === undefined
+                    ? block
+                    : { ...block, tableIndex: messageTableIndex(page, block) }))
+            }));
+        }
+
+        // Attachments that needed OCR pull the overall confidence down
+        const extractionConfidence = Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length);
+
+        return {
+            text: sections.filter(Boolean).join('\n\n'),
+            metadata: {
+                pageCount: pages.length,
+                extractionConfidence,
+                processedPages: pages.map(page => page.pageNumber),
+                email,
+                attachments
+            },
+            tables,
+            pages
+        };
+    } catch (error) {
+        console.error('EML parsing error:', error);
+        throw new Error(`Failed to extract EML content: ${error.message}`);
+    }
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'eml',
+    label: 'Email message',
+    extensions: ['eml'],
+    mimeTypes: ['message/rfc822'],
+    textual: true,
+    capabilities: { text: true, tables: true, ocr: true },
+    parse: extractEMLText
+}];
+
+module.exports = { extractEMLText, formats };
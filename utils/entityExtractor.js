@@ -0,0 +1,201 @@
+/**
+ * Offline named entity and key-value extraction from extracted text and
+ * table cells: dates, monetary amounts, percentages, email addresses, phone
+ * numbers, company names and "Label: value" pairs, each normalised and
+ * de-duplicated.
+ */
+const { DATE_PATTERN, AMOUNT_PATTERN, parseDate, parseAmount, parseNumber } = require('./valueParsers');
+
+// Keep documents a reasonable size however repetitive the content
+const MAX_PER_TYPE = 100;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const PERCENT_PATTERN = /(?<![\w.,])(-?\d+(?:[.,]\d+)?)\s?(?:%|per\s?cent\b)/gi;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,5}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,6}){1,4}(?![\w])/g;
+const PHONE_CONTEXT = /\b(?:tel|telephone|phone|ph|mobile|mob|cell|fax|call|contact|whatsapp)\b[^\n\d+(]{0,12}$/i;
+// Amounts without a currency only count when written like money (two decimals)
+const MONEY_DECIMALS = /[.,]\d{2}\)?$/;
+
+const COMPANY_SUFFIXES = [
+    'Private Limited', 'Pvt\\.? Ltd\\.?', 'Pty\\.? Ltd\\.?', 'Limited', 'Ltd\\.?', 'Incorporated', 'Inc\\.?',
+    'Corporation', 'Corp\\.?', 'LLC', 'L\\.L\\.C\\.', 'LLP', 'PLC', 'GmbH', 'AG', 'S\\.A\\.', 'SA', 'SAS', 'SARL',
+    'B\\.V\\.', 'BV', 'N\\.V\\.', 'NV', 'S\\.p\\.A\\.', 'SpA', 'Oy', 'AB', 'KG', 'Co\\.'
+];
+// Up to five capitalised words followed by a legal form
+const COMPANY_PATTERN = new RegExp(
+    `\\b((?:[A-Z][\\w&'.-]*|&)(?:[ \\t]+(?:[A-Z][\\w&'.-]*|&|of|and|for|the)){0,5}?)[ \\t,]+(${COMPANY_SUFFIXES.join('|')})(?![\\w])`,
+    'g'
+);
+
+// "Label: value", the label being a few words
+const KEY_VALUE_PATTERN = /^([A-Za-z][A-Za-z0-9 ()/#&.'-]{0,40}?)\s*:\s*(\S.{0,200}?)\s*$/;
+
+/**
+ * Replace matched text with spaces so later patterns do not read it again
+ * (e.g. the digits of a date as an amount) while offsets stay the same
+ */
+const mask = (text, start, length) => text.slice(0, start) + ' '.repeat(length) + text.slice(start + length);
+
+/**
+ * Collects de-duplicated entities of one type, up to MAX_PER_TYPE
+ */
+function collector() {
+    const items = new Map();
+    return {
+        add(key, item) {
+            if (!items.has(key) && items.size < MAX_PER_TYPE) items.set(key, item);
+        },
+        values: () => [...items.values()]
+    };
+}
+
+/**
+ * Scan one piece of text, adding what it finds to the collectors
+ */
+function scanText(text, pageNumber, found) {
+    let remaining = text;
+
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+        found.emails.add(match[0].toLowerCase(), { value: match[0].toLowerCase(), pageNumber });
+        remaining = mask(remaining, match.index, match[0].length);
+    }
+
+    for (const match of remaining.matchAll(new RegExp(DATE_PATTERN.source, 'gi'))) {
+        const value = parseDate(match[0]);
+        if (value) found.dates.add(value, { value, raw: match[0], pageNumber });
+        remaining = mask(remaining, match.index, match[0].length);
+    }
+
+    for (const match of remaining.matchAll(PERCENT_PATTERN)) {
+        const value = parseNumber(match[1]);
+        if (value !== null) found.percentages.add(String(value), { value, raw: match[0], pageNumber });
+        remaining = mask(remaining, match.index, match[0].length);
+    }
+
+    for (const match of remaining.matchAll(PHONE_PATTERN)) {
+        const raw = match[0];
+        const digits = raw.replace(/\D/g, '');
+        const explicit = raw.startsWith('+') || raw.startsWith('(');
+        if (digits.length < 8 || digits.length > 15) continue;
+        if (!explicit && !PHONE_CONTEXT.test(remaining.slice(Math.max(0, match.index - 30), match.index))) continue;
+
+        const value = raw.startsWith('+') ? `+${digits}` : digits;
+        found.phones.add(value, { value, raw, pageNumber });
+        remaining = mask(remaining, match.index, raw.length);
+    }
+
+    for (const match of remaining.matchAll(new RegExp(AMOUNT_PATTERN.source, 'gi'))) {
+        const amount = parseAmount(match[0]);
+        if (!amount || (!amount.currency && !MONEY_DECIMALS.test(match[0].trim()))) continue;
+        found.amounts.add(`${amount.value}|${amount.currency}`, { ...amount, raw: match[0].trim(), pageNumber });
+    }
+
+    for (const match of text.matchAll(COMPANY_PATTERN)) {
+        const value = `${match[1].trim()} ${match[2]}`.replace(/\s+/g, ' ');
+        found.companies.add(value.toLowerCase(), { value, pageNumber });
+    }
+}
+
+/**
+ * Type and normalised form of a key-value pair's value
+ */
+function normaliseValue(value) {
+    const date = parseDate(value);
+    if (date) return { type: 'date', normalized: date };
+
+    const percent = /^(-?\d+(?:[.,]\d+)?)\s?%$/.exec(value);
+    if (percent) return { type: 'percentage', normalized: parseNumber(percent[1]) };
+
+    const amountMatch = new RegExp(`^(?:${AMOUNT_PATTERN.source})$`, 'i').exec(value);
+    const amount = amountMatch ? parseAmount(value) : null;
+    if (amount) return { type: 'amount', normalized: amount.value, currency: amount.currency };
+
+    return { type: 'text', normalized: value };
+}
+
+function addKeyValue(found, label, value, source, pageNumber) {
+    const cleanLabel = label.replace(/\s+/g, ' ').trim();
+    const cleanValue = value.replace(/\s+/g, ' ').trim();
+    if (!cleanLabel || !cleanValue || /^https?$/i.test(cleanLabel)) return;
+
+    found.keyValues.add(`${cleanLabel}|${cleanValue}`.toLowerCase(), {
+        label: cleanLabel,
+        value: cleanValue,
+        ...normaliseValue(cleanValue),
+        source,
+        pageNumber
+    });
+}
+
+/**
+ * "Label: value" pairs, several per line when separated by tabs or runs of spaces
+ */
+function scanKeyValues(text, pageNumber, found) {
+    for (const line of text.split('\n')) {
+        for (const segment of line.split(/\t|[ ]{2,}/)) {
+            const match = KEY_VALUE_PATTERN.exec(segment);
+            if (match) addKeyValue(found, match[1], match[2], 'text', pageNumber);
+        }
+    }
+}
+
+/**
+ * Label/value rows of tables: two filled cells, the first a short label
+ */
+function scanTableKeyValues(table, found) {
+    const columns = table.data && table.data[0] ? table.data[0].length : 0;
+    for (const row of table.data || []) {
+        const cells = row.map(cell => String(cell === null || cell === undefined ? '' : cell).trim()).filter(Boolean);
+        if (cells.length !== 2) continue;
+
+        const [label, value] = cells;
+        const labelLike = /^[A-Za-z][A-Za-z0-9 ()/#&.'-]{0,40}:?$/.test(label);
+        if (labelLike && (label.endsWith(':') || columns === 2)) {
+            addKeyValue(found, label.replace(/:$/, ''), value, 'table', table.pageNumber || null);
+        }
+    }
+}
+
+/**
+ * Extract entities and key-value pairs from parser output
+ * @param {Object} extracted - Parser output ({ text, tables, pages })
+ * @returns {Object} { dates, amounts, percentages, emails, phones, companies, keyValues }
+ */
+function extractEntities(extracted) {
+    const found = {
+        dates: collector(),
+        amounts: collector(),
+        percentages: collector(),
+        emails: collector(),
+        phones: collector(),
+        companies: collector(),
+        keyValues: collector()
+    };
+
+    // Page by page when the parser produced pages, so entities keep their page
+    const pages = (extracted.pages || []).filter(page => page.text);
+    const sources = pages.length > 0
+        ? pages.map(page => ({ pageNumber: page.pageNumber, text: page.text }))
+        : [{ pageNumber: null, text: extracted.text || '' }];
+
+    for (const source of sources) {
+        scanText(source.text, source.pageNumber, found);
+        scanKeyValues(source.text, source.pageNumber, found);
+    }
+
+    // Table cells are not always part of the text
+    for (const table of extracted.tables || []) {
+        const rows = (table.data || []).map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))).join('\t'));
+        scanText(rows.join('\n'), table.pageNumber || null, found);
+        scanTableKeyValues(table, found);
+    }
+
+    return Object.fromEntries(Object.entries(found).map(([type, items]) => [type, items.values()]));
+}
+
+module.exports = {
+    EMAIL_PATTERN,
+    PHONE_PATTERN,
+    PHONE_CONTEXT,
+    extractEntities
+};
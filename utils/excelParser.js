@@ -1,52 +1,280 @@
 const XLSX = require('xlsx');
-const fs = require('fs');
+
+const SHEET_STATES = ['visible', 'hidden', 'veryHidden'];
+
+/**
+ * Typed value of a worksheet cell: numbers stay numbers, date-formatted
+ * numbers become ISO 8601 strings, errors keep their text (#DIV/0!)
+ */
+function readCell(cell, date1904) {
+    const format = cell.z && cell.z !== 'General' ? String(cell.z) : undefined;
+    const formula = cell.f ? `=${cell.f}` : undefined;
+    let type;
+    let value;
+
+    switch (cell.t) {
+        case 'n':
+            if (format && XLSX.SSF.is_date(format)) {
+                const parts = XLSX.SSF.parse_date_code(cell.v, { date1904 });
+                const pad = (number, length = 2) => String(number).padStart(length, '0');
+                type = 'date';
+                value = `${pad(parts.y, 4)}-${pad(parts.m)}-${pad(parts.d)}`;
+                if (parts.H || parts.M || parts.S) value += `T${pad(parts.H)}:${pad(parts.M)}:${pad(parts.S)}`;
+            } else {
+                type = 'number';
+                value = cell.v;
+            }
+            break;
+        case 'd':
+            type = 'date';
+            value = cell.v instanceof Date ? cell.v.toISOString() : String(cell.v);
+            break;
+        case 'b':
+            type = 'boolean';
+            value = Boolean(cell.v);
+            break;
+        case 'e':
+            type = 'error';
+            value = cell.w || '#ERROR';
+            break;
+        default:
+            type = 'string';
+            value = cell.v === undefined || cell.v === null ? '' : String(cell.v);
+    }
+
+    const text = cell.w !== undefined ? String(cell.w) : String(value);
+    if (type === 'string' && value.trim() === '' && !formula) return null;
+
+    return { type, value, text, ...(format ? { format } : {}), ...(formula ? { formula } : {}) };
+}
+
+/**
+ * Typed cells of a worksheet keyed by "row,column", with the cells hidden
+ * under merged ranges left out
+ */
+function readCells(worksheet, merges, date1904) {
+    const covered = new Set();
+    for (const range of merges) {
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                if (r !== range.s.r || c !== range.s.c) covered.add(`${r},${c}`);
+            }
+        }
+    }
+
+    const cells = new Map();
+    for (const address of Object.keys(worksheet)) {
+        if (address.startsWith('!')) continue;
+        const { r, c } = XLSX.utils.decode_cell(address);
+        if (covered.has(`${r},${c}`)) continue;
+        const cell = readCell(worksheet[address], date1904);
+        if (cell) cells.set(`${r},${c}`, cell);
+    }
+    return cells;
+}
 
 /**
- * Extract data from Excel files (XLSX, XLS)
- * @param {string} filePath - Path to Excel file
+ * Split a sheet into rectangular regions of touching cells. Blocks separated
+ * by at least one empty row or column are separate regions; merged ranges
+ * hold their whole area together.
+ */
+function findRegions(cells, merges) {
+    const occupied = new Set(cells.keys());
+    for (const range of merges) {
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            for (let c = range.s.c; c <= range.e.c; c++) occupied.add(`${r},${c}`);
+        }
+    }
+
+    const seen = new Set();
+    const regions = [];
+    for (const key of occupied) {
+        if (seen.has(key)) continue;
+
+        const [row, column] = key.split(',').map(Number);
+        const region = { top: row, left: column, bottom: row, right: column };
+        const stack = [[row, column]];
+        seen.add(key);
+        while (stack.length > 0) {
+            const [r, c] = stack.pop();
+            region.top = Math.min(region.top, r);
+            region.bottom = Math.max(region.bottom, r);
+            region.left = Math.min(region.left, c);
+            region.right = Math.max(region.right, c);
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const neighbour = `${r + dr},${c + dc}`;
+                    if (occupied.has(neighbour) && !seen.has(neighbour)) {
+                        seen.add(neighbour);
+                        stack.push([r + dr, c + dc]);
+                    }
+                }
+            }
+        }
+        regions.push(region);
+    }
+
+    // Regions whose bounding boxes overlap (e.g. an L-shaped block) become one
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < regions.length && !merged; i++) {
+            for (let j = i + 1; j < regions.length && !merged; j++) {
+                const a = regions[i];
+                const b = regions[j];
+                if (a.left <= b.right && b.left <= a.right && a.top <= b.bottom && b.top <= a.bottom) {
+                    regions[i] = {
+                        top: Math.min(a.top, b.top),
+                        left: Math.min(a.left, b.left),
+                        bottom: Math.max(a.bottom, b.bottom),
+                        right: Math.max(a.right, b.right)
+                    };
+                    regions.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+
+    return regions.sort((a, b) => a.top - b.top || a.left - b.left);
+}
+
+/**
+ * Header rows at the top of a table region: text-only rows, continuing past
+ * the first while a merged group header spans into or over the next row
+ */
+function countHeaderRows(grid, mergedCells) {
+    const textOnly = row => row.some(Boolean) && row.every(cell => !cell || cell.type === 'string');
+
+    let headerRows = 0;
+    while (headerRows < grid.length - 1 && textOnly(grid[headerRows])) {
+        headerRows++;
+        const grouped = mergedCells.some(range => range.row === headerRows - 1 && range.colSpan > 1)
+            || mergedCells.some(range => range.row < headerRows && range.row + range.rowSpan > headerRows);
+        if (!grouped) break;
+    }
+    return headerRows;
+}
+
+/**
+ * Build the extracted table for one region of a sheet
+ */
+function regionTable(region, cells, merges, sheetName, pageNumber, tableIndex) {
+    const grid = [];
+    for (let r = region.top; r <= region.bottom; r++) {
+        const row = [];
+        for (let c = region.left; c <= region.right; c++) row.push(cells.get(`${r},${c}`) || null);
+        grid.push(row);
+    }
+
+    const mergedCells = merges
+        .filter(range => range.s.r >= region.top && range.e.r <= region.bottom && range.s.c >= region.left && range.e.c <= region.right)
+        .map(range => ({
+            row: range.s.r - region.top,
+            column: range.s.c - region.left,
+            rowSpan: range.e.r - range.s.r + 1,
+            colSpan: range.e.c - range.s.c + 1
+        }));
+
+    return {
+        pageNumber,
+        tableIndex,
+        sheetName,
+        range: XLSX.utils.encode_range({ s: { r: region.top, c: region.left }, e: { r: region.bottom, c: region.right } }),
+        data: grid.map(row => row.map(cell => (cell ? cell.value : ''))),
+        cells: grid,
+        structure: {
+            rows: grid.length,
+            columns: grid[0] ? grid[0].length : 0,
+            headerRows: countHeaderRows(grid, mergedCells),
+            mergedCells
+        }
+    };
+}
+
+// Formatted text of a table, one tab-separated line per row
+const tableText = table => table.cells
+    .map(row => row.map(cell => (cell ? cell.text : '')).join('\t').replace(/\t+$/, ''))
+    .join('\n');
+
+/**
+ * Extract data from Excel files (XLSX, XLS). Each sheet is a page; each block
+ * of cells separated from the rest by empty rows or columns is its own table,
+ * with typed cell values, number formats, formulas and merged ranges. Lone
+ * cells (titles, notes) are kept as text.
+ * @param {Buffer} buffer - Excel file content
  * @returns {Promise<Object>} Extracted data and tables
  */
-async function extractExcelData(filePath) {
+async function extractExcelData(buffer) {
     try {
-        const workbook = XLSX.readFile(filePath);
-        const sheetNames = workbook.SheetNames;
+        const workbook = XLSX.read(buffer, { type: 'buffer', cellFormula: true, cellNF: true });
+        const workbookProps = workbook.Workbook || {};
+        const date1904 = Boolean(workbookProps.WBProps && workbookProps.WBProps.date1904);
         const extractedTables = [];
-        
-        let combinedText = '';
-        
-        // Process each sheet
-        sheetNames.forEach((sheetName, index) => {
+        const blocks = [];
+        const pages = [];
+        const sheets = [];
+
+        workbook.SheetNames.forEach((sheetName, index) => {
             const worksheet = workbook.Sheets[sheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-            
-            // Convert to text representation
-            const textData = jsonData.map(row => row.join('\t')).join('\n');
-            combinedText += `Sheet: ${sheetName}\n${textData}\n\n`;
-            
-            // Store as table
-            const cleanData = jsonData.filter(row => row.some(cell => cell !== ''));
-            
-            if (cleanData.length > 0) {
-                extractedTables.push({
-                    pageNumber: index + 1,
-                    tableIndex: index,
-                    data: cleanData,
-                    structure: {
-                        rows: cleanData.length,
-                        columns: cleanData[0] ? cleanData[0].length : 0
-                    }
-                });
+            const pageNumber = index + 1;
+            const sheetInfo = (workbookProps.Sheets || [])[index] || {};
+            const state = SHEET_STATES[sheetInfo.Hidden || 0] || 'hidden';
+            const merges = worksheet['!merges'] || [];
+            const cells = readCells(worksheet, merges, date1904);
+
+            const heading = `Sheet: ${sheetName}${state === 'visible' ? '' : ` (${state})`}`;
+            const pageBlocks = [{ type: 'heading', level: 1, text: heading }];
+            let sheetTables = 0;
+
+            for (const region of findRegions(cells, merges)) {
+                const table = regionTable(region, cells, merges, sheetName, pageNumber, extractedTables.length);
+                const filled = table.cells.flat().filter(Boolean).length;
+                if (filled < 2) {
+                    // A title or note on its own
+                    const text = tableText(table).trim();
+                    if (text) pageBlocks.push({ type: 'paragraph', text });
+                    continue;
+                }
+
+                extractedTables.push(table);
+                pageBlocks.push({ type: 'table', text: tableText(table), tableIndex: table.tableIndex });
+                sheetTables++;
             }
+
+            sheets.push({
+                name: sheetName,
+                pageNumber,
+                state,
+                range: worksheet['!ref'] || null,
+                tableCount: sheetTables
+            });
+
+            blocks.push(...pageBlocks.map(block => ({
+                ...block,
+                text: block.type === 'table' ? undefined : block.text,
+                pageNumber
+            })));
+            pages.push({
+                pageNumber,
+                text: pageBlocks.map(block => block.text).join('\n'),
+                confidence: 98,
+                method: 'text',
+                blocks: pageBlocks.map(block => ({ ...block, confidence: 98 }))
+            });
         });
-        
+
         return {
-            text: combinedText.trim(),
+            text: pages.map(page => page.text).join('\n\n'),
             metadata: {
-                pageCount: sheetNames.length,
+                pageCount: workbook.SheetNames.length,
                 extractionConfidence: 98,
-                processedPages: Array.from({ length: sheetNames.length }, (_, i) => i + 1)
+                processedPages: pages.map(page => page.pageNumber),
+                sheets
             },
-            tables: extractedTables
+            tables: extractedTables,
+            blocks,
+            pages: pages
         };
     } catch (error) {
         console.error('Excel parsing error:', error);
@@ -54,4 +282,55 @@ async function extractExcelData(filePath) {
     }
 }
 
-module.exports = { extractExcelData };
+/**
+ * Whether a legacy BIFF workbook stream starts with a FILEPASS record
+ * (the workbook globals are encrypted)
+ */
+function hasFilePassRecord(workbookStream) {
+    let offset = 0;
+    while (offset + 4 <= workbookStream.length) {
+        const recordType = workbookStream.readUInt16LE(offset);
+        const recordLength = workbookStream.readUInt16LE(offset + 2);
+        if (recordType === 0x002f) return true; // FILEPASS
+        if (recordType === 0x000a) return false; // EOF of the globals substream
+        offset += 4 + recordLength;
+    }
+    return false;
+}
+
+/**
+ * Whether a legacy XLS file is password-protected
+ */
+function isEncryptedXLS(buffer) {
+    try {
+        const container = XLSX.CFB.read(buffer, { type: 'buffer' });
+        const workbook = XLSX.CFB.find(container, 'Workbook') || XLSX.CFB.find(container, 'Book');
+        return workbook ? hasFilePassRecord(Buffer.from(workbook.content)) : false;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'xlsx',
+    label: 'Excel workbook',
+    extensions: ['xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    magicBytes: [{ bytes: [0x50, 0x4b, 0x03, 0x04] }],
+    containerEntries: ['xl/workbook.xml'],
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractExcelData
+}, {
+    type: 'xls',
+    label: 'Excel 97-2003 workbook',
+    extensions: ['xls'],
+    mimeTypes: ['application/vnd.ms-excel'],
+    magicBytes: [{ bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }],
+    containerEntries: ['Workbook', 'Book'],
+    isEncrypted: isEncryptedXLS,
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractExcelData
+}];
+
+module.exports = { extractExcelData, formats };
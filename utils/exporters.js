@@ -0,0 +1,171 @@
+const XLSX = require('xlsx');
+const JSZip = require('jszip');
+
+const tableRows = table => (Array.isArray(table.data) ? table.data : [])
+    .map(row => (Array.isArray(row) ? row : [row]).map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+
+/**
+ * Clean, stable JSON representation of a document's extracted content
+ * @param {Object} document - Document record
+ * @returns {Object} Export payload
+ */
+function toExportJSON(document) {
+    return {
+        id: document._id,
+        fileName: document.originalName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        status: document.processingStatus,
+        uploadedAt: document.createdAt,
+        metadata: {
+            pageCount: document.metadata.pageCount,
+            extractionConfidence: document.metadata.extractionConfidence,
+            processedPages: document.metadata.processedPages,
+            extractionDate: document.metadata.extractionDate
+        },
+        text: document.extractedText,
+        tables: (document.extractedTables || []).map(table => ({
+            pageNumber: table.pageNumber,
+            tableIndex: table.tableIndex,
+            ...(table.sheetName ? { sheetName: table.sheetName, range: table.range } : {}),
+            rows: table.structure ? table.structure.rows : tableRows(table).length,
+            columns: table.structure ? table.structure.columns : 0,
+            data: tableRows(table)
+        }))
+    };
+}
+
+// Cells spreadsheet programs would run as formulas; plain signed numbers are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[-+]?\d[\d,]*(\.\d+)?$/;
+
+/**
+ * Quote a CSV cell where needed. Extracted text is untrusted, so cells that
+ * would start a formula are prefixed with ' (and quoted) to be shown as text.
+ */
+function escapeCSVCell(value) {
+    if (FORMULA_START.test(value) && !SIGNED_NUMBER.test(value)) {
+        return `"'${value.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render one table as CSV (RFC 4180, UTF-8 with BOM so Excel picks the encoding)
+ * @param {Object} table - Extracted table
+ * @returns {string} CSV content
+ */
+function tableToCSV(table) {
+    return '\uFEFF' + tableRows(table).map(row => row.map(escapeCSVCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Name used for a table's file or sheet
+ */
+function tableLabel(table, index) {
+    return `table-${index + 1}${table.pageNumber ? `-page-${table.pageNumber}` : ''}`;
+}
+
+/**
+ * Zip several tables as one CSV file each
+ * @param {Array<Object>} tables - Extracted tables
+ * @returns {Promise<Buffer>} Zip archive
+ */
+async function tablesToCSVArchive(tables) {
+    const zip = new JSZip();
+    tables.forEach((table, index) => {
+        zip.file(`${tableLabel(table, index)}.csv`, tableToCSV(table));
+    });
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Where a table sits, for Markdown headings: its sheet and range, or its page
+ */
+function tableLocation(table) {
+    if (table.sheetName) return ` (Sheet ${table.sheetName}${table.range ? `, ${table.range}` : ''})`;
+    return table.pageNumber ? ` (Page ${table.pageNumber})` : '';
+}
+
+function escapeMarkdownCell(value) {
+    return value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render text and tables as Markdown, tables as pipe tables
+ * @param {Object} document - Document record
+ * @returns {string} Markdown content
+ */
+function toMarkdown(document) {
+    const sections = [
+        `# ${document.originalName}`,
+        [
+            `- **File type:** ${document.fileType.toUpperCase()}`,
+            `- **Pages:** ${document.metadata.pageCount}`,
+            `- **Extraction confidence:** ${document.metadata.extractionConfidence}%`
+        ].join('\n')
+    ];
+
+    if (document.extractedText) {
+        sections.push('## Text', document.extractedText.trim());
+    }
+
+    const tables = document.extractedTables || [];
+    if (tables.length > 0) {
+        sections.push('## Tables');
+        tables.forEach((table, index) => {
+            const rows = tableRows(table);
+            if (rows.length === 0) return;
+
+            const columns = Math.max(...rows.map(row => row.length));
+            const pad = row => [...row, ...Array(columns - row.length).fill('')].map(escapeMarkdownCell);
+            const [header, ...body] = rows.map(pad);
+
+            sections.push(
+                `### Table ${index + 1}${tableLocation(table)}`,
+                [
+                    `| ${header.join(' | ')} |`,
+                    `| ${header.map(() => '---').join(' | ')} |`,
+                    ...body.map(row => `| ${row.join(' | ')} |`)
+                ].join('\n')
+            );
+        });
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Build a workbook with each extracted table as its own sheet.
+ * Documents without tables get a single sheet holding the text lines.
+ * @param {Object} document - Document record
+ * @returns {Buffer} XLSX file
+ */
+function toXLSX(document) {
+    const workbook = XLSX.utils.book_new();
+    const tables = document.extractedTables || [];
+
+    tables.forEach((table, index) => {
+        // Sheet names are limited to 31 characters
+        const sheetName = tableLabel(table, index).slice(0, 31);
+        // Keep numbers and dates as typed cells rather than text
+        const rows = (Array.isArray(table.data) ? table.data : [])
+            .map(row => (Array.isArray(row) ? row : [row]).map(cell => (cell === null || cell === undefined ? '' : cell)));
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+    });
+
+    if (tables.length === 0) {
+        const lines = (document.extractedText || '').split(/\r?\n/).map(line => [line]);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(lines), 'Text');
+    }
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+    toExportJSON,
+    tableToCSV,
+    tablesToCSVArchive,
+    toMarkdown,
+    toXLSX
+};
@@ -0,0 +1,494 @@
+const vm = require('vm');
+const ExtractionTemplate = require('../models/ExtractionTemplate');
+const BUILT_IN_TEMPLATES = require('./fieldTemplates');
+const { DATE_PATTERN, AMOUNT_PATTERN, NUMBER_PATTERN, parseDate, parseNumber, parseAmount } = require('./valueParsers');
+const { escapeRegExp } = require('./textSearch');
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'amount', 'date'];
+const RULE_TYPES = ['keyword', 'regex', 'table', 'value'];
+
+// How far after a keyword (in characters) its value may start
+const DEFAULT_MAX_DISTANCE = 60;
+// Base confidence (0-100) of a value found by each kind of rule
+const RULE_CONFIDENCE = { table: 90, regex: 90, keyword: 85, value: 60 };
+
+// Patterns for finding a value of each type in running text
+const VALUE_PATTERNS = {
+    date: DATE_PATTERN,
+    amount: AMOUNT_PATTERN,
+    number: NUMBER_PATTERN,
+    integer: /\b\d+\b/
+};
+
+// Longest pattern a template rule may use
+const MAX_PATTERN_LENGTH = 2000;
+// How long (ms) one template pattern may search a text before it is cut off
+const PATTERN_TIMEOUT = parseInt(process.env.TEMPLATE_PATTERN_TIMEOUT) || 500;
+
+/**
+ * Why a template pattern could backtrack catastrophically, or null when it
+ * looks safe. A repeated group that can match the same text in more than one
+ * way (a variable quantifier or an alternation inside it) and backreferences
+ * are refused up front; anything that gets past this is still cut off by
+ * runPattern.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null}
+ */
+function unsafePatternReason(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) return `patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+
+    // One frame per open group; the last is the whole pattern
+    const frames = [{ variable: false, alternation: false }];
+    let lastGroup = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const frame = frames[frames.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+            i++;
+            lastGroup = null;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+            lastGroup = null;
+        } else if (char === '(') {
+            // Skip the (?: (?= (?! (?<= (?<! and (?<name> prefixes
+            const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+            frames.push({ variable: false, alternation: false });
+            lastGroup = null;
+        } else if (char === ')' && frames.length > 1) {
+            lastGroup = frames.pop();
+            frames[frames.length - 1].variable = frames[frames.length - 1].variable || lastGroup.variable;
+        } else if (char === '|') {
+            frame.alternation = true;
+            lastGroup = null;
+        } else if (/[*+?{]/.test(char)) {
+            let min;
+            let max;
+            if (char === '{') {
+                const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+                if (!bounds) {
+                    lastGroup = null;
+                    continue;
+                }
+                min = Number(bounds[1]);
+                max = bounds[2] ? (bounds[3] ? Number(bounds[3]) : Infinity) : min;
+                i += bounds[0].length - 1;
+            } else {
+                min = char === '+' ? 1 : 0;
+                max = char === '?' ? 1 : Infinity;
+            }
+            // Lazy quantifiers backtrack just as much
+            if (pattern[i + 1] === '?') i++;
+
+            if (lastGroup && max > 1 && (lastGroup.variable || lastGroup.alternation)) {
+                return 'repeated groups may not contain quantifiers or alternatives (e.g. (a+)+ or (a|ab)*)';
+            }
+            if (min !== max) frame.variable = true;
+            lastGroup = null;
+        } else {
+            lastGroup = null;
+        }
+    }
+    return null;
+}
+
+// Template patterns default to case-insensitive, multi-line matching
+const compile = (pattern, flags) => new RegExp(pattern, flags === undefined ? 'im' : flags);
+
+/**
+ * Compile a rule's pattern, or null when it is unsafe to run (templates stored
+ * before patterns were checked)
+ */
+const compileRule = rule => (unsafePatternReason(rule.pattern) ? null : compile(rule.pattern, rule.flags));
+
+// Template patterns run here, where execution can be stopped after PATTERN_TIMEOUT
+const patternContext = vm.createContext(Object.create(null));
+const patternScript = new vm.Script(`(() => {
+    const regex = new RegExp(source, flags);
+    const found = [];
+    let match;
+    while (found.length < limit && (match = regex.exec(input)) !== null) {
+        found.push({ values: Array.from(match), index: match.index });
+        if (match[0] === '') regex.lastIndex++;
+    }
+    return found;
+})()`);
+
+/**
+ * Matches of a template pattern, run in a separate context with a time limit
+ * so a pattern that backtracks catastrophically cannot block the server
+ * @param {RegExp} regex - Compiled rule pattern
+ * @param {string} text - Text to search
+ * @param {number} [limit] - Stop after this many matches
+ * @returns {Array<Object>} [{ values, index }] - values are the match and its groups; none when cut off
+ */
+function runPattern(regex, text, limit = Infinity) {
+    Object.assign(patternContext, {
+        source: regex.source,
+        flags: regex.flags.includes('g') ? regex.flags : `${regex.flags}g`,
+        input: text,
+        limit
+    });
+    try {
+        return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        console.error(`Template pattern /${regex.source}/ stopped after ${PATTERN_TIMEOUT}ms`);
+        return [];
+    } finally {
+        patternContext.input = null;
+    }
+}
+
+const allMatches = (regex, text) => [...text.matchAll(new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`))];
+
+/**
+ * Check a template definition
+ * @param {Object} template - Template as posted to the API
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+function validateTemplate(template) {
+    if (!template || typeof template !== 'object') return 'Template must be an object';
+    if (!template.name || typeof template.name !== 'string') return 'Template needs a name';
+    if (!Array.isArray(template.fields) || template.fields.length === 0) return 'Template needs at least one field';
+
+    for (const field of template.fields) {
+        if (!field.name || !/^[A-Za-z][A-Za-z0-9_]*$/.test(field.name)) {
+            return `Invalid field name '${field.name}': use letters, digits and underscores`;
+        }
+        if (!FIELD_TYPES.includes(field.type)) {
+            return `Field '${field.name}' has an unknown type; use one of: ${FIELD_TYPES.join(', ')}`;
+        }
+        if (!Array.isArray(field.rules) || field.rules.length === 0) {
+            return `Field '${field.name}' needs at least one rule`;
+        }
+        for (const rule of field.rules) {
+            if (!RULE_TYPES.includes(rule.type)) {
+                return `Field '${field.name}' has a rule of unknown type; use one of: ${RULE_TYPES.join(', ')}`;
+            }
+            if (rule.type === 'regex' && !rule.pattern) return `Regex rule of '${field.name}' needs a pattern`;
+            if (rule.type === 'keyword' && !(rule.keywords || []).length) return `Keyword rule of '${field.name}' needs keywords`;
+            if (rule.type === 'table' && !(rule.headers || []).length && !(rule.rowLabels || []).length) {
+                return `Table rule of '${field.name}' needs headers or rowLabels`;
+            }
+            if (rule.pattern) {
+                if (typeof rule.pattern !== 'string') return `Pattern of '${field.name}' must be a string`;
+                try {
+                    compile(rule.pattern, rule.flags);
+                } catch (error) {
+                    return `Invalid pattern in '${field.name}': ${error.message}`;
+                }
+                const unsafe = unsafePatternReason(rule.pattern);
+                if (unsafe) return `Unsafe pattern in '${field.name}': ${unsafe}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert raw text to the field's type
+ * @returns {Object|null} { value, currency? }
+ */
+function convertValue(raw, field) {
+    const text = (raw || '').trim();
+    if (!text) return null;
+
+    switch (field.type) {
+        case 'date': {
+            const value = parseDate(text, { dayFirst: field.dayFirst !== false });
+            return value ? { value } : null;
+        }
+        case 'amount': {
+            const amount = parseAmount(text);
+            return amount ? { value: amount.value, currency: amount.currency || field.currency || null } : null;
+        }
+        case 'number': {
+            const value = parseNumber(text);
+            return value === null ? null : { value };
+        }
+        case 'integer': {
+            const value = parseNumber(text);
+            return value === null || !Number.isInteger(value) ? null : { value };
+        }
+        default: {
+            const value = text.replace(/^[\s:#\-–]+/, '').trim();
+            return value ? { value } : null;
+        }
+    }
+}
+
+/**
+ * Value after a keyword: the first value of the field's type (or the rule's
+ * pattern) within maxDistance characters. Strings run to the end of the line,
+ * or take the next line when the keyword ends its line.
+ */
+function valueAfterKeyword(text, index, field, rule) {
+    const maxDistance = rule.maxDistance || DEFAULT_MAX_DISTANCE;
+    const window = text.slice(index, index + maxDistance + 100);
+    const separator = /^[ \t]*[:#\-–.]?[ \t]*/.exec(window)[0];
+    if (rule.requireSeparator && !/[:#\-–]/.test(separator) && !/^[ \t]*\n/.test(window)) return null;
+
+    if (rule.pattern) {
+        const regex = compileRule(rule);
+        const [match] = regex ? runPattern(regex, window, 1) : [];
+        if (!match || match.index > maxDistance) return null;
+        return { raw: match.values[0], offset: index + match.index, distance: match.index };
+    }
+
+    const pattern = VALUE_PATTERNS[field.type];
+    if (pattern) {
+        const match = new RegExp(pattern.source, pattern.flags.replace('g', '')).exec(window);
+        if (!match || match.index > maxDistance) return null;
+        return { raw: match[0], offset: index + match.index, distance: match.index };
+    }
+
+    // Strings: rest of the line up to a wide gap, else the next non-empty line
+    const rest = window.slice(separator.length);
+    const line = /^([^\n]*?)(?:[ \t]{3,}|\t|\n|$)/.exec(rest)[1].trim();
+    if (line) return { raw: line, offset: index + separator.length + rest.indexOf(line), distance: separator.length };
+
+    const nextLine = /^[^\n]*\n\s*([^\n]+)/.exec(rest);
+    if (!nextLine) return null;
+    const value = nextLine[1].split(/[ \t]{3,}|\t/)[0].trim();
+    return { raw: value, offset: index + separator.length + rest.indexOf(value), distance: separator.length + rest.indexOf(value) };
+}
+
+/**
+ * Candidate values for a text rule on one text source, each with a priority
+ * (the index of the keyword that found it; lower wins)
+ */
+function textCandidates(source, field, rule) {
+    const { text } = source;
+    const candidates = [];
+
+    if (rule.type === 'regex') {
+        const regex = compileRule(rule);
+        if (!regex) return candidates;
+        for (const { values, index } of runPattern(regex, text)) {
+            const group = rule.group !== undefined ? rule.group : (values.length > 1 ? 1 : 0);
+            const raw = values[group];
+            if (raw === undefined) continue;
+            candidates.push({ raw, offset: index + values[0].indexOf(raw), distance: 0, priority: 0 });
+        }
+    } else if (rule.type === 'value') {
+        const pattern = VALUE_PATTERNS[field.type];
+        if (!pattern) return candidates;
+        for (const match of allMatches(pattern, text)) {
+            candidates.push({ raw: match[0], offset: match.index, distance: 0, priority: 0 });
+        }
+    } else if (rule.type === 'keyword') {
+        rule.keywords.forEach((keyword, priority) => {
+            const regex = new RegExp(`\\b${escapeRegExp(keyword).replace(/\s+/g, '\\s+')}(?![A-Za-z])`, 'i');
+            for (const match of allMatches(regex, text)) {
+                const found = valueAfterKeyword(text, match.index + match[0].length, field, rule);
+                if (found) candidates.push({ ...found, keyword, priority });
+            }
+        });
+    }
+
+    return candidates.map(candidate => ({
+        ...candidate,
+        source: {
+            type: 'text',
+            pageNumber: source.pageNumber,
+            offset: candidate.offset,
+            length: candidate.raw.length,
+            ...(candidate.keyword ? { keyword: candidate.keyword } : {})
+        }
+    }));
+}
+
+const cellMatches = (cell, labels) => labels.some(label => new RegExp(`^\\W*${escapeRegExp(label).replace(/\s+/g, '\\s+')}\\b`, 'i').test(String(cell || '').trim()));
+
+/**
+ * Candidate values for a table rule: cells under a matching header, or the
+ * value cells of rows whose label matches
+ */
+function tableCandidates(tables, rule) {
+    const candidates = [];
+    const source = (table, row, column) => ({
+        type: 'table',
+        pageNumber: table.pageNumber || null,
+        tableIndex: table.tableIndex,
+        ...(table.sheetName ? { sheetName: table.sheetName } : {}),
+        row,
+        column
+    });
+
+    for (const table of tables || []) {
+        const data = table.data || [];
+        if (rule.headers && rule.headers.length > 0 && data.length > 1) {
+            const headerRows = Math.max(1, (table.structure && table.structure.headerRows) || 1);
+            const columns = data.slice(0, headerRows)
+                .flatMap(row => row.map((cell, column) => (cellMatches(cell, rule.headers) ? column : -1)))
+                .filter(column => column !== -1);
+            for (const column of [...new Set(columns)]) {
+                const rows = data.map((row, index) => index).slice(headerRows);
+                for (const row of rule.occurrence === 'last' ? rows.reverse() : rows) {
+                    candidates.push({ raw: String(data[row][column] || ''), source: source(table, row, column) });
+                }
+            }
+        }
+        if (rule.rowLabels && rule.rowLabels.length > 0) {
+            const rows = data.map((row, index) => index);
+            for (const row of rule.occurrence === 'last' ? rows.reverse() : rows) {
+                const labelColumn = data[row].findIndex(cell => cellMatches(cell, rule.rowLabels));
+                if (labelColumn === -1) continue;
+                // The value is usually the right-most filled cell of the row
+                for (let column = data[row].length - 1; column > labelColumn; column--) {
+                    candidates.push({ raw: String(data[row][column] || ''), source: source(table, row, column) });
+                }
+            }
+        }
+    }
+    return candidates.map(candidate => ({ ...candidate, distance: 0 }));
+}
+
+/**
+ * Text to search, page by page when the parser produced pages
+ */
+function textSources(extracted) {
+    const pages = (extracted.pages || []).filter(page => page.text);
+    return pages.length > 0
+        ? pages.map(page => ({ pageNumber: page.pageNumber, text: page.text }))
+        : [{ pageNumber: null, text: extracted.text || '' }];
+}
+
+/**
+ * Extract one field by trying its rules in order
+ * @returns {Object|null} { value, raw, type, confidence, source, currency? }
+ */
+function extractField(field, extracted, sources) {
+    for (const rule of field.rules) {
+        let ordered;
+        if (rule.type === 'table') {
+            ordered = tableCandidates(extracted.tables, rule);
+        } else {
+            // Best keyword first, then in reading order (or reverse for the last occurrence)
+            const candidates = sources.flatMap((source, sourceIndex) => textCandidates(source, field, rule)
+                .map(candidate => ({ ...candidate, position: sourceIndex * 1e9 + candidate.offset })));
+            const direction = rule.occurrence === 'last' ? -1 : 1;
+            ordered = candidates.sort((a, b) => a.priority - b.priority || direction * (a.position - b.position));
+        }
+
+        for (const candidate of ordered) {
+            const converted = convertValue(candidate.raw, field);
+            if (!converted) continue;
+
+            // Values found further from their keyword are less certain
+            const base = rule.confidence || RULE_CONFIDENCE[rule.type];
+            const maxDistance = rule.maxDistance || DEFAULT_MAX_DISTANCE;
+            const confidence = Math.round(base * (1 - 0.3 * Math.min(1, candidate.distance / maxDistance)));
+
+            return {
+                ...converted,
+                raw: candidate.raw.trim(),
+                type: field.type,
+                confidence,
+                source: candidate.source
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a template applies to a document, and how strongly
+ * @returns {number} Matching keywords found (0 = does not apply; 1 when the template has no keywords)
+ */
+function matchTemplate(template, extracted, fileType) {
+    const match = template.match || {};
+    if (match.fileTypes && match.fileTypes.length > 0 && fileType && !match.fileTypes.includes(fileType)) {
+        return 0;
+    }
+    const keywords = match.keywords || [];
+    if (keywords.length === 0) return 1;
+
+    const text = [extracted.text || '', ...(extracted.tables || []).map(table => (table.data || []).flat().join(' '))].join('\n');
+    return keywords.filter(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text)).length;
+}
+
+/**
+ * Run a single template over parser output
+ * @param {Object} template - Template definition
+ * @param {Object} extracted - Parser output ({ text, tables, pages })
+ * @param {string} [fileType] - Document file type, for templates limited to some types
+ * @returns {Object} { template, matched, confidence, fields, missing }
+ */
+function applyTemplate(template, extracted, fileType) {
+    const sources = textSources(extracted);
+    const fields = {};
+    const missing = [];
+
+    for (const field of template.fields) {
+        const result = extractField(field, extracted, sources);
+        if (result) {
+            fields[field.name] = result;
+        } else {
+            missing.push(field.name);
+        }
+    }
+
+    // Missing fields count as zero confidence
+    const confidence = Math.round(Object.values(fields).reduce((sum, field) => sum + field.confidence, 0) / template.fields.length);
+
+    return {
+        template: template.name,
+        matched: matchTemplate(template, extracted, fileType) > 0,
+        confidence,
+        fields,
+        missing,
+        requiredMissing: template.fields.filter(field => field.required && missing.includes(field.name)).map(field => field.name)
+    };
+}
+
+/**
+ * Built-in templates followed by the tenant's enabled stored ones
+ * @param {string} tenant - Tenant whose templates to include
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadTemplates(tenant) {
+    const stored = await ExtractionTemplate.find({ tenant, enabled: true }).lean();
+    return [...BUILT_IN_TEMPLATES, ...stored];
+}
+
+/**
+ * Pick the template that best fits the document and extract its fields.
+ * Templates must match the document and find all their required fields;
+ * among those, more matching keywords and then more fields found win.
+ * @param {Object} extracted - Parser output ({ text, tables, pages })
+ * @param {string} [fileType] - Document file type
+ * @param {Array<Object>} [templates] - Templates to choose from (default: the built-in ones)
+ * @returns {Promise<Object|null>} Result of applyTemplate, or null when no template fits
+ */
+async function extractFields(extracted, fileType, templates = BUILT_IN_TEMPLATES) {
+    let best = null;
+
+    for (const template of templates) {
+        const score = matchTemplate(template, extracted, fileType);
+        if (score === 0) continue;
+
+        const result = applyTemplate(template, extracted, fileType);
+        const found = Object.keys(result.fields).length;
+        if (found === 0 || result.requiredMissing.length > 0) continue;
+
+        if (!best || score > best.score || (score === best.score && found > best.found)) {
+            best = { score, found, result };
+        }
+    }
+    return best ? best.result : null;
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    validateTemplate,
+    applyTemplate,
+    loadTemplates,
+    extractFields
+};
@@ -0,0 +1,169 @@
+const { DATE_PATTERN } = require('./valueParsers');
+
+/**
+ * Built-in field extraction templates. A template picks the documents it
+ * applies to with `match` and lists the fields to pull out; each field tries
+ * its rules in order and keeps the first value found:
+ *
+ *   { type: 'keyword', keywords, pattern?, occurrence?, maxDistance?, requireSeparator? }
+ *       value of the field's type shortly after one of the keywords
+ *   { type: 'regex', pattern, flags?, group?, occurrence? }
+ *       a capture group (or the whole match) of a regular expression
+ *   { type: 'table', headers | rowLabels, occurrence? }
+ *       a cell under a matching column header, or in a row with a matching label
+ *   { type: 'value', occurrence? }
+ *       the first (or last) value of the field's type anywhere in the text
+ *
+ * Templates stored through the API use the same shape (see models/ExtractionTemplate.js).
+ */
+
+const DATE = DATE_PATTERN.source;
+
+const TOTAL_LABELS = ['grand total', 'total due', 'amount due', 'balance due', 'total amount', 'invoice total', 'total'];
+const TAX_LABELS = ['vat', 'gst', 'igst', 'cgst', 'sgst', 'sales tax', 'tax amount', 'tax'];
+const SUBTOTAL_LABELS = ['subtotal', 'sub total', 'sub-total', 'net amount', 'net total'];
+
+const invoice = {
+    name: 'invoice',
+    description: 'Supplier invoices and tax invoices',
+    match: { keywords: ['invoice', 'bill to', 'billed to', 'amount due'] },
+    fields: [{
+        name: 'invoiceNumber',
+        type: 'string',
+        required: true,
+        rules: [{
+            type: 'keyword',
+            keywords: ['invoice number', 'invoice no', 'invoice #', 'invoice'],
+            pattern: '[A-Z0-9][A-Z0-9\\-/]*\\d[A-Z0-9\\-/]*'
+        }]
+    }, {
+        name: 'invoiceDate',
+        type: 'date',
+        rules: [
+            { type: 'keyword', keywords: ['invoice date', 'date of issue', 'issue date', 'dated', 'date'] },
+            { type: 'value' }
+        ]
+    }, {
+        name: 'dueDate',
+        type: 'date',
+        rules: [{ type: 'keyword', keywords: ['due date', 'payment due', 'due by', 'due'] }]
+    }, {
+        name: 'vendorName',
+        type: 'string',
+        rules: [{ type: 'keyword', keywords: ['supplier', 'vendor', 'seller', 'bill from', 'from'], requireSeparator: true }]
+    }, {
+        name: 'customerName',
+        type: 'string',
+        rules: [{ type: 'keyword', keywords: ['bill to', 'billed to', 'sold to', 'customer'], requireSeparator: true }]
+    }, {
+        name: 'subtotal',
+        type: 'amount',
+        rules: [
+            { type: 'table', rowLabels: SUBTOTAL_LABELS },
+            { type: 'keyword', keywords: SUBTOTAL_LABELS }
+        ]
+    }, {
+        name: 'taxAmount',
+        type: 'amount',
+        rules: [
+            { type: 'table', rowLabels: TAX_LABELS },
+            { type: 'keyword', keywords: TAX_LABELS }
+        ]
+    }, {
+        name: 'totalAmount',
+        type: 'amount',
+        required: true,
+        rules: [
+            { type: 'table', rowLabels: TOTAL_LABELS, occurrence: 'last' },
+            { type: 'keyword', keywords: TOTAL_LABELS, occurrence: 'last' }
+        ]
+    }]
+};
+
+const receipt = {
+    name: 'receipt',
+    description: 'Till and card payment receipts',
+    match: { keywords: ['receipt', 'cashier', 'change due', 'amount paid', 'thank you for shopping', 'payment method'] },
+    fields: [{
+        name: 'merchantName',
+        type: 'string',
+        // Receipts are headed by the shop name
+        rules: [{ type: 'regex', pattern: '^\\s*(\\S[^\\n]*)', flags: '' }]
+    }, {
+        name: 'date',
+        type: 'date',
+        rules: [
+            { type: 'keyword', keywords: ['date'] },
+            { type: 'value' }
+        ]
+    }, {
+        name: 'taxAmount',
+        type: 'amount',
+        rules: [{ type: 'keyword', keywords: TAX_LABELS }]
+    }, {
+        name: 'totalAmount',
+        type: 'amount',
+        required: true,
+        rules: [
+            { type: 'keyword', keywords: ['amount paid', 'total paid', 'grand total', 'total'], occurrence: 'last' },
+            { type: 'table', rowLabels: ['total'], occurrence: 'last' }
+        ]
+    }, {
+        name: 'paymentMethod',
+        type: 'string',
+        rules: [{ type: 'regex', pattern: '\\b(cash|visa|mastercard|amex|maestro|rupay|upi|debit card|credit card)\\b', group: 1 }]
+    }]
+};
+
+const financialStatement = {
+    name: 'financialStatement',
+    description: 'Bank and account statements',
+    match: { keywords: ['statement', 'opening balance', 'closing balance', 'account number'] },
+    fields: [{
+        name: 'accountNumber',
+        type: 'string',
+        required: true,
+        rules: [{
+            type: 'keyword',
+            keywords: ['account number', 'account no', 'a/c no', 'a/c', 'account'],
+            pattern: '[0-9Xx*][0-9Xx* -]{4,}[0-9]'
+        }]
+    }, {
+        name: 'accountHolder',
+        type: 'string',
+        rules: [{ type: 'keyword', keywords: ['account holder', 'account name', 'customer name', 'name'], requireSeparator: true }]
+    }, {
+        name: 'periodStart',
+        type: 'date',
+        rules: [{ type: 'regex', pattern: `(${DATE})\\s*(?:to|-|until|through)\\s*(?:${DATE})`, group: 1 }]
+    }, {
+        name: 'periodEnd',
+        type: 'date',
+        rules: [{ type: 'regex', pattern: `(?:${DATE})\\s*(?:to|-|until|through)\\s*(${DATE})`, group: 1 }]
+    }, {
+        name: 'openingBalance',
+        type: 'amount',
+        rules: [
+            { type: 'table', rowLabels: ['opening balance', 'balance brought forward', 'previous balance'] },
+            { type: 'keyword', keywords: ['opening balance', 'balance brought forward', 'previous balance'] }
+        ]
+    }, {
+        name: 'closingBalance',
+        type: 'amount',
+        required: true,
+        rules: [
+            { type: 'table', rowLabels: ['closing balance', 'ending balance', 'balance carried forward', 'new balance'], occurrence: 'last' },
+            { type: 'keyword', keywords: ['closing balance', 'ending balance', 'balance carried forward', 'new balance'], occurrence: 'last' }
+        ]
+    }, {
+        name: 'totalCredits',
+        type: 'amount',
+        rules: [{ type: 'keyword', keywords: ['total credits', 'total deposits', 'credits'] }]
+    }, {
+        name: 'totalDebits',
+        type: 'amount',
+        rules: [{ type: 'keyword', keywords: ['total debits', 'total withdrawals', 'debits'] }]
+    }]
+};
+
+module.exports = [invoice, receipt, financialStatement];
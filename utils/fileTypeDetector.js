@@ -0,0 +1,124 @@
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const { getFormats } = require('./parserRegistry');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Common formats we do not parse, recognised only to report a useful MIME type
+const UNSUPPORTED_SIGNATURES = [
+    { bytes: Buffer.from('GIF8'), mimeType: 'image/gif' },
+    { bytes: Buffer.from([0x7f, 0x45, 0x4c, 0x46]), mimeType: 'application/x-executable' }
+];
+
+const startsWith = (buffer, signature, offset = 0) =>
+    buffer.length >= offset + signature.length && buffer.subarray(offset, offset + signature.length).equals(signature);
+
+function result(format, encrypted = false, mimeType = format ? format.mimeTypes[0] : 'application/octet-stream') {
+    return { type: format ? format.type : null, mimeType, encrypted, textual: Boolean(format && format.textual) };
+}
+
+function matchesSignature(buffer, signature) {
+    const bytes = Buffer.from(signature.bytes);
+    if (signature.within) {
+        return buffer.subarray(0, signature.within).indexOf(bytes) !== -1;
+    }
+    return startsWith(buffer, bytes, signature.offset || 0);
+}
+
+/**
+ * Entry names inside a ZIP or compound-file container, or null for other files
+ */
+async function listContainerEntries(buffer) {
+    try {
+        if (startsWith(buffer, ZIP_SIGNATURE)) {
+            const zip = await JSZip.loadAsync(buffer);
+            return { kind: 'zip', entries: Object.keys(zip.files) };
+        }
+        if (startsWith(buffer, CFB_SIGNATURE)) {
+            const container = XLSX.CFB.read(buffer, { type: 'buffer' });
+            const entries = container.FullPaths.map(fullPath => fullPath.replace(/\/$/, '').split('/').pop());
+            return { kind: 'cfb', entries };
+        }
+    } catch (error) {
+        // Corrupt container, treated as having no entries
+        return { kind: 'corrupt', entries: [] };
+    }
+    return null;
+}
+
+/**
+ * "MZ" alone is too weak (plain text can start with it), so also require
+ * the PE header the DOS stub points to
+ */
+function isWindowsExecutable(buffer) {
+    if (!startsWith(buffer, Buffer.from('MZ')) || buffer.length < 0x40) return false;
+    const peOffset = buffer.readUInt32LE(0x3c);
+    return startsWith(buffer, Buffer.from('PE\0\0'), peOffset);
+}
+
+/**
+ * Whether a buffer looks like text (no NUL bytes, decodes as UTF-8/UTF-16)
+ */
+function isText(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    if (startsWith(sample, Buffer.from([0xff, 0xfe])) || startsWith(sample, Buffer.from([0xfe, 0xff]))) {
+        return true; // UTF-16 BOM
+    }
+    if (sample.includes(0x00)) return false;
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, Math.max(0, sample.length - 3)));
+        return true;
+    } catch (error) {
+        // Allow legacy single-byte encodings as long as there are few control characters
+        const controlBytes = sample.filter(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20)).length;
+        return controlBytes / Math.max(1, sample.length) < 0.05;
+    }
+}
+
+/**
+ * Detect a file's real type from its content, using the magic bytes and
+ * container entries each registered format declares
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} { type, mimeType, encrypted, textual } where type is a
+ *   registered format type or null when the content is not a supported format
+ */
+async function detectFileType(buffer) {
+    const container = await listContainerEntries(buffer);
+
+    // Password-protected DOCX/XLSX are stored as an encrypted package inside a
+    // compound file, so the exact Office type cannot be seen
+    if (container && container.kind === 'cfb'
+        && (container.entries.includes('EncryptedPackage') || container.entries.includes('EncryptionInfo'))) {
+        return result(null, true, 'application/x-cfb');
+    }
+
+    for (const format of getFormats()) {
+        if (!format.magicBytes.some(signature => matchesSignature(buffer, signature))) continue;
+
+        if (format.containerEntries.length > 0) {
+            const entries = container ? container.entries : [];
+            if (!format.containerEntries.some(entry => entries.includes(entry))) continue;
+        }
+
+        return result(format, format.isEncrypted ? format.isEncrypted(buffer) : false);
+    }
+
+    if (container) {
+        return result(null, false, container.kind === 'cfb' ? 'application/x-cfb' : 'application/zip');
+    }
+
+    const known = UNSUPPORTED_SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+    if (known) return result(null, false, known.mimeType);
+    if (isWindowsExecutable(buffer)) return result(null, false, 'application/x-msdownload');
+
+    if (isText(buffer)) {
+        const textFormat = getFormats().find(format => format.textual);
+        if (textFormat) return result(textFormat);
+    }
+
+    return result(null);
+}
+
+module.exports = { detectFileType };
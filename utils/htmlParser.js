@@ -0,0 +1,270 @@
+const { parseDocument } = require('htmlparser2');
+const { paginateBlocks } = require('./pageBuilder');
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg', 'canvas', 'iframe', 'object']);
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'nav', 'aside', 'blockquote', 'pre',
+    'form', 'fieldset', 'figure', 'figcaption', 'address', 'dl', 'dt', 'dd', 'hr', 'body', 'html', 'caption'
+]);
+const HEADING_TAGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+/**
+ * Decode HTML bytes using the BOM or <meta> charset, defaulting to UTF-8
+ * @param {Buffer} buffer - Raw HTML
+ * @returns {string}
+ */
+function decodeHTML(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.subarray(3).toString('utf-8');
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.subarray(2).toString('utf16le');
+    }
+
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const declared = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+    if (declared) {
+        try {
+            return new TextDecoder(declared[1].toLowerCase()).decode(buffer);
+        } catch (error) {
+            // Unknown charset label, fall back to UTF-8
+        }
+    }
+    return buffer.toString('utf-8');
+}
+
+const collapse = text => text.replace(/[ \t\r\n\f]+/g, ' ');
+
+/**
+ * Text of a node and its descendants, keeping <br> and block boundaries as line breaks
+ */
+function textOf(node) {
+    if (node.type === 'text') return collapse(node.data);
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return '';
+    if (node.name === 'br') return '\n';
+
+    const inner = (node.children || []).map(textOf).join('');
+    return BLOCK_TAGS.has(node.name) || node.name === 'li' || node.name === 'tr' ? `\n${inner}\n` : inner;
+}
+
+const cleanText = text => text.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+/**
+ * Rows of an HTML table (thead/tbody/tfoot or bare tr), ignoring nested tables
+ */
+function tableRowElements(table) {
+    const rows = [];
+    for (const element of table.children || []) {
+        if (element.type !== 'tag') continue;
+        if (element.name === 'tr') {
+            rows.push({ row: element, header: false });
+        } else if (['thead', 'tbody', 'tfoot'].includes(element.name)) {
+            (element.children || [])
+                .filter(row => row.type === 'tag' && row.name === 'tr')
+                .forEach(row => rows.push({ row, header: element.name === 'thead' }));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Read an HTML table into a grid, placing cells around row and column spans
+ */
+function readTable(table) {
+    const grid = [];
+    const mergedCells = [];
+    let headerRows = 0;
+    let countingHeader = true;
+
+    tableRowElements(table).forEach(({ row, header }, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+        const cells = (row.children || []).filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'));
+        let column = 0;
+
+        for (const cell of cells) {
+            // Skip positions already filled by a rowspan from above
+            while (grid[rowIndex][column] !== undefined) column++;
+
+            const rowSpan = Math.max(1, parseInt(cell.attribs.rowspan) || 1);
+            const colSpan = Math.max(1, parseInt(cell.attribs.colspan) || 1);
+            const value = cleanText(textOf(cell));
+
+            for (let r = 0; r < rowSpan; r++) {
+                grid[rowIndex + r] = grid[rowIndex + r] || [];
+                for (let c = 0; c < colSpan; c++) {
+                    grid[rowIndex + r][column + c] = r === 0 && c === 0 ? value : '';
+                }
+            }
+            if (rowSpan > 1 || colSpan > 1) {
+                mergedCells.push({ row: rowIndex, column, rowSpan, colSpan });
+            }
+            column += colSpan;
+        }
+
+        // Leading rows in <thead> or made only of <th> cells are headers
+        const allHeaderCells = cells.length > 0 && cells.every(cell => cell.name === 'th');
+        if (countingHeader && (header || allHeaderCells)) {
+            headerRows++;
+        } else {
+            countingHeader = false;
+        }
+    });
+
+    const columns = grid.reduce((max, row) => Math.max(max, row.length), 0);
+    const data = grid
+        .map(row => Array.from({ length: columns }, (_, i) => (row[i] === undefined ? '' : row[i])))
+        .filter(row => row.some(cell => cell !== ''));
+
+    return { data, headerRows, mergedCells };
+}
+
+/**
+ * Walk the DOM in reading order, producing heading, paragraph, list item and table blocks
+ */
+function readBlocks(root) {
+    const blocks = [];
+    const tables = [];
+    const lists = [];
+    let buffer = '';
+    let preformatted = 0;
+
+    const flush = () => {
+        const text = preformatted > 0 ? buffer.replace(/^\n+|\s+$/g, '') : cleanText(buffer);
+        buffer = '';
+        if (!text) return;
+
+        const list = lists[lists.length - 1];
+        if (list && list.inItem) {
+            blocks.push({ type: 'listItem', listType: list.type, level: lists.length - 1, text });
+        } else {
+            blocks.push({ type: 'paragraph', text });
+        }
+    };
+
+    const walk = (node) => {
+        if (node.type === 'text') {
+            buffer += preformatted > 0 ? node.data : collapse(node.data);
+            return;
+        }
+        if (node.type !== 'tag' && node.type !== 'root') return;
+        if (SKIPPED_TAGS.has(node.name)) return;
+
+        const children = () => (node.children || []).forEach(walk);
+
+        if (node.name === 'br') {
+            buffer += '\n';
+        } else if (HEADING_TAGS[node.name]) {
+            flush();
+            const text = cleanText(textOf(node)).replace(/\n/g, ' ');
+            if (text) blocks.push({ type: 'heading', level: HEADING_TAGS[node.name], text });
+        } else if (node.name === 'table') {
+            flush();
+            const table = readTable(node);
+            if (table.data.length === 0) return;
+            const tableIndex = tables.length;
+            tables.push(table);
+            blocks.push({ type: 'table', text: table.data.map(row => row.join('\t')).join('\n'), tableIndex });
+        } else if (node.name === 'ul' || node.name === 'ol') {
+            flush();
+            lists.push({ type: node.name === 'ol' ? 'ordered' : 'unordered', inItem: false });
+            children();
+            flush();
+            lists.pop();
+        } else if (node.name === 'li') {
+            flush();
+            const list = lists[lists.length - 1];
+            if (list) list.inItem = true;
+            children();
+            flush();
+            if (list) list.inItem = false;
+        } else if (BLOCK_TAGS.has(node.name)) {
+            flush();
+            if (node.name === 'pre') preformatted++;
+            children();
+            flush();
+            if (node.name === 'pre') preformatted--;
+        } else {
+            children();
+        }
+    };
+
+    walk(root);
+    flush();
+
+    return { blocks, tables };
+}
+
+/**
+ * Extract text and tables from an HTML string
+ * @param {string} html - HTML source
+ * @returns {Object} Extracted text, tables, blocks and pages
+ */
+function extractFromHTML(html) {
+    const { blocks, tables } = readBlocks(parseDocument(html, { decodeEntities: true }));
+    const pages = paginateBlocks(blocks.map(block => ({ ...block, confidence: 98 })), 98);
+
+    // Tables and blocks take the page they were paginated onto
+    const extractedTables = [];
+    pages.forEach(page => page.blocks.forEach(block => {
+        block.pageNumber = page.pageNumber;
+        if (block.type !== 'table') return;
+        const table = tables[block.tableIndex];
+        extractedTables.push({
+            pageNumber: page.pageNumber,
+            tableIndex: block.tableIndex,
+            data: table.data,
+            structure: {
+                rows: table.data.length,
+                columns: table.data[0] ? table.data[0].length : 0,
+                headerRows: table.headerRows,
+                mergedCells: table.mergedCells
+            }
+        });
+    }));
+
+    const documentBlocks = pages.flatMap(page => page.blocks.map(({ confidence, ...block }) => (
+        block.type === 'table' ? { ...block, text: undefined } : block
+    )));
+    pages.forEach(page => {
+        page.blocks = page.blocks.map(({ pageNumber, ...block }) => block);
+    });
+
+    return {
+        text: blocks.map(block => block.text).join('\n'),
+        metadata: {
+            pageCount: pages.length,
+            extractionConfidence: 98,
+            processedPages: pages.map(page => page.pageNumber)
+        },
+        tables: extractedTables,
+        blocks: documentBlocks,
+        pages
+    };
+}
+
+/**
+ * Extract text and tables from an HTML file
+ * @param {Buffer} buffer - HTML file content
+ * @returns {Promise<Object>} Extracted text, tables and pages
+ */
+async function extractHTMLText(buffer) {
+    try {
+        return extractFromHTML(decodeHTML(buffer));
+    } catch (error) {
+        console.error('HTML parsing error:', error);
+        throw new Error(`Failed to extract HTML content: ${error.message}`);
+    }
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'html',
+    label: 'HTML',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html'],
+    textual: true,
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractHTMLText
+}];
+
+module.exports = { extractHTMLText, extractFromHTML, formats };
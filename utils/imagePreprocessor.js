@@ -0,0 +1,177 @@
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+
+// Images whose longest side is below this are upscaled before OCR; Tesseract
+// reads best when capital letters are at least ~20px tall
+const MIN_OCR_SIZE = 1600;
+const MAX_UPSCALE = 3;
+// Skew search range and the smallest correction worth applying (degrees)
+const MAX_SKEW = 15;
+const MIN_SKEW = 0.2;
+// Dark pixels sampled when estimating skew
+const SKEW_SAMPLE_POINTS = 30000;
+
+/**
+ * Draw an image onto a new white canvas, scaled and rotated about its centre.
+ * The canvas grows to fit the rotated image so corners are not cropped.
+ */
+function drawTransformed(image, scale, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const canvas = createCanvas(Math.round(width * cos + height * sin), Math.round(width * sin + height * cos));
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(radians);
+    context.drawImage(image, -width / 2, -height / 2, width, height);
+    return canvas;
+}
+
+/**
+ * Luminance (0-255) of every pixel
+ */
+function toGrayscale(imageData) {
+    const { data } = imageData;
+    const gray = new Uint8Array(data.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+    return gray;
+}
+
+/**
+ * Otsu's method: the threshold that best separates ink from background
+ */
+function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (const value of gray) histogram[value]++;
+
+    const total = gray.length;
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = { threshold: 128, variance: 0 };
+
+    for (let t = 0; t < 256; t++) {
+        weightBackground += histogram[t];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += t * histogram[t];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > best.variance) best = { threshold: t, variance };
+    }
+    return best.threshold;
+}
+
+/**
+ * Estimate text skew (degrees) with a projection profile: when the image is
+ * rotated by the right angle, dark pixels collapse into sharp horizontal bands
+ */
+function estimateSkew(gray, width, height, threshold) {
+    let darkPixels = 0;
+    for (const value of gray) if (value <= threshold) darkPixels++;
+    if (darkPixels < 100) return 0;
+
+    // Sample dark pixels evenly so large images stay fast
+    const step = Math.max(1, Math.ceil(darkPixels / SKEW_SAMPLE_POINTS));
+    const points = [];
+    let seen = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] <= threshold && seen++ % step === 0) points.push(x, y);
+        }
+    }
+
+    const offset = width;
+    const bins = new Float64Array(width + height + 1);
+    const score = (degrees) => {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        bins.fill(0);
+        for (let i = 0; i < points.length; i += 2) {
+            const row = Math.round(points[i + 1] * cos - points[i] * sin) + offset;
+            if (row >= 0 && row < bins.length) bins[row]++;
+        }
+        let total = 0;
+        for (const count of bins) total += count * count;
+        return total;
+    };
+
+    const search = (from, to, increment, start) => {
+        let best = { angle: start, score: score(start) };
+        for (let angle = from; angle <= to + 1e-9; angle += increment) {
+            const value = score(angle);
+            if (value > best.score) best = { angle, score: value };
+        }
+        return best.angle;
+    };
+
+    const coarse = search(-MAX_SKEW, MAX_SKEW, 1, 0);
+    const fine = search(coarse - 1, coarse + 1, 0.1, coarse);
+    return Math.abs(fine) < MIN_SKEW ? 0 : Math.round(fine * 10) / 10;
+}
+
+/**
+ * Prepare an image for OCR: upscale small images, undo page rotation,
+ * convert to grayscale, deskew and binarise
+ * @param {Buffer} imageBuffer - PNG/JPEG image
+ * @param {Object} [options]
+ * @param {number} [options.rotation] - Clockwise rotation (0/90/180/270) needed to make text upright
+ * @returns {Promise<Object>} { image: PNG buffer, width, height, settings }
+ */
+async function preprocessImage(imageBuffer, options = {}) {
+    const image = await loadImage(Buffer.from(imageBuffer));
+    const rotation = options.rotation || 0;
+    const longestSide = Math.max(image.width, image.height);
+    const scale = longestSide < MIN_OCR_SIZE ? Math.min(MAX_UPSCALE, MIN_OCR_SIZE / longestSide) : 1;
+
+    let canvas = drawTransformed(image, scale, rotation);
+    let gray = toGrayscale(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+    let threshold = otsuThreshold(gray);
+
+    const skew = estimateSkew(gray, canvas.width, canvas.height, threshold);
+    if (skew !== 0) {
+        canvas = drawTransformed(canvas, 1, -skew);
+        gray = toGrayscale(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+        threshold = otsuThreshold(gray);
+    }
+
+    // Binarise: ink black, everything else white
+    const context = canvas.getContext('2d');
+    const output = context.createImageData(canvas.width, canvas.height);
+    for (let i = 0; i < gray.length; i++) {
+        const value = gray[i] <= threshold ? 0 : 255;
+        output.data[i * 4] = value;
+        output.data[i * 4 + 1] = value;
+        output.data[i * 4 + 2] = value;
+        output.data[i * 4 + 3] = 255;
+    }
+    context.putImageData(output, 0, 0);
+
+    return {
+        image: await canvas.encode('png'),
+        width: canvas.width,
+        height: canvas.height,
+        settings: {
+            grayscale: true,
+            binarised: true,
+            threshold,
+            deskewAngle: skew,
+            rotation,
+            scale: Math.round(scale * 100) / 100
+        }
+    };
+}
+
+module.exports = { preprocessImage };
@@ -0,0 +1,211 @@
+const Job = require('../models/Job');
+const Document = require('../models/Document');
+
+const config = {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+    retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY) || 5000, // Base backoff in ms
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000
+};
+
+let handler = null;
+let pollTimer = null;
+let polling = false;
+const runningJobs = new Set();
+
+/**
+ * Add a document to the processing queue
+ * @param {string} documentId - Document to process
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueDocument(documentId) {
+    const job = await Job.create({
+        document: documentId,
+        maxAttempts: config.maxAttempts
+    });
+
+    // Pick the job up straight away if a worker slot is free
+    setImmediate(poll);
+    return job;
+}
+
+/**
+ * Find the queued or running job for a document, if any
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Active job
+ */
+async function getActiveJob(documentId) {
+    return Job.findOne({ document: documentId, status: { $in: ['queued', 'running'] } });
+}
+
+// Failures that can pass on their own: file system and network errors and timeouts
+const TRANSIENT_ERROR_CODES = new Set([
+    'EAGAIN', 'EBUSY', 'EIO', 'EMFILE', 'ENFILE',
+    'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT',
+    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+const TRANSIENT_ERROR_NAMES = new Set([
+    'TimeoutError', 'AbortError',
+    'MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError', 'MongooseServerSelectionError'
+]);
+
+/**
+ * Whether a failure is worth another attempt. Errors can say so themselves
+ * with `retryable`; otherwise only I/O, storage, network and timeout failures
+ * are, since parsing the same file again fails the same way.
+ * @param {Error} error - Failure raised by the handler
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (!error) return false;
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_NAMES.has(error.name)) return true;
+    return isTransientError(error.cause);
+}
+
+/**
+ * Whether a failed job will be attempted again
+ * @param {Object} job - Job that failed
+ * @param {Error} error - Failure raised by the handler
+ * @returns {boolean}
+ */
+function willRetry(job, error) {
+    return isTransientError(error) && job.attempts < job.maxAttempts;
+}
+
+/**
+ * Exponential backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts) {
+    return config.retryDelay * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Re-queue jobs and documents left behind by a previous run.
+ * Assumes a single server instance, so any job still marked running
+ * lost its worker when the process stopped.
+ */
+async function recoverOrphanedJobs() {
+    const requeued = await Job.updateMany(
+        { status: 'running' },
+        { $set: { status: 'queued', runAt: new Date(), lockedAt: null } }
+    );
+
+    // Documents stuck in pending/processing with no job at all
+    const queuedDocumentIds = await Job.distinct('document', { status: { $in: ['queued', 'running'] } });
+    const orphanedDocuments = await Document.find({
+        processingStatus: { $in: ['pending', 'processing'] },
+        _id: { $nin: queuedDocumentIds }
+    }).select('_id');
+
+    for (const document of orphanedDocuments) {
+        await Document.findByIdAndUpdate(document._id, { processingStatus: 'pending' });
+        await Job.create({ document: document._id, maxAttempts: config.maxAttempts });
+    }
+
+    const total = requeued.modifiedCount + orphanedDocuments.length;
+    if (total > 0) {
+        console.log(`♻️  Recovered ${total} orphaned processing job(s)`);
+    }
+}
+
+/**
+ * Atomically claim the next runnable job
+ */
+async function claimNextJob() {
+    return Job.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: new Date() } },
+        {
+            $set: { status: 'running', lockedAt: new Date() },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    runningJobs.add(job._id.toString());
+    try {
+        await handler(job);
+        await Job.findByIdAndUpdate(job._id, {
+            status: 'completed',
+            lockedAt: null,
+            lastError: null,
+            completedAt: new Date()
+        });
+    } catch (error) {
+        if (willRetry(job, error)) {
+            await Job.findByIdAndUpdate(job._id, {
+                status: 'queued',
+                lockedAt: null,
+                lastError: error.message,
+                runAt: new Date(Date.now() + getRetryDelay(job.attempts))
+            });
+        } else {
+            await Job.findByIdAndUpdate(job._id, {
+                status: 'failed',
+                lockedAt: null,
+                lastError: error.message,
+                completedAt: new Date()
+            });
+        }
+    } finally {
+        runningJobs.delete(job._id.toString());
+        setImmediate(poll);
+    }
+}
+
+/**
+ * Fill free worker slots with runnable jobs
+ */
+async function poll() {
+    if (!handler || polling) return;
+    polling = true;
+
+    try {
+        while (runningJobs.size < config.concurrency) {
+            const job = await claimNextJob();
+            if (!job) break;
+            runJob(job).catch(error => console.error('Job queue error:', error));
+        }
+    } catch (error) {
+        console.error('Job queue poll error:', error);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Start the worker pool
+ * @param {Function} jobHandler - Async function called with each claimed job
+ */
+async function startQueue(jobHandler) {
+    handler = jobHandler;
+    await recoverOrphanedJobs();
+
+    pollTimer = setInterval(poll, config.pollInterval);
+    console.log(`✅ Job queue started (concurrency: ${config.concurrency})`);
+    poll();
+}
+
+/**
+ * Stop claiming new jobs; running jobs are left to finish
+ */
+function stopQueue() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    handler = null;
+}
+
+module.exports = {
+    enqueueDocument,
+    getActiveJob,
+    isTransientError,
+    willRetry,
+    getRetryDelay,
+    recoverOrphanedJobs,
+    startQueue,
+    stopQueue
+};
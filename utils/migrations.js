@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const Batch = require('../models/Batch');
+const Document = require('../models/Document');
+const ExtractionTemplate = require('../models/ExtractionTemplate');
+const { isValidTenant } = require('./apiKeys');
+const { getStorage, newStorageKey } = require('./storage');
+
+// Tenant given to documents, batches and templates stored before tenants existed
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || 'default';
+
+/**
+ * Give records stored before tenants existed the default tenant, so they stay
+ * reachable with that tenant's keys
+ * @returns {Promise<Object>} Records updated per collection
+ */
+async function backfillTenants() {
+    if (!isValidTenant(DEFAULT_TENANT)) {
+        throw new Error(`DEFAULT_TENANT must be 1-64 letters, digits, '-' or '_' (got '${DEFAULT_TENANT}')`);
+    }
+
+    const missing = { tenant: { $in: [null, ''] } };
+    const update = { $set: { tenant: DEFAULT_TENANT } };
+    const [documents, batches, templates] = await Promise.all([
+        Document.updateMany(missing, update, { withDeleted: true }),
+        Batch.updateMany(missing, update),
+        ExtractionTemplate.updateMany(missing, update)
+    ]);
+
+    return {
+        documents: documents.modifiedCount,
+        batches: batches.modifiedCount,
+        templates: templates.modifiedCount
+    };
+}
+
+/**
+ * Storage key for a document uploaded before file storage existed, which only
+ * has the path multer saved it to (`uploads/<uuid><ext>`). Files the storage
+ * backend already holds under their name keep it; files elsewhere on disk are
+ * copied into storage under a new key.
+ */
+async function legacyStorageKey(document) {
+    const storage = getStorage();
+    const name = path.basename(document.filePath);
+    if (await storage.stat(name)) return name;
+
+    const fullPath = path.resolve(document.filePath);
+    if (!fs.existsSync(fullPath)) {
+        console.error(`❌ Original file of document ${document._id} not found at ${document.filePath}`);
+        return name;
+    }
+
+    const key = newStorageKey(document.tenant, document.originalName);
+    await storage.put(key, fs.createReadStream(fullPath), { contentType: document.mimeType || undefined });
+    return key;
+}
+
+/**
+ * Give documents that only have a filePath the storageKey their file can be
+ * read, downloaded and purged with
+ * @returns {Promise<number>} Documents updated
+ */
+async function backfillStorageKeys() {
+    const legacy = await Document.find(
+        { storageKey: { $in: [null, ''] }, filePath: { $type: 'string' } },
+        null,
+        { withDeleted: true }
+    ).select('tenant filePath originalName mimeType').lean();
+
+    let updated = 0;
+    for (const document of legacy) {
+        try {
+            const storageKey = await legacyStorageKey(document);
+            await Document.updateOne({ _id: document._id }, { $set: { storageKey } }, { withDeleted: true });
+            updated++;
+        } catch (error) {
+            console.error(`❌ Storage key backfill of document ${document._id} failed:`, error.message);
+        }
+    }
+    return updated;
+}
+
+/**
+ * Bring the database up to date with the current models: backfill fields
+ * older records lack, then build the indexes the schemas declare and drop
+ * ones they no longer do (such as the old unique template name index)
+ */
+async function runMigrations() {
+    const tenants = await backfillTenants();
+    const updated = Object.entries(tenants).filter(([, count]) => count > 0);
+    if (updated.length > 0) {
+        console.log(`✅ Assigned tenant '${DEFAULT_TENANT}' to ${updated.map(([name, count]) => `${count} ${name}`).join(', ')}`);
+    }
+
+    const storageKeys = await backfillStorageKeys();
+    if (storageKeys > 0) console.log(`✅ Assigned storage keys to ${storageKeys} older documents`);
+
+    for (const model of [Document, Batch, ExtractionTemplate]) {
+        const dropped = await model.syncIndexes();
+        if (dropped.length > 0) console.log(`✅ Dropped outdated ${model.modelName} indexes: ${dropped.join(', ')}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    backfillTenants,
+    backfillStorageKeys,
+    runMigrations
+};
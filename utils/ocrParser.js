@@ -1,46 +1,362 @@
 const Tesseract = require('tesseract.js');
 const fs = require('fs');
+const path = require('path');
+const { ocrBlocks } = require('./pageBuilder');
+const { preprocessImage } = require('./imagePreprocessor');
+const { detectTables } = require('./ocrTableDetector');
+
+// Directory of <lang>.traineddata(.gz) files; without it tesseract.js downloads
+// the default languages on first use
+const TESSDATA_DIR = process.env.TESSDATA_DIR || path.join(__dirname, '..', 'tessdata');
+const DEFAULT_LANGUAGES = (process.env.OCR_DEFAULT_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean);
+// At most this many languages are loaded for an automatically detected script
+const MAX_DETECTED_LANGUAGES = 3;
+// Script and orientation guesses below these confidences are ignored
+const MIN_SCRIPT_CONFIDENCE = 5;
+const MIN_ORIENTATION_CONFIDENCE = 5;
+
+// Tesseract language codes by the script names its orientation and script detection reports
+const SCRIPT_LANGUAGES = {
+    Latin: ['eng', 'deu', 'fra', 'spa', 'ita', 'por', 'nld', 'pol', 'ces', 'swe', 'dan', 'nor', 'fin', 'tur', 'ron', 'hun', 'ind', 'vie', 'lat'],
+    Cyrillic: ['rus', 'ukr', 'bul', 'srp', 'bel', 'mkd', 'kaz'],
+    Greek: ['ell'],
+    Arabic: ['ara', 'fas', 'urd'],
+    Hebrew: ['heb'],
+    Devanagari: ['hin', 'mar', 'nep', 'san'],
+    Bengali: ['ben', 'asm'],
+    Gurmukhi: ['pan'],
+    Gujarati: ['guj'],
+    Oriya: ['ori'],
+    Tamil: ['tam'],
+    Telugu: ['tel'],
+    Kannada: ['kan'],
+    Malayalam: ['mal'],
+    Sinhala: ['sin'],
+    Thai: ['tha'],
+    Lao: ['lao'],
+    Khmer: ['khm'],
+    Myanmar: ['mya'],
+    Tibetan: ['bod'],
+    Georgian: ['kat'],
+    Armenian: ['hye'],
+    Ethiopic: ['amh'],
+    Han: ['chi_sim', 'chi_tra'],
+    HanS: ['chi_sim'],
+    HanT: ['chi_tra'],
+    Japanese: ['jpn'],
+    Katakana: ['jpn'],
+    Hiragana: ['jpn'],
+    Hangul: ['kor'],
+    Korean: ['kor'],
+    Fraktur: ['deu_frak']
+};
+
+const logger = m => {
+    if (m.status === 'recognizing text') {
+        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+    }
+};
+
+/**
+ * Traineddata files in TESSDATA_DIR, by language code
+ * @returns {Map<string, {gzip: boolean}>}
+ */
+function readTessdata() {
+    const installed = new Map();
+    let files = [];
+    try {
+        files = fs.readdirSync(TESSDATA_DIR);
+    } catch (error) {
+        return installed; // No local language data
+    }
+    for (const file of files) {
+        const match = /^([A-Za-z_]+)\.traineddata(\.gz)?$/.exec(file);
+        if (match && !installed.has(match[1])) {
+            installed.set(match[1], { gzip: Boolean(match[2]) });
+        }
+    }
+    return installed;
+}
+
+/**
+ * OCR languages installed locally (orientation/script data excluded)
+ * @returns {Array<string>} Tesseract language codes
+ */
+function getInstalledLanguages() {
+    return [...readTessdata().keys()].filter(language => language !== 'osd').sort();
+}
+
+/**
+ * Languages an upload may request: the installed ones, or only the defaults
+ * when there is no local language data
+ * @returns {Array<string>}
+ */
+function getAvailableLanguages() {
+    const installed = getInstalledLanguages();
+    return installed.length > 0 ? installed : [...DEFAULT_LANGUAGES];
+}
+
+/**
+ * tesseract.js options for loading the given traineddata files
+ */
+function languageDataOptions(languages) {
+    const tessdata = readTessdata();
+    if (!languages.every(language => tessdata.has(language))) {
+        return {}; // Let tesseract.js fetch and cache them
+    }
+    return {
+        langPath: TESSDATA_DIR,
+        cacheMethod: 'none',
+        gzip: languages.every(language => tessdata.get(language).gzip)
+    };
+}
+
+/**
+ * Start a worker, rejecting if its language data fails to load
+ */
+function startWorker(languages, oem, options) {
+    return new Promise((resolve, reject) => {
+        // tesseract.js rethrows worker failures outside any promise unless an
+        // errorHandler is set, and with one set a failed language load never
+        // settles createWorker, so reject from the handler ourselves
+        const errorHandler = error => reject(error instanceof Error ? error : new Error(String(error)));
+
+        Tesseract.createWorker(languages, oem, { logger, errorHandler, ...options }).then(resolve, reject);
+    });
+}
+
+/**
+ * Create a reusable Tesseract worker for recognising several images
+ * @param {Array<string>} [languages] - Tesseract language codes, the defaults if omitted
+ * @returns {Promise<Object>} Tesseract worker (call terminate() when done)
+ */
+function createOCRWorker(languages = DEFAULT_LANGUAGES) {
+    return startWorker(languages.join('+'), 1, languageDataOptions(languages));
+}
+
+/**
+ * Worker for orientation and script detection, or null when osd.traineddata
+ * is not installed. Detection needs the legacy engine.
+ */
+async function createDetectionWorker() {
+    if (!readTessdata().has('osd')) return null;
+    return startWorker('osd', 0, { ...languageDataOptions(['osd']), legacyCore: true, legacyLang: true });
+}
+
+/**
+ * Languages to read a detected script with. A script the default languages
+ * already cover is read with those; otherwise the installed languages of the
+ * script are loaded alongside the defaults (documents mixing in Latin text
+ * are common).
+ */
+function languagesForScript(script) {
+    const scriptLanguages = SCRIPT_LANGUAGES[script] || [];
+    const defaults = DEFAULT_LANGUAGES.filter(language => scriptLanguages.includes(language));
+    if (defaults.length > 0) return defaults;
+
+    const installed = getInstalledLanguages();
+    const available = scriptLanguages.filter(language => installed.includes(language));
+    return [...available.slice(0, MAX_DETECTED_LANGUAGES), ...DEFAULT_LANGUAGES];
+}
+
+/**
+ * Run OCR on a single image
+ * @param {Buffer|Uint8Array} imageBuffer - Image data
+ * @param {Object} [worker] - Worker from createOCRWorker, a one-off worker is used if omitted
+ * @returns {Promise<Object>} Recognised text, confidence (0-100) and page blocks with bounding boxes
+ */
+async function recognizeImage(imageBuffer, worker = null) {
+    const ocrWorker = worker || await createOCRWorker();
+
+    try {
+        const { data: { text, confidence, blocks } } = await ocrWorker.recognize(
+            Buffer.from(imageBuffer),
+            {},
+            { text: true, blocks: true }
+        );
+        return { text, confidence, blocks: ocrBlocks(blocks) };
+    } finally {
+        if (!worker) {
+            await ocrWorker.terminate();
+        }
+    }
+}
+
+/**
+ * Create an OCR session for one document. Each image is checked for page
+ * rotation and script, preprocessed, then recognised with the requested
+ * languages or those of the detected script. Workers are reused across
+ * pages; call terminate() when done.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.languages] - Languages to use instead of detecting them
+ * @param {boolean} [options.preprocess] - Clean up images before OCR (default true)
+ * @returns {Object} { recognize(imageBuffer, pageNumber), summary(), terminate() }
+ */
+function createOCRSession(options = {}) {
+    const requestedLanguages = options.languages && options.languages.length > 0 ? options.languages : null;
+    const preprocess = options.preprocess !== false;
+    const workers = new Map();
+    const pages = [];
+    let detectionWorker;
+
+    const getWorker = (languages) => {
+        const key = languages.join('+');
+        if (!workers.has(key)) {
+            const worker = createOCRWorker(languages);
+            worker.catch(() => {}); // Awaited by each caller; a failed load is reported there
+            workers.set(key, worker);
+        }
+        return workers.get(key);
+    };
+
+    // Orientation and script of the page; detection is best effort
+    const detect = async (imageBuffer) => {
+        if (detectionWorker === undefined) {
+            detectionWorker = createDetectionWorker().catch((error) => {
+                console.log('Orientation and script detection unavailable:', error.message);
+                return null;
+            });
+        }
+        const worker = await detectionWorker;
+        if (!worker) return null;
+
+        try {
+            const { data } = await worker.detect(Buffer.from(imageBuffer));
+            return {
+                script: data.script_confidence >= MIN_SCRIPT_CONFIDENCE ? data.script : null,
+                scriptConfidence: Math.round(data.script_confidence * 10) / 10,
+                rotation: data.orientation_confidence >= MIN_ORIENTATION_CONFIDENCE ? data.orientation_degrees || 0 : 0
+            };
+        } catch (error) {
+            // Pages with too little text for detection
+            return null;
+        }
+    };
+
+    const recognize = async (imageBuffer, pageNumber = 1) => {
+        const detection = await detect(imageBuffer);
+
+        let languages = requestedLanguages;
+        let languageSource = 'requested';
+        if (!languages) {
+            languages = detection && detection.script ? languagesForScript(detection.script) : DEFAULT_LANGUAGES;
+            languageSource = detection && detection.script ? 'detected' : 'default';
+        }
+
+        let image = Buffer.from(imageBuffer);
+        let preprocessing = null;
+        let size = {};
+        if (preprocess) {
+            const prepared = await preprocessImage(image, { rotation: detection ? detection.rotation : 0 });
+            image = prepared.image;
+            preprocessing = prepared.settings;
+            size = { width: prepared.width, height: prepared.height };
+        }
+
+        const result = await recognizeImage(image, await getWorker(languages));
+        pages.push({
+            pageNumber,
+            languages,
+            languageSource,
+            script: detection ? detection.script : null,
+            scriptConfidence: detection ? detection.scriptConfidence : null,
+            preprocessing
+        });
+        return { ...result, ...size };
+    };
+
+    // OCR settings for the document's metadata
+    const summary = () => ({
+        requestedLanguages: requestedLanguages || [],
+        languages: [...new Set(pages.flatMap(page => page.languages))],
+        preprocess,
+        pages: [...pages].sort((a, b) => a.pageNumber - b.pageNumber)
+    });
+
+    const terminate = async () => {
+        const started = [...workers.values(), detectionWorker || Promise.resolve(null)];
+        await Promise.all(started.map(worker => worker
+            .then(instance => instance && instance.terminate())
+            .catch(() => {})));
+    };
+
+    return { recognize, summary, terminate };
+}
 
 /**
  * Extract text from image files using OCR
- * @param {string} filePath - Path to image file
+ * @param {Buffer} imageBuffer - Image file content
+ * @param {Object} [options]
+ * @param {Object} [options.progressTracker] - Tracker to report OCR progress to
+ * @param {Object} [options.ocr] - OCR session options (languages, preprocess)
  * @returns {Promise<Object>} Extracted text and metadata
  */
-async function extractOCRText(filePath) {
+async function extractOCRText(imageBuffer, options = {}) {
+    const session = createOCRSession(options.ocr);
     try {
-        // Read the image file
-        const imageBuffer = fs.readFileSync(filePath);
-        
+        if (options.progressTracker) {
+            options.progressTracker.updateProgress(50, 'Performing OCR on image');
+        }
+
         // Perform OCR
-        const { data: { text, confidence } } = await Tesseract.recognize(
-            imageBuffer,
-            'eng', // English language
-            {
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-                    }
-                }
-            }
-        );
-        
-        // Calculate page count (estimate based on text length)
-        const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-        const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-        
+        const { text, confidence, blocks, width, height } = await session.recognize(imageBuffer, 1);
+        const extractionConfidence = Math.round(confidence);
+
+        // An image is a single page
         return {
             text: text.trim(),
             metadata: {
-                pageCount: estimatedPages,
-                extractionConfidence: Math.round(confidence),
-                processedPages: Array.from({ length: estimatedPages }, (_, i) => i + 1)
+                pageCount: 1,
+                extractionConfidence: extractionConfidence,
+                processedPages: [1],
+                ocr: session.summary()
             },
-            tables: [] // OCR doesn't extract tables directly
+            // Tables reconstructed from word positions
+            tables: detectTables(blocks, 1),
+            pages: [{
+                pageNumber: 1,
+                text: text.trim(),
+                confidence: extractionConfidence,
+                method: 'ocr',
+                width,
+                height,
+                blocks
+            }]
         };
     } catch (error) {
         console.error('OCR parsing error:', error);
         throw new Error(`Failed to extract OCR content: ${error.message}`);
+    } finally {
+        await session.terminate();
     }
 }
 
-module.exports = { extractOCRText };
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'jpg',
+    label: 'JPEG image',
+    extensions: ['jpg', 'jpeg'],
+    mimeTypes: ['image/jpeg'],
+    magicBytes: [{ bytes: [0xff, 0xd8, 0xff] }],
+    capabilities: { text: true, tables: true, ocr: true },
+    parse: extractOCRText
+}, {
+    type: 'png',
+    label: 'PNG image',
+    extensions: ['png'],
+    mimeTypes: ['image/png'],
+    magicBytes: [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+    capabilities: { text: true, tables: true, ocr: true },
+    parse: extractOCRText
+}];
+
+module.exports = {
+    extractOCRText,
+    recognizeImage,
+    createOCRWorker,
+    createOCRSession,
+    getInstalledLanguages,
+    getAvailableLanguages,
+    DEFAULT_LANGUAGES,
+    formats
+};
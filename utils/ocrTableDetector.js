@@ -0,0 +1,187 @@
+/**
+ * Reconstruct tables from OCR word bounding boxes.
+ *
+ * Words are grouped into visual rows, each row is split into cells where the
+ * horizontal gap between words is much wider than a word space, and runs of
+ * consecutive multi-cell rows whose cells line up form a table. Columns are
+ * the union of the cells' horizontal extents across the run.
+ */
+
+// A gap wider than this many text heights separates two cells
+const CELL_GAP_RATIO = 1.5;
+// A vertical gap taller than this many text heights ends a table
+const ROW_GAP_RATIO = 2.5;
+const MIN_TABLE_ROWS = 2;
+const MIN_TABLE_COLUMNS = 2;
+// Table borders read as runs of these characters; they are not content
+const RULING_PATTERN = /^[|_\-=+:.]+$/;
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Every word on the page with its bounding box
+ */
+function collectWords(blocks) {
+    const words = [];
+    for (const block of blocks || []) {
+        for (const line of block.lines || []) {
+            for (const word of line.words || []) {
+                const text = (word.text || '').trim();
+                if (!text || !word.bbox || RULING_PATTERN.test(text)) continue;
+                words.push({ text, confidence: word.confidence, ...word.bbox });
+            }
+        }
+    }
+    return words;
+}
+
+/**
+ * Group words into visual rows by their vertical centre
+ */
+function groupRows(words) {
+    const rows = [];
+    const byCentre = [...words].sort((a, b) => (a.y0 + a.y1) - (b.y0 + b.y1));
+
+    for (const word of byCentre) {
+        const centre = (word.y0 + word.y1) / 2;
+        const row = rows[rows.length - 1];
+        if (row && centre >= row.y0 && centre <= row.y1) {
+            row.words.push(word);
+            row.y0 = Math.min(row.y0, word.y0);
+            row.y1 = Math.max(row.y1, word.y1);
+        } else {
+            rows.push({ words: [word], y0: word.y0, y1: word.y1 });
+        }
+    }
+
+    rows.forEach(row => row.words.sort((a, b) => a.x0 - b.x0));
+    return rows;
+}
+
+/**
+ * Split a row into cells at gaps wider than a word space
+ */
+function splitCells(row, cellGap) {
+    const cells = [];
+    for (const word of row.words) {
+        const cell = cells[cells.length - 1];
+        if (cell && word.x0 - cell.x1 <= cellGap) {
+            cell.words.push(word);
+            cell.x1 = Math.max(cell.x1, word.x1);
+        } else {
+            cells.push({ words: [word], x0: word.x0, x1: word.x1 });
+        }
+    }
+    return cells.map(cell => ({
+        text: cell.words.map(word => word.text).join(' '),
+        x0: cell.x0,
+        x1: cell.x1,
+        words: cell.words
+    }));
+}
+
+/**
+ * Columns of a run of rows: the union of overlapping cell extents
+ */
+function findColumns(rows) {
+    const extents = rows.flatMap(row => row.cells.map(cell => [cell.x0, cell.x1])).sort((a, b) => a[0] - b[0]);
+    const columns = [];
+    for (const [x0, x1] of extents) {
+        const column = columns[columns.length - 1];
+        if (column && x0 <= column.x1) {
+            column.x1 = Math.max(column.x1, x1);
+        } else {
+            columns.push({ x0, x1 });
+        }
+    }
+    return columns;
+}
+
+/**
+ * Lay a run of rows out on its columns and score how table-like it is
+ */
+function buildTable(rows, pageNumber, tableIndex) {
+    const columns = findColumns(rows);
+    if (columns.length < MIN_TABLE_COLUMNS) return null;
+
+    const data = rows.map(row => {
+        const values = columns.map(() => []);
+        for (const cell of row.cells) {
+            const index = columns.findIndex(column => cell.x0 >= column.x0 && cell.x1 <= column.x1);
+            values[index].push(cell.text);
+        }
+        return values.map(parts => parts.join(' '));
+    });
+
+    // Cells that had to share a column with another cell of the same row
+    // suggest the columns were not found cleanly
+    const cellCount = rows.reduce((sum, row) => sum + row.cells.length, 0);
+    const filledCells = data.reduce((sum, row) => sum + row.filter(value => value !== '').length, 0);
+    const alignment = filledCells / cellCount;
+    const fill = filledCells / (rows.length * columns.length);
+
+    const words = rows.flatMap(row => row.cells.flatMap(cell => cell.words));
+    const wordConfidence = words.reduce((sum, word) => sum + word.confidence, 0) / words.length;
+
+    return {
+        pageNumber,
+        tableIndex,
+        data,
+        structure: {
+            rows: data.length,
+            columns: columns.length
+        },
+        confidence: Math.round(wordConfidence * (alignment + fill) / 2),
+        bbox: {
+            x0: columns[0].x0,
+            y0: rows[0].y0,
+            x1: columns[columns.length - 1].x1,
+            y1: rows[rows.length - 1].y1
+        }
+    };
+}
+
+/**
+ * Detect tables on an OCR'd page
+ * @param {Array<Object>} blocks - Page blocks from ocrBlocks, with line and word bounding boxes
+ * @param {number} [pageNumber] - Page the blocks belong to
+ * @returns {Array<Object>} Tables in the extractedTables shape, with a confidence (0-100) and bbox each
+ */
+function detectTables(blocks, pageNumber = 1) {
+    const words = collectWords(blocks);
+    if (words.length === 0) return [];
+
+    const textHeight = median(words.map(word => word.y1 - word.y0));
+    const rows = groupRows(words);
+    rows.forEach(row => {
+        row.cells = splitCells(row, textHeight * CELL_GAP_RATIO);
+    });
+
+    // Runs of adjacent rows that have more than one cell
+    const runs = [];
+    let run = [];
+    rows.forEach((row, index) => {
+        const previous = rows[index - 1];
+        const adjacent = previous && row.y0 - previous.y1 <= textHeight * ROW_GAP_RATIO;
+        if (row.cells.length >= MIN_TABLE_COLUMNS && (run.length === 0 || adjacent)) {
+            run.push(row);
+            return;
+        }
+        if (run.length > 0) runs.push(run);
+        run = row.cells.length >= MIN_TABLE_COLUMNS ? [row] : [];
+    });
+    if (run.length > 0) runs.push(run);
+
+    const tables = [];
+    for (const candidate of runs.filter(rowsInRun => rowsInRun.length >= MIN_TABLE_ROWS)) {
+        const table = buildTable(candidate, pageNumber, tables.length);
+        if (table) tables.push(table);
+    }
+    return tables;
+}
+
+module.exports = { detectTables };
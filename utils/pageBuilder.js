@@ -0,0 +1,125 @@
+/**
+ * Helpers for building the per-page output every parser returns alongside
+ * its flat text:
+ *
+ *   { pageNumber, text, confidence, method, width, height, blocks: [
+ *       { type, text, confidence, bbox, lines: [{ text, confidence, bbox, words: [...] }] }
+ *   ] }
+ *
+ * Bounding boxes are only present where the source provides them (OCR).
+ */
+
+const WORDS_PER_PAGE = 500;
+
+function countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Split text into paragraph blocks on blank lines
+ * @param {string} text - Page text
+ * @param {number} confidence - Confidence for every block
+ * @returns {Array<Object>} Paragraph blocks
+ */
+function paragraphBlocks(text, confidence) {
+    return (text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph.length > 0)
+        .map(paragraph => ({ type: 'paragraph', text: paragraph, confidence }));
+}
+
+/**
+ * Group blocks into estimated pages of ~500 words without splitting a block
+ * @param {Array<Object>} blocks - Blocks in reading order, each with text
+ * @param {number} confidence - Confidence for every page
+ * @returns {Array<Object>} Pages
+ */
+function paginateBlocks(blocks, confidence) {
+    const pages = [];
+    let pageBlocks = [];
+    let words = 0;
+
+    const flush = () => {
+        pages.push({
+            pageNumber: pages.length + 1,
+            text: pageBlocks.map(block => block.text).join('\n\n'),
+            confidence,
+            method: 'text',
+            blocks: pageBlocks
+        });
+        pageBlocks = [];
+        words = 0;
+    };
+
+    for (const block of blocks) {
+        const blockWords = countWords(block.text || '');
+        if (pageBlocks.length > 0 && words + blockWords > WORDS_PER_PAGE) {
+            flush();
+        }
+        pageBlocks.push(block);
+        words += blockWords;
+    }
+
+    if (pageBlocks.length > 0 || pages.length === 0) {
+        flush();
+    }
+    return pages;
+}
+
+/**
+ * Split plain text into estimated pages of ~500 words without breaking paragraphs
+ * @param {string} text - Full text
+ * @param {number} confidence - Confidence for every block
+ * @returns {Array<Object>} Pages
+ */
+function buildTextPages(text, confidence) {
+    return paginateBlocks(paragraphBlocks(text, confidence), confidence);
+}
+
+function toBbox(bbox) {
+    return bbox ? { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 } : undefined;
+}
+
+/**
+ * Convert Tesseract's block > paragraph > line > word tree into page blocks,
+ * one block per recognised paragraph
+ * @param {Array<Object>} tesseractBlocks - data.blocks from a recognize() call
+ * @returns {Array<Object>} Blocks with line and word bounding boxes
+ */
+function ocrBlocks(tesseractBlocks) {
+    const blocks = [];
+
+    for (const block of tesseractBlocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            const text = (paragraph.text || '').trim();
+            if (!text) continue;
+
+            blocks.push({
+                type: 'paragraph',
+                text,
+                confidence: Math.round(paragraph.confidence),
+                bbox: toBbox(paragraph.bbox),
+                lines: (paragraph.lines || []).map(line => ({
+                    text: (line.text || '').trim(),
+                    confidence: Math.round(line.confidence),
+                    bbox: toBbox(line.bbox),
+                    words: (line.words || []).map(word => ({
+                        text: word.text,
+                        confidence: Math.round(word.confidence),
+                        bbox: toBbox(word.bbox)
+                    }))
+                }))
+            });
+        }
+    }
+
+    return blocks;
+}
+
+module.exports = {
+    paragraphBlocks,
+    paginateBlocks,
+    buildTextPages,
+    ocrBlocks
+};
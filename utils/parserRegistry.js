@@ -0,0 +1,118 @@
+/**
+ * Registry of the document formats the server can parse.
+ *
+ * Each parser module exports a `formats` array describing what it handles:
+ *
+ *   {
+ *     type,              // canonical type reported by content detection
+ *     label,             // human readable name
+ *     extensions,        // accepted file extensions (without the dot)
+ *     mimeTypes,         // first entry is the one stored on documents
+ *     magicBytes,        // [{ bytes, offset = 0 }] or [{ bytes, within }] to search a leading window
+ *     containerEntries,  // optional: ZIP/compound-file entries that must exist (e.g. word/document.xml)
+ *     textual,           // optional: no signature, matched when the content is text
+ *     isEncrypted,       // optional: (buffer) => boolean
+ *     capabilities,      // { text, tables, ocr }
+ *     version,           // optional: bumped when the parser's output changes (default '1'), recorded on revisions
+ *     parse              // async (buffer, options) => { text, metadata, tables, pages }
+ *   }
+ *
+ * Upload validation, the multer file filter, the Document fileType enum,
+ * content detection and processDocument are all driven from here.
+ */
+
+const formats = [];
+const formatsByExtension = new Map();
+
+/**
+ * Add a format to the registry
+ * @param {Object} format - Format declaration (see above)
+ */
+function registerFormat(format) {
+    if (!format.type || !Array.isArray(format.extensions) || format.extensions.length === 0) {
+        throw new Error('A format needs a type and at least one extension');
+    }
+    if (typeof format.parse !== 'function') {
+        throw new Error(`Format '${format.type}' has no parse function`);
+    }
+
+    for (const extension of format.extensions) {
+        if (formatsByExtension.has(extension)) {
+            throw new Error(`Extension '.${extension}' is already registered by '${formatsByExtension.get(extension).type}'`);
+        }
+    }
+
+    const registered = {
+        magicBytes: [],
+        containerEntries: [],
+        textual: false,
+        version: '1',
+        ...format,
+        capabilities: { text: false, tables: false, ocr: false, ...format.capabilities }
+    };
+
+    formats.push(registered);
+    registered.extensions.forEach(extension => formatsByExtension.set(extension, registered));
+}
+
+/**
+ * Format registered for a file extension
+ * @param {string} extension - Extension with or without the leading dot
+ * @returns {Object|null}
+ */
+function getFormatByExtension(extension) {
+    return formatsByExtension.get((extension || '').toLowerCase().replace(/^\./, '')) || null;
+}
+
+/**
+ * Every accepted file extension (without the dot)
+ * @returns {Array<string>}
+ */
+function getSupportedExtensions() {
+    return [...formatsByExtension.keys()];
+}
+
+/**
+ * All registered formats, in registration order
+ * @returns {Array<Object>}
+ */
+function getFormats() {
+    return formats;
+}
+
+/**
+ * Public description of the supported formats (no functions)
+ * @returns {Array<Object>}
+ */
+function describeFormats() {
+    return formats.map(format => ({
+        type: format.type,
+        label: format.label || format.type.toUpperCase(),
+        extensions: format.extensions,
+        mimeTypes: format.mimeTypes || [],
+        capabilities: format.capabilities
+    }));
+}
+
+// Built-in parsers
+[
+    require('./pdfParser'),
+    require('./docxParser'),
+    require('./excelParser'),
+    require('./txtParser'),
+    require('./ocrParser'),
+    require('./pptxParser'),
+    require('./odfParser'),
+    require('./rtfParser'),
+    require('./csvParser'),
+    require('./htmlParser'),
+    require('./emlParser')
+].forEach(parser => parser.formats.forEach(registerFormat));
+
+module.exports = {
+    registerFormat,
+    getFormatByExtension,
+    getSupportedExtensions,
+    getFormats,
+    describeFormats
+};
@@ -1,31 +1,158 @@
 const { PDFParse } = require('pdf-parse');
-const fs = require('fs');
+const { createOCRSession } = require('./ocrParser');
+const { paragraphBlocks } = require('./pageBuilder');
+const { detectTables } = require('./ocrTableDetector');
+
+// Pages with fewer non-whitespace characters than this are treated as scanned
+const MIN_TEXT_LAYER_CHARS = 20;
+// Render scale for rasterising scanned pages (2 = ~144 DPI)
+const OCR_RENDER_SCALE = 2;
+// Confidence assigned to text read straight from the PDF text layer
+const TEXT_LAYER_CONFIDENCE = 95;
+
+/**
+ * Whether a page's text layer is missing or too thin to be real content
+ * @param {string} pageText - Text layer of a single page
+ * @returns {boolean}
+ */
+function needsOCR(pageText) {
+    return (pageText || '').replace(/\s+/g, '').length < MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Rasterise the given pages and OCR them one at a time
+ * @param {PDFParse} parser - Loaded parser
+ * @param {Array<number>} pageNumbers - Pages to OCR
+ * @param {Object} [ocrOptions] - OCR session options (languages, preprocess)
+ * @returns {Promise<Object>} { results: Map of page number -> { text, confidence, blocks, width, height }, ocr: session summary }
+ */
+async function ocrPages(parser, pageNumbers, ocrOptions = {}) {
+    const results = new Map();
+    if (pageNumbers.length === 0) return { results, ocr: null };
+
+    const session = createOCRSession(ocrOptions);
+    try {
+        for (const pageNum of pageNumbers) {
+            try {
+                const screenshot = await parser.getScreenshot({
+                    partial: [pageNum],
+                    scale: OCR_RENDER_SCALE,
+                    imageDataUrl: false,
+                    imageBuffer: true
+                });
+                const image = screenshot.pages[0];
+                if (!image || !image.data) continue;
+
+                const { text, confidence, blocks, width, height } = await session.recognize(image.data, pageNum);
+                results.set(pageNum, {
+                    text: text.trim(),
+                    confidence: Math.round(confidence),
+                    blocks,
+                    // Block coordinates are relative to the preprocessed image
+                    width: width || image.width,
+                    height: height || image.height
+                });
+            } catch (ocrError) {
+                // Fall back to the text layer alone rather than failing the whole PDF
+                console.log(`OCR failed for page ${pageNum}:`, ocrError.message);
+            }
+        }
+    } finally {
+        await session.terminate();
+    }
+
+    return { results, ocr: session.summary() };
+}
 
 /**
  * Extract text from PDF file
- * @param {string} filePath - Path to PDF file
+ * @param {Buffer} buffer - PDF file content
+ * @param {Object} [options]
+ * @param {Object} [options.ocr] - OCR options for scanned pages (languages, preprocess)
  * @returns {Promise<Object>} Extracted text and metadata
  */
-async function extractPDFText(filePath) {
+async function extractPDFText(buffer, options = {}) {
+    let parser;
     try {
-        const dataBuffer = fs.readFileSync(filePath);
-        const parser = new PDFParse({ data: new Uint8Array(dataBuffer) });
+        parser = new PDFParse({ data: new Uint8Array(buffer) });
         await parser.load();
-        
+
         const textResult = await parser.getText();
-        
+        const pageCount = parser.doc.numPages;
+
+        // OCR pages that have no usable text layer
+        const textByPage = new Map(textResult.pages.map(page => [page.num, page.text]));
+        const scannedPages = [];
+        for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+            if (needsOCR(textByPage.get(pageNum))) {
+                scannedPages.push(pageNum);
+            }
+        }
+        const { results: ocrResults, ocr } = await ocrPages(parser, scannedPages, options.ocr);
+
+        // Merge text layer and OCR output back in page order
+        const pages = [];
+        for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+            const ocrResult = ocrResults.get(pageNum);
+            const layerText = (textByPage.get(pageNum) || '').trim();
+
+            if (ocrResult && ocrResult.text.length > layerText.length) {
+                pages.push({
+                    pageNumber: pageNum,
+                    text: ocrResult.text,
+                    confidence: ocrResult.confidence,
+                    method: 'ocr',
+                    width: ocrResult.width,
+                    height: ocrResult.height,
+                    blocks: ocrResult.blocks
+                });
+            } else {
+                pages.push({
+                    pageNumber: pageNum,
+                    text: layerText,
+                    // An empty page we could not OCR has nothing to be confident about
+                    confidence: layerText.length > 0 ? TEXT_LAYER_CONFIDENCE : 0,
+                    method: layerText.length > 0 || !scannedPages.includes(pageNum) ? 'text' : 'ocr',
+                    blocks: paragraphBlocks(layerText, TEXT_LAYER_CONFIDENCE)
+                });
+            }
+        }
+
+        const pageTexts = pages.map(page => page.text);
+        const pageConfidence = pages.map(({ pageNumber, confidence, method }) => ({ pageNumber, confidence, method }));
+        const processedPages = pages.filter(page => page.text.length > 0).map(page => page.pageNumber);
+        const ocrPageNumbers = pages
+            .filter(page => page.method === 'ocr' && page.text.length > 0)
+            .map(page => page.pageNumber);
+
+        // Keep pdf-parse's page separators so page positions stay recoverable from the text
+        const text = pageTexts
+            .map((pageText, index) => `${pageText}\n\n-- ${index + 1} of ${pageCount} --\n\n`)
+            .join('');
+
+        const extractionConfidence = pageConfidence.length > 0
+            ? Math.round(pageConfidence.reduce((sum, page) => sum + page.confidence, 0) / pageConfidence.length)
+            : 0;
+
         // Extract tables from each page
         const extractedTables = [];
-        for (let pageNum = 1; pageNum <= parser.doc.numPages; pageNum++) {
+        for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+            // Scanned pages have no drawing operators to find tables in, so
+            // rebuild them from the OCR word positions instead
+            if (pages[pageNum - 1].method === 'ocr') {
+                extractedTables.push(...detectTables(pages[pageNum - 1].blocks, pageNum));
+                continue;
+            }
+
             try {
                 const pageTables = await parser.getPageTables(pageNum);
                 if (pageTables && pageTables.length > 0) {
                     pageTables.forEach((table, tableIndex) => {
                         if (table && table.rows && table.rows.length > 0) {
-                            const tableData = table.rows.map(row => 
+                            const tableData = table.rows.map(row =>
                                 row.cells ? row.cells.map(cell => cell.text || '') : []
                             );
-                            
+
                             extractedTables.push({
                                 pageNumber: pageNum,
                                 tableIndex: tableIndex,
@@ -42,20 +169,48 @@ async function extractPDFText(filePath) {
                 console.log(`Table extraction failed for page ${pageNum}:`, tableError.message);
             }
         }
-        
+
         return {
-            text: textResult.text,
+            text: text,
             metadata: {
-                pageCount: parser.doc.numPages,
-                extractionConfidence: 95, // PDFs have high confidence
-                processedPages: Array.from({ length: parser.doc.numPages }, (_, i) => i + 1)
+                pageCount: pageCount,
+                extractionConfidence: extractionConfidence,
+                processedPages: processedPages,
+                ocrPages: ocrPageNumbers,
+                pageConfidence: pageConfidence,
+                ocr: ocr
             },
-            tables: extractedTables
+            tables: extractedTables,
+            pages: pages
         };
     } catch (error) {
         console.error('PDF parsing error:', error);
         throw new Error(`Failed to extract PDF content: ${error.message}`);
+    } finally {
+        if (parser) {
+            await parser.destroy().catch(() => {});
+        }
     }
 }
 
-module.exports = { extractPDFText };
+/**
+ * Whether a PDF declares an encryption dictionary in its trailer
+ */
+function isEncryptedPDF(buffer) {
+    return /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(buffer.toString('latin1'));
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'pdf',
+    label: 'PDF',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+    // Readers accept junk bytes before the header within the first 1KB
+    magicBytes: [{ bytes: '%PDF-', within: 1024 }],
+    isEncrypted: isEncryptedPDF,
+    capabilities: { text: true, tables: true, ocr: true },
+    parse: extractPDFText
+}];
+
+module.exports = { extractPDFText, formats };
@@ -0,0 +1,436 @@
+/**
+ * Offline detection and redaction of personal data in extracted content:
+ * Indian PAN and Aadhaar numbers, US social security numbers, IBANs, payment
+ * card numbers, email addresses and phone numbers. Check digits (Verhoeff for
+ * Aadhaar, Luhn for cards, mod 97 for IBANs) and structure rules keep random
+ * digit runs from being reported.
+ *
+ * Redaction replaces every letter and digit of a finding with '*' and leaves
+ * separators alone, so redacted text keeps its length and finding offsets
+ * point at the same place in both versions.
+ */
+const { EMAIL_PATTERN, PHONE_PATTERN, PHONE_CONTEXT } = require('./entityExtractor');
+
+const PII_TYPES = ['email', 'iban', 'card', 'aadhaar', 'pan', 'ssn', 'phone'];
+
+// Findings kept per document; counts still cover everything found
+const MAX_FINDINGS = 500;
+
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+const CARD_PATTERN = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+// Issuer prefixes of Visa, Mastercard, Amex, Diners, Discover, JCB, UnionPay and RuPay
+const CARD_PREFIX = /^(?:4|5[1-5]|2[2-7]|3[47]|3[0689]|6011|6[045]|35|62|8[12])/;
+const AADHAAR_PATTERN = /(?<![\d-])[2-9]\d{3}([ -]?)\d{4}\1\d{4}(?![\d-])/g;
+// Fourth letter is the holder type (person, company, HUF, firm, trust, ...)
+const PAN_PATTERN = /\b[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]\b/g;
+const SSN_PATTERN = /(?<![\d-])(\d{3})([ -]?)(\d{2})\2(\d{4})(?![\d-])/g;
+// SSNs written without dashes are too much like other numbers to report without a label
+const SSN_CONTEXT = /\b(?:ssn|ss#|social security(?: number| no\.?)?)\b[^\n\d]{0,12}$/i;
+// Phone numbers written as one run of digits, only reported next to a label
+const PLAIN_PHONE_PATTERN = /(?<![\w+.,])\d{8,15}(?![\w.,])/g;
+
+// Verhoeff multiplication and permutation tables
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Whether a digit string passes the Verhoeff check (Aadhaar)
+ */
+function isValidVerhoeff(digits) {
+    let check = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+/**
+ * Whether a digit string passes the Luhn check (payment cards)
+ */
+function isValidLuhn(digits) {
+    let sum = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        let value = Number(digit);
+        if (index % 2 === 1) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return sum % 10 === 0;
+}
+
+/**
+ * Whether an IBAN (spaces removed) passes the ISO 13616 mod 97 check
+ */
+function isValidIban(iban) {
+    if (iban.length < 15 || iban.length > 34) return false;
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of value) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * Whether an area/group/serial triple can be a real SSN
+ */
+function isValidSsn(area, group, serial) {
+    return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+}
+
+/**
+ * Replace every letter and digit with '*', keeping separators
+ */
+const maskValue = value => value.replace(/[A-Za-z0-9]/g, '*');
+
+/**
+ * Masked form of a finding that is safe to store and show: the last four
+ * characters of identifiers, the first letter and domain of email addresses
+ */
+function previewValue(type, raw) {
+    if (type === 'email') {
+        const [local, domain] = raw.split('@');
+        return `${local[0]}***@${domain}`;
+    }
+    const visibleFrom = raw.length - 4;
+    return maskValue(raw.slice(0, visibleFrom)) + raw.slice(visibleFrom);
+}
+
+/**
+ * Hide matched text so later patterns do not report it again, keeping offsets
+ */
+const hide = (text, start, length) => text.slice(0, start) + ' '.repeat(length) + text.slice(start + length);
+
+/**
+ * Personal data in one piece of text, in the order it appears
+ * @param {string} text - Text to scan
+ * @param {string} [label] - What the text is (a table cell's column header or
+ *   row label), for the numbers only reported next to a label
+ * @returns {Array<Object>} [{ type, raw, start, end }]
+ */
+function scanPII(text, label) {
+    if (!text) return [];
+
+    if (label) {
+        // Scan as "label: text" and keep what lies in the text
+        const prefix = `${String(label).replace(/\s+/g, ' ').trim()}: `;
+        return scanPII(prefix + text)
+            .filter(match => match.start >= prefix.length)
+            .map(match => ({ ...match, start: match.start - prefix.length, end: match.end - prefix.length }));
+    }
+
+    const matches = [];
+    let remaining = text;
+    const add = (type, match) => {
+        matches.push({ type, raw: match[0], start: match.index, end: match.index + match[0].length });
+        remaining = hide(remaining, match.index, match[0].length);
+    };
+
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+        add('email', match);
+    }
+
+    for (const match of remaining.matchAll(IBAN_PATTERN)) {
+        if (isValidIban(match[0].replace(/ /g, ''))) add('iban', match);
+    }
+
+    for (const match of remaining.matchAll(CARD_PATTERN)) {
+        const digits = match[0].replace(/\D/g, '');
+        if (CARD_PREFIX.test(digits) && isValidLuhn(digits)) add('card', match);
+    }
+
+    for (const match of remaining.matchAll(AADHAAR_PATTERN)) {
+        if (isValidVerhoeff(match[0].replace(/\D/g, ''))) add('aadhaar', match);
+    }
+
+    for (const match of remaining.matchAll(PAN_PATTERN)) {
+        add('pan', match);
+    }
+
+    for (const match of remaining.matchAll(SSN_PATTERN)) {
+        const [, area, separator, group, serial] = match;
+        if (!isValidSsn(area, group, serial)) continue;
+        if (separator !== '-' && !SSN_CONTEXT.test(remaining.slice(Math.max(0, match.index - 30), match.index))) continue;
+        add('ssn', match);
+    }
+
+    // Phone numbers need a + or (area code) or a label, like entity extraction
+    for (const match of remaining.matchAll(PHONE_PATTERN)) {
+        const digits = match[0].replace(/\D/g, '');
+        const explicit = match[0].startsWith('+') || match[0].startsWith('(');
+        if (digits.length < 8 || digits.length > 15) continue;
+        if (!explicit && !PHONE_CONTEXT.test(remaining.slice(Math.max(0, match.index - 30), match.index))) continue;
+        add('phone', match);
+    }
+
+    for (const match of remaining.matchAll(PLAIN_PHONE_PATTERN)) {
+        if (PHONE_CONTEXT.test(remaining.slice(Math.max(0, match.index - 30), match.index))) add('phone', match);
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Mask the personal data in a piece of text
+ * @param {string} text - Text to redact
+ * @returns {string} Text of the same length with findings masked
+ */
+function redactText(text) {
+    let redacted = text;
+    for (const match of scanPII(text)) {
+        redacted = redacted.slice(0, match.start) + maskValue(match.raw) + redacted.slice(match.end);
+    }
+    return redacted;
+}
+
+/**
+ * Where each page's text sits in the full text, for page numbers of findings
+ */
+function pageRanges(text, pages = []) {
+    const ranges = [];
+    let cursor = 0;
+    for (const page of pages) {
+        if (!page.text) continue;
+        const start = text.indexOf(page.text, cursor);
+        if (start === -1) continue;
+        ranges.push({ pageNumber: page.pageNumber, start, end: start + page.text.length });
+        cursor = start + page.text.length;
+    }
+    return ranges;
+}
+
+/**
+ * Labels a table cell sits under: its column header and its row's first cell
+ */
+function cellLabels(table, rowIndex, columnIndex) {
+    const data = table.data || [];
+    const headerRows = Math.max(1, (table.structure && table.structure.headerRows) || 1);
+    const labels = [];
+
+    if (rowIndex >= headerRows) {
+        const header = data.slice(0, headerRows).map(row => (row || [])[columnIndex]).filter(cell => cell !== null && cell !== undefined && String(cell).trim());
+        if (header.length > 0) labels.push(String(header[header.length - 1]));
+    }
+    const rowLabel = columnIndex > 0 ? (data[rowIndex] || [])[0] : null;
+    if (typeof rowLabel === 'string' && rowLabel.trim() && !/\d/.test(rowLabel)) labels.push(rowLabel);
+
+    return labels;
+}
+
+/**
+ * Personal data in table cells, each cell scanned on its own and under its
+ * column header and row label
+ * @returns {Array<Object>} [{ type, raw, pageNumber, tableIndex, row, column, start, end }]
+ */
+function scanTables(tables = []) {
+    const matches = [];
+    tables.forEach((table, tableIndex) => {
+        (table.data || []).forEach((row, rowIndex) => {
+            (row || []).forEach((cell, columnIndex) => {
+                if (cell === null || cell === undefined) return;
+                const text = String(cell);
+
+                // The first scan that covers a stretch of the cell wins
+                const found = [];
+                for (const label of [null, ...cellLabels(table, rowIndex, columnIndex)]) {
+                    for (const match of scanPII(text, label)) {
+                        if (!found.some(other => match.start < other.end && other.start < match.end)) found.push(match);
+                    }
+                }
+
+                found.sort((a, b) => a.start - b.start).forEach(match => matches.push({
+                    type: match.type,
+                    raw: match.raw,
+                    pageNumber: table.pageNumber || null,
+                    tableIndex,
+                    row: rowIndex,
+                    column: columnIndex,
+                    start: match.start,
+                    end: match.end
+                }));
+            });
+        });
+    });
+    return matches;
+}
+
+/**
+ * Find personal data in parser output
+ * @param {Object} extracted - Parser output ({ text, tables, pages })
+ * @returns {Object} { findings: [{ type, preview, source, pageNumber, start, end, tableIndex?, row?, column? }], counts }
+ *   with offsets into the text (source 'text') or into a table cell (source 'table')
+ */
+function detectPII(extracted) {
+    const findings = [];
+    const counts = {};
+    const record = finding => {
+        counts[finding.type] = (counts[finding.type] || 0) + 1;
+        if (findings.length < MAX_FINDINGS) findings.push(finding);
+    };
+
+    const text = extracted.text || '';
+    const ranges = pageRanges(text, extracted.pages);
+    for (const match of scanPII(text)) {
+        const page = ranges.find(range => match.start >= range.start && match.start < range.end);
+        record({
+            type: match.type,
+            preview: previewValue(match.type, match.raw),
+            source: 'text',
+            pageNumber: page ? page.pageNumber : null,
+            start: match.start,
+            end: match.end
+        });
+    }
+
+    for (const match of scanTables(extracted.tables)) {
+        record({
+            type: match.type,
+            preview: previewValue(match.type, match.raw),
+            source: 'table',
+            pageNumber: match.pageNumber,
+            tableIndex: match.tableIndex,
+            row: match.row,
+            column: match.column,
+            start: match.start,
+            end: match.end
+        });
+    }
+
+    return { findings, counts };
+}
+
+/**
+ * Pattern matching a piece of personal data however it is written elsewhere:
+ * its letters and digits in order, with up to two other characters between
+ * them (so "98765 43210" also matches the phone entity "9876543210")
+ */
+function valuePattern(raw) {
+    const characters = raw.replace(/[^A-Za-z0-9]/g, '');
+    if (characters.length < 6) return null;
+    return new RegExp([...characters].join('[^A-Za-z0-9\\n]{0,2}'), 'gi');
+}
+
+/**
+ * Build a redactor for a document's content. The values to hide are read at
+ * the offsets of the stored findings, and found again with a fresh scan of the
+ * text and table cells (labels included). Every occurrence of them is masked
+ * wherever it appears, so entities, key-value pairs and fields derived from
+ * the text are masked along with it.
+ * @param {Object} extracted - Content the findings point into ({ text, tables })
+ * @param {Array<Object>} [findings] - Stored findings (document.pii.findings)
+ * @returns {Function} Returns a redacted copy of any value (a document as a
+ *   plain object, parser output or any part of them)
+ */
+function createRedactor(extracted = {}, findings = []) {
+    const text = extracted.text || '';
+    const tables = extracted.tables || [];
+
+    const values = new Set([...scanPII(text), ...scanTables(tables)].map(match => match.raw));
+    for (const finding of findings || []) {
+        if (finding.source === 'text') {
+            values.add(text.slice(finding.start, finding.end));
+        } else if (finding.source === 'table') {
+            const row = ((tables[finding.tableIndex] || {}).data || [])[finding.row] || [];
+            const cell = row[finding.column];
+            if (cell !== null && cell !== undefined) values.add(String(cell).slice(finding.start, finding.end));
+        }
+    }
+    const patterns = [...values].map(valuePattern).filter(Boolean);
+
+    const redactString = value => {
+        let redacted = redactText(value);
+        for (const pattern of patterns) {
+            redacted = redacted.replace(pattern, maskValue);
+        }
+        return redacted;
+    };
+
+    const redact = value => {
+        if (typeof value === 'string') return redactString(value);
+
+        // Numbers long enough to be an identifier (spreadsheet cells holding a
+        // card number, a phone field typed as a number) become masked strings
+        if (typeof value === 'number' && Number.isInteger(value) && Math.abs(value) >= 1e5) {
+            const redacted = redactString(String(value));
+            return redacted === String(value) ? value : redacted;
+        }
+
+        if (Array.isArray(value)) return value.map(redact);
+
+        // Dates, ObjectIds and Buffers are left as they are
+        if (!value || typeof value !== 'object' || ![Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+            return value;
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = key === '_id' ? item : redact(item);
+        }
+
+        // OCR lines keep their words in step with the redacted line text
+        if (typeof value.text === 'string' && Array.isArray(value.words) && copy.text !== value.text) {
+            let cursor = 0;
+            copy.words = value.words.map(word => {
+                const start = typeof word.text === 'string' ? value.text.indexOf(word.text, cursor) : -1;
+                if (start === -1) return redact(word);
+                cursor = start + word.text.length;
+                return { ...word, text: copy.text.slice(start, cursor) };
+            });
+        }
+
+        return copy;
+    };
+
+    return redact;
+}
+
+/**
+ * Read whether an upload's extracted content is stored redacted: the
+ * `storeRedacted` field, defaulting to PII_STORE_REDACTED
+ * @param {Object} source - Upload fields (query string and form body)
+ * @returns {Object} { piiOptions } or { error } with { error, message, code }
+ */
+function readPIIOptions(source = {}) {
+    const storeRedacted = source.storeRedacted === undefined || source.storeRedacted === ''
+        ? String(process.env.PII_STORE_REDACTED === 'true')
+        : String(source.storeRedacted).toLowerCase();
+
+    if (!['true', 'false'].includes(storeRedacted)) {
+        return {
+            error: {
+                error: 'Invalid storeRedacted option',
+                message: 'storeRedacted must be true or false',
+                code: 'INVALID_STORE_REDACTED_OPTION'
+            }
+        };
+    }
+
+    return { piiOptions: { storeRedacted: storeRedacted === 'true' } };
+}
+
+module.exports = {
+    PII_TYPES,
+    isValidVerhoeff,
+    isValidLuhn,
+    isValidIban,
+    scanPII,
+    redactText,
+    detectPII,
+    createRedactor,
+    readPIIOptions
+};
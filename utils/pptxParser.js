@@ -0,0 +1,222 @@
+const JSZip = require('jszip');
+const path = require('path');
+const { readZipXml, children, child, descendants, attr } = require('./xmlUtils');
+
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * Resolve a relationship target against the part that references it
+ */
+function resolveTarget(partName, target) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(partName), target));
+}
+
+/**
+ * Map of relationship id -> { type, target } for a part
+ */
+async function readRelationships(zip, partName) {
+    const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    const relsXml = await readZipXml(zip, relsName);
+    const relationships = new Map();
+
+    for (const relationship of descendants(relsXml && relsXml.documentElement, 'Relationship')) {
+        relationships.set(attr(relationship, 'Id'), {
+            type: (attr(relationship, 'Type') || '').split('/').pop(),
+            target: resolveTarget(partName, attr(relationship, 'Target') || '')
+        });
+    }
+    return relationships;
+}
+
+/**
+ * Text of a DrawingML paragraph (a:p), keeping soft line breaks
+ */
+function readParagraph(paragraph) {
+    let text = '';
+    for (const element of children(paragraph)) {
+        if (element.localName === 'r' || element.localName === 'fld') {
+            text += descendants(element, 't').map(node => node.textContent).join('');
+        } else if (element.localName === 'br') {
+            text += '\n';
+        }
+    }
+    return text;
+}
+
+/**
+ * Paragraph texts of a text body (p:txBody / a:txBody)
+ */
+function readTextBody(textBody) {
+    return children(textBody, 'p').map(readParagraph).map(text => text.trim()).filter(Boolean);
+}
+
+/**
+ * Read a DrawingML table (a:tbl) into rows of cell text plus merged ranges
+ */
+function readTable(table) {
+    const data = [];
+    const mergedCells = [];
+
+    children(table, 'tr').forEach((row, rowIndex) => {
+        const cells = [];
+        children(row, 'tc').forEach((cell, column) => {
+            // Cells covered by a merge repeat as hMerge/vMerge placeholders
+            const covered = attr(cell, 'hMerge') === '1' || attr(cell, 'vMerge') === '1';
+            cells.push(covered ? '' : readTextBody(child(cell, 'txBody')).join('\n'));
+
+            const rowSpan = parseInt(attr(cell, 'rowSpan')) || 1;
+            const colSpan = parseInt(attr(cell, 'gridSpan')) || 1;
+            if (!covered && (rowSpan > 1 || colSpan > 1)) {
+                mergedCells.push({ row: rowIndex, column, rowSpan, colSpan });
+            }
+        });
+        data.push(cells);
+    });
+
+    return { data, mergedCells };
+}
+
+/**
+ * Walk a shape tree in order, collecting text shapes and tables
+ */
+function readShapeTree(tree, items) {
+    for (const shape of children(tree)) {
+        if (shape.localName === 'sp') {
+            const placeholder = descendants(child(shape, 'nvSpPr'), 'ph')[0];
+            const placeholderType = placeholder ? attr(placeholder, 'type') : null;
+            const paragraphs = readTextBody(child(shape, 'txBody'));
+            if (paragraphs.length > 0) {
+                items.push({ kind: TITLE_PLACEHOLDERS.includes(placeholderType) ? 'title' : 'text', placeholderType, paragraphs });
+            }
+        } else if (shape.localName === 'graphicFrame') {
+            descendants(shape, 'tbl').forEach(table => items.push({ kind: 'table', table: readTable(table) }));
+        } else if (shape.localName === 'grpSp') {
+            readShapeTree(shape, items);
+        }
+    }
+    return items;
+}
+
+/**
+ * Speaker notes text for a slide, if any
+ */
+async function readNotes(zip, relationships) {
+    const notes = [...relationships.values()].find(relationship => relationship.type === 'notesSlide');
+    if (!notes) return [];
+
+    const notesXml = await readZipXml(zip, notes.target);
+    const items = readShapeTree(descendants(notesXml && notesXml.documentElement, 'spTree')[0], []);
+    // The notes text sits in the body placeholder; skip slide number, header and footer fields
+    return items.filter(item => item.placeholderType === 'body').flatMap(item => item.paragraphs);
+}
+
+/**
+ * Extract slide-by-slide text and tables from a PowerPoint presentation
+ * @param {Buffer} buffer - PPTX file content
+ * @returns {Promise<Object>} Extracted text, tables and one page per slide
+ */
+async function extractPPTXText(buffer) {
+    try {
+        const zip = await JSZip.loadAsync(buffer);
+        const presentationPart = 'ppt/presentation.xml';
+        const presentationXml = await readZipXml(zip, presentationPart);
+        if (!presentationXml) {
+            throw new Error('ppt/presentation.xml not found');
+        }
+
+        // Slide order comes from the presentation's slide list, not the part names
+        const presentationRels = await readRelationships(zip, presentationPart);
+        const slideParts = descendants(presentationXml.documentElement, 'sldId')
+            .map(slideId => presentationRels.get(slideId.getAttributeNS(REL_NS, 'id')))
+            .filter(relationship => relationship && zip.file(relationship.target))
+            .map(relationship => relationship.target);
+
+        const extractedTables = [];
+        const blocks = [];
+        const pages = [];
+
+        for (const [index, slidePart] of slideParts.entries()) {
+            const pageNumber = index + 1;
+            const slideXml = await readZipXml(zip, slidePart);
+            const items = readShapeTree(descendants(slideXml.documentElement, 'spTree')[0], []);
+            const pageBlocks = [];
+
+            for (const item of items) {
+                if (item.kind === 'table') {
+                    if (item.table.data.length === 0) continue;
+                    const tableIndex = extractedTables.length;
+                    extractedTables.push({
+                        pageNumber,
+                        tableIndex,
+                        data: item.table.data,
+                        structure: {
+                            rows: item.table.data.length,
+                            columns: Math.max(...item.table.data.map(row => row.length)),
+                            mergedCells: item.table.mergedCells
+                        }
+                    });
+                    pageBlocks.push({
+                        type: 'table',
+                        text: item.table.data.map(row => row.join('\t')).join('\n'),
+                        tableIndex
+                    });
+                } else {
+                    item.paragraphs.forEach(paragraph => pageBlocks.push(item.kind === 'title'
+                        ? { type: 'heading', level: 1, text: paragraph }
+                        : { type: 'paragraph', text: paragraph }));
+                }
+            }
+
+            const notes = await readNotes(zip, await readRelationships(zip, slidePart));
+            if (notes.length > 0) {
+                pageBlocks.push({ type: 'paragraph', text: `Notes: ${notes.join('\n')}` });
+            }
+
+            pageBlocks.forEach(block => blocks.push({
+                type: block.type,
+                level: block.level,
+                text: block.type === 'table' ? undefined : block.text,
+                pageNumber,
+                tableIndex: block.tableIndex
+            }));
+
+            pages.push({
+                pageNumber,
+                text: pageBlocks.map(block => block.text).join('\n'),
+                confidence: 98,
+                method: 'text',
+                blocks: pageBlocks.map(block => ({ ...block, confidence: 98 }))
+            });
+        }
+
+        return {
+            text: pages.map(page => `Slide ${page.pageNumber}\n${page.text}`).join('\n\n'),
+            metadata: {
+                pageCount: pages.length,
+                extractionConfidence: 98,
+                processedPages: pages.map(page => page.pageNumber)
+            },
+            tables: extractedTables,
+            blocks,
+            pages
+        };
+    } catch (error) {
+        console.error('PPTX parsing error:', error);
+        throw new Error(`Failed to extract PPTX content: ${error.message}`);
+    }
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'pptx',
+    label: 'PowerPoint presentation',
+    extensions: ['pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    magicBytes: [{ bytes: [0x50, 0x4b, 0x03, 0x04] }],
+    containerEntries: ['ppt/presentation.xml'],
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractPPTXText
+}];
+
+module.exports = { extractPPTXText, formats };
@@ -7,45 +7,54 @@ class ProgressTracker extends EventEmitter {
         this.progress = 0;
         this.status = 'pending';
         this.currentStep = '';
+        this.error = null;
         this.startTime = Date.now();
     }
 
-    updateProgress(progress, step = '') {
-        this.progress = Math.min(100, Math.max(0, progress));
-        this.currentStep = step;
-        this.emit('progress', {
+    getState() {
+        return {
             documentId: this.documentId,
+            status: this.status,
             progress: this.progress,
             step: this.currentStep,
-            status: this.status,
+            error: this.error,
             elapsed: Date.now() - this.startTime
-        });
+        };
+    }
+
+    isFinished() {
+        return this.status === 'completed' || this.status === 'failed';
+    }
+
+    updateProgress(progress, step = '') {
+        this.progress = Math.min(100, Math.max(0, progress));
+        this.currentStep = step;
+        this.emit('progress', this.getState());
     }
 
     setStatus(status, step = '') {
         this.status = status;
         this.currentStep = step;
-        this.emit('status', {
-            documentId: this.documentId,
-            status: this.status,
-            step: this.currentStep,
-            progress: this.progress,
-            elapsed: Date.now() - this.startTime
-        });
+        this.emit('status', this.getState());
     }
 
     complete() {
-        this.setStatus('completed', 'Processing complete');
+        // Progress first so the terminal status event is the last one emitted
         this.updateProgress(100, 'Complete');
+        this.setStatus('completed', 'Processing complete');
     }
 
     fail(error) {
+        this.error = error.message;
+        // 'error' is special on EventEmitter and throws when nobody is listening
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', {
+                documentId: this.documentId,
+                error: error.message,
+                elapsed: Date.now() - this.startTime
+            });
+        }
         this.setStatus('failed', `Error: ${error.message}`);
-        this.emit('error', {
-            documentId: this.documentId,
-            error: error.message,
-            elapsed: Date.now() - this.startTime
-        });
     }
 }
 
@@ -0,0 +1,239 @@
+const Chunk = require('../models/Chunk');
+const Document = require('../models/Document');
+const Job = require('../models/Job');
+const Page = require('../models/Page');
+const PurgeLog = require('../models/PurgeLog');
+const RetentionRule = require('../models/RetentionRule');
+const Revision = require('../models/Revision');
+const Webhook = require('../models/Webhook');
+const { getStorage } = require('./storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const config = {
+    trashDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    sweepInterval: parseInt(process.env.RETENTION_SWEEP_INTERVAL) || 60 * 60 * 1000,
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 100
+};
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * When a document moved to the trash at deletedAt is purged for good
+ */
+function getTrashPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + config.trashDays * DAY);
+}
+
+/**
+ * Remove the original file from storage; the extracted content stays
+ */
+async function purgeOriginal(document) {
+    await getStorage().delete(document.storageKey);
+    await Document.updateOne({ _id: document._id }, { originalPurgedAt: new Date() }, { withDeleted: true });
+    return { originalFile: true };
+}
+
+/**
+ * Remove the extracted text, tables and everything derived from them, including
+ * the page outputs and the revisions that hold copies of them
+ */
+async function purgeContent(document) {
+    await Document.updateOne({ _id: document._id }, {
+        extractedText: '',
+        extractedTables: [],
+        tableText: '',
+        blocks: [],
+        fields: {},
+        fieldExtraction: null,
+        entities: null,
+        'pii.findings': [],
+        searchIndex: null,
+        currentRevision: null,
+        'metadata.email': null,
+        'metadata.attachments': [],
+        contentPurgedAt: new Date()
+    }, { withDeleted: true });
+
+    const pages = await Page.deleteMany({ document: document._id });
+    const revisions = await Revision.deleteMany({ document: document._id });
+    const chunks = await Chunk.deleteMany({ document: document._id });
+
+    return { extractedContent: true, pages: pages.deletedCount, revisions: revisions.deletedCount, chunks: chunks.deletedCount };
+}
+
+/**
+ * Remove the document entirely: original file, record, pages, revisions, jobs
+ * and upload webhooks (their delivery log is kept)
+ */
+async function purgeRecord(document) {
+    await getStorage().delete(document.storageKey);
+    await Document.deleteOne({ _id: document._id });
+    await Job.deleteMany({ document: document._id });
+    const pages = await Page.deleteMany({ document: document._id });
+    const revisions = await Revision.deleteMany({ document: document._id });
+    const chunks = await Chunk.deleteMany({ document: document._id });
+    await Webhook.deleteMany({ document: document._id });
+
+    return {
+        originalFile: !document.originalPurgedAt,
+        extractedContent: !document.contentPurgedAt,
+        pages: pages.deletedCount,
+        revisions: revisions.deletedCount,
+        chunks: chunks.deletedCount,
+        record: true
+    };
+}
+
+const PURGE_ACTIONS = { purgeOriginal, purgeContent, purgeRecord };
+
+/**
+ * Apply one purge action to a document and record what it removed
+ * @param {Object} document - Document (storageKey and the fields kept in the log are enough)
+ * @param {string} action - purgeOriginal, purgeContent or purgeRecord
+ * @param {Object} [source] - { reason: 'retention'|'trash', rule }
+ * @returns {Promise<Object>} Purge log entry
+ */
+async function purgeDocument(document, action, { reason = 'retention', rule = null } = {}) {
+    const removed = await PURGE_ACTIONS[action](document);
+
+    return PurgeLog.create({
+        tenant: document.tenant,
+        document: document._id,
+        fileName: document.originalName,
+        fileType: document.fileType,
+        action,
+        reason,
+        rule: rule ? rule._id : null,
+        afterDays: rule ? rule.afterDays : config.trashDays,
+        removed,
+        uploadedAt: document.createdAt,
+        deletedAt: document.deletedAt
+    });
+}
+
+/**
+ * Documents a rule applies to now. Documents still being processed are left
+ * for a later sweep, and so are file types with a rule of their own.
+ */
+async function findDocumentsDue(rule, overriddenTypes, now) {
+    const filter = {
+        tenant: rule.tenant,
+        createdAt: { $lte: new Date(now - rule.afterDays * DAY) },
+        processingStatus: { $nin: ['pending', 'processing'] }
+    };
+
+    if (rule.fileType) {
+        filter.fileType = rule.fileType;
+    } else if (overriddenTypes.length > 0) {
+        filter.fileType = { $nin: overriddenTypes };
+    }
+
+    if (rule.action === 'purgeOriginal') filter.originalPurgedAt = null;
+    if (rule.action === 'purgeContent') filter.contentPurgedAt = null;
+
+    return Document.find(filter)
+        .setOptions({ withDeleted: true })
+        .select('tenant originalName fileType storageKey createdAt deletedAt originalPurgedAt contentPurgedAt')
+        .sort({ createdAt: 1 })
+        .limit(config.batchSize);
+}
+
+/**
+ * Apply every retention rule and empty the trash of documents deleted more
+ * than TRASH_RETENTION_DAYS ago. Each pass handles at most RETENTION_BATCH_SIZE
+ * documents per rule; the rest are picked up by the next one.
+ * @returns {Promise<Object>} Number of documents purged per action
+ */
+async function sweepRetention() {
+    const now = Date.now();
+    const summary = { trash: 0, purgeOriginal: 0, purgeContent: 0, purgeRecord: 0, failed: 0 };
+
+    const purge = async (document, action, source) => {
+        try {
+            await purgeDocument(document, action, source);
+            summary[source.reason === 'trash' ? 'trash' : action]++;
+        } catch (error) {
+            summary.failed++;
+            console.error(`❌ Retention ${action} of document ${document._id} failed:`, error.message);
+        }
+    };
+
+    const expired = await Document.find({ deletedAt: { $ne: null, $lte: new Date(now - config.trashDays * DAY) } })
+        .sort({ deletedAt: 1 })
+        .limit(config.batchSize);
+    for (const document of expired) {
+        await purge(document, 'purgeRecord', { reason: 'trash' });
+    }
+
+    const rules = await RetentionRule.find({}).sort({ tenant: 1, action: 1 });
+    for (const rule of rules) {
+        const overriddenTypes = rule.fileType ? [] : rules
+            .filter(other => other.tenant === rule.tenant && other.action === rule.action && other.fileType)
+            .map(other => other.fileType);
+
+        const documents = await findDocumentsDue(rule, overriddenTypes, now);
+        for (const document of documents) {
+            await purge(document, rule.action, { reason: 'retention', rule });
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Run a sweep unless one is already running
+ * @returns {Promise<Object|null>} Sweep summary, or null when a sweep was already running
+ */
+async function runRetentionSweep() {
+    if (sweeping) return null;
+    sweeping = true;
+    try {
+        return await sweepRetention();
+    } finally {
+        sweeping = false;
+    }
+}
+
+/**
+ * Periodic sweep, logging what was purged
+ */
+async function sweep() {
+    try {
+        const summary = await runRetentionSweep();
+        if (!summary) return;
+
+        const purged = summary.trash + summary.purgeOriginal + summary.purgeContent + summary.purgeRecord;
+        if (purged > 0 || summary.failed > 0) {
+            console.log(`🗑️ Retention sweep: ${purged} purged (${summary.trash} from trash), ${summary.failed} failed`);
+        }
+    } catch (error) {
+        console.error('Retention sweep error:', error);
+    }
+}
+
+/**
+ * Start applying retention rules every RETENTION_SWEEP_INTERVAL ms
+ */
+async function startRetention() {
+    sweepTimer = setInterval(sweep, config.sweepInterval);
+    console.log('✅ Retention sweeper started');
+    sweep();
+}
+
+/**
+ * Stop the periodic sweeps
+ */
+function stopRetention() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+}
+
+module.exports = {
+    getTrashPurgeDate,
+    purgeDocument,
+    runRetentionSweep,
+    startRetention,
+    stopRetention
+};
@@ -0,0 +1,78 @@
+const Document = require('../models/Document');
+const Page = require('../models/Page');
+const Revision = require('../models/Revision');
+const { flattenTableText } = require('./textSearch');
+const { version: appVersion } = require('../package.json');
+
+/**
+ * Store the output of an extraction run as the document's next revision
+ * @param {Object} document - Document that was processed
+ * @param {Object} format - Registered format whose parser ran
+ * @param {Object} output - { text, tables, blocks, metadata, fields, fieldExtraction, entities, pii, pages }
+ * @param {Object} options - Options the parser was given
+ * @returns {Promise<Object>} Saved revision
+ */
+async function recordRevision(document, format, output, options = {}) {
+    const counter = await Document.findByIdAndUpdate(
+        document._id,
+        { $inc: { revisionCount: 1 } },
+        { new: true }
+    ).select('revisionCount');
+
+    if (!counter) {
+        throw new Error('Document no longer exists');
+    }
+
+    return Revision.create({
+        document: document._id,
+        revision: counter.revisionCount,
+        parser: { format: format.type, version: format.version, appVersion },
+        options,
+        output
+    });
+}
+
+/**
+ * Make a revision's output the document's current content, replacing its
+ * extracted text, tables, fields, entities and pages
+ * @param {string} documentId - Document ID
+ * @param {Object} revision - Revision to apply
+ * @returns {Promise<Object|null>} Updated document
+ */
+async function applyRevision(documentId, revision) {
+    const output = revision.output || {};
+    const metadata = output.metadata || {};
+
+    const document = await Document.findByIdAndUpdate(documentId, {
+        processingStatus: 'completed',
+        currentRevision: revision.revision,
+        contentPurgedAt: null,
+        extractedText: output.text,
+        extractedTables: output.tables,
+        tableText: flattenTableText(output.tables),
+        blocks: output.blocks || [],
+        'metadata.pageCount': metadata.pageCount,
+        'metadata.extractionConfidence': metadata.extractionConfidence,
+        'metadata.processedPages': metadata.processedPages,
+        'metadata.ocrPages': metadata.ocrPages || [],
+        'metadata.pageConfidence': metadata.pageConfidence || [],
+        'metadata.email': metadata.email || null,
+        'metadata.attachments': metadata.attachments || [],
+        'metadata.sheets': metadata.sheets || [],
+        'metadata.ocr': metadata.ocr || null,
+        'metadata.extractionDate': revision.createdAt || new Date(),
+        fields: output.fields || {},
+        entities: output.entities || {},
+        pii: output.pii || { findings: [], counts: {}, redacted: false },
+        fieldExtraction: output.fieldExtraction || null,
+        errorMessage: null
+    }, { new: true });
+
+    // Replace the pages of whichever revision was current before
+    await Page.deleteMany({ document: documentId });
+    await Page.insertMany((output.pages || []).map(page => ({ ...page, document: documentId })));
+
+    return document;
+}
+
+module.exports = { recordRevision, applyRevision };
@@ -0,0 +1,296 @@
+
+// Destinations whose content is formatting data or metadata rather than text
+const SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+    'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+    'latentstyles', 'datastore', 'xmlnstbl', 'filetbl', 'revtbl', 'pgdsctbl', 'mmathPr', 'footnote'
+]);
+
+const SYMBOLS = {
+    emdash: '—',
+    endash: '–',
+    bullet: '•',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    emspace: ' ',
+    enspace: ' '
+};
+
+function createDecoder(codePage) {
+    try {
+        return new TextDecoder(`windows-${codePage}`);
+    } catch (error) {
+        return new TextDecoder('windows-1252');
+    }
+}
+
+/**
+ * Convert RTF markup into paragraphs and tables in reading order
+ * @param {string} rtf - RTF source
+ * @returns {Object} { items, pageBreaks } where items are paragraph/table entries
+ */
+function readRTF(rtf) {
+    const items = [];
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let decoder = createDecoder(1252);
+    let pendingBytes = [];
+    let fallbackToSkip = 0;
+
+    let text = '';
+    let inTable = false;
+    let outlineLevel = null;
+    let row = [];
+    let tableRows = [];
+    let pageNumber = 1;
+    let pageBreaks = 0;
+
+    const flushBytes = () => {
+        if (pendingBytes.length > 0) {
+            text += decoder.decode(Buffer.from(pendingBytes));
+            pendingBytes = [];
+        }
+    };
+    const emit = (value) => {
+        if (state.skip) return;
+        if (fallbackToSkip > 0) {
+            fallbackToSkip--;
+            return;
+        }
+        flushBytes();
+        text += value;
+    };
+    const closeTable = () => {
+        if (tableRows.length > 0) {
+            items.push({ type: 'table', data: tableRows, pageNumber });
+            tableRows = [];
+        }
+    };
+    const endParagraph = () => {
+        flushBytes();
+        if (inTable) {
+            text += '\n';
+            return;
+        }
+        closeTable();
+        const paragraph = text.trim();
+        if (paragraph) {
+            items.push(outlineLevel !== null
+                ? { type: 'heading', level: outlineLevel + 1, text: paragraph, pageNumber }
+                : { type: 'paragraph', text: paragraph, pageNumber });
+        }
+        text = '';
+    };
+
+    let i = 0;
+    while (i < rtf.length) {
+        const char = rtf[i];
+
+        if (char === '{') {
+            flushBytes();
+            stack.push(state);
+            state = { ...state };
+            i++;
+        } else if (char === '}') {
+            flushBytes();
+            state = stack.pop() || state;
+            i++;
+        } else if (char === '\\') {
+            const next = rtf[i + 1];
+
+            if (next === '\'') {
+                // Hex-escaped byte in the document code page; collect runs so
+                // double-byte code pages decode correctly
+                const byte = parseInt(rtf.substr(i + 2, 2), 16);
+                i += 4;
+                if (state.skip || isNaN(byte)) continue;
+                if (fallbackToSkip > 0) {
+                    fallbackToSkip--;
+                    continue;
+                }
+                pendingBytes.push(byte);
+                continue;
+            }
+
+            if (!/[a-zA-Z]/.test(next || '')) {
+                // Control symbol
+                i += 2;
+                if (next === '*') {
+                    state.skip = true; // Ignorable destination the reader does not know
+                } else if (next === '\\' || next === '{' || next === '}') {
+                    emit(next);
+                } else if (next === '~') {
+                    emit('\u00A0');
+                } else if (next === '_') {
+                    emit('\u2011');
+                } else if (next === '\n' || next === '\r') {
+                    if (!state.skip) endParagraph();
+                }
+                continue;
+            }
+
+            const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+            const word = match[1];
+            const param = match[2] !== undefined ? parseInt(match[2]) : null;
+            i += match[0].length;
+
+            if (SKIPPED_DESTINATIONS.has(word)) {
+                state.skip = true;
+                continue;
+            }
+            if (word !== 'u') flushBytes();
+            if (state.skip) continue;
+
+            switch (word) {
+                case 'ansicpg':
+                    decoder = createDecoder(param);
+                    break;
+                case 'uc':
+                    state.unicodeSkip = param === null ? 1 : param;
+                    break;
+                case 'u':
+                    flushBytes();
+                    text += String.fromCharCode(param < 0 ? param + 65536 : param);
+                    fallbackToSkip = state.unicodeSkip;
+                    break;
+                case 'par':
+                    endParagraph();
+                    break;
+                case 'line':
+                    emit('\n');
+                    break;
+                case 'tab':
+                    emit('\t');
+                    break;
+                case 'page':
+                    endParagraph();
+                    pageNumber++;
+                    pageBreaks++;
+                    break;
+                case 'pard':
+                    inTable = false;
+                    outlineLevel = null;
+                    break;
+                case 'intbl':
+                    inTable = true;
+                    break;
+                case 'outlinelevel':
+                    outlineLevel = param;
+                    break;
+                case 'cell':
+                    row.push(text.trim());
+                    text = '';
+                    break;
+                case 'row':
+                    tableRows.push(row);
+                    row = [];
+                    text = '';
+                    break;
+                default:
+                    if (SYMBOLS[word]) emit(SYMBOLS[word]);
+            }
+        } else if (char === '\r' || char === '\n') {
+            i++; // Raw line breaks are not content in RTF
+        } else {
+            emit(char);
+            i++;
+        }
+    }
+
+    inTable = false;
+    endParagraph();
+    closeTable();
+
+    return { items, pageBreaks, pageCount: pageNumber };
+}
+
+/**
+ * Extract text and tables from an RTF file
+ * @param {Buffer} buffer - RTF file content
+ * @returns {Promise<Object>} Extracted text, tables and pages
+ */
+async function extractRTFText(buffer) {
+    try {
+        // RTF is 7-bit; latin1 keeps every byte so escapes decode with the declared code page
+        const { items, pageBreaks, pageCount: explicitPages } = readRTF(buffer.toString('latin1'));
+        const tables = [];
+        const blocks = [];
+        const lines = [];
+
+        for (const item of items) {
+            if (item.type === 'table') {
+                const columns = Math.max(...item.data.map(row => row.length));
+                const data = item.data.map(row => [...row, ...Array(columns - row.length).fill('')]);
+                const tableIndex = tables.length;
+                tables.push({
+                    pageNumber: item.pageNumber,
+                    tableIndex,
+                    data,
+                    structure: { rows: data.length, columns }
+                });
+                blocks.push({ type: 'table', pageNumber: item.pageNumber, tableIndex });
+                lines.push(data.map(row => row.join('\t')).join('\n'));
+            } else {
+                blocks.push(item);
+                lines.push(item.text);
+            }
+        }
+
+        const text = lines.join('\n');
+
+        // Without explicit breaks, estimate page count (rough calculation: ~500 words per page)
+        const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+        const pageCount = pageBreaks > 0 ? explicitPages : Math.max(1, Math.ceil(wordCount / 500));
+
+        const pages = Array.from({ length: pageCount }, (_, i) => ({
+            pageNumber: i + 1,
+            text: '',
+            confidence: 98,
+            method: 'text',
+            blocks: []
+        }));
+        blocks.forEach((block, index) => {
+            pages[Math.min(block.pageNumber, pageCount) - 1].blocks.push({
+                type: block.type,
+                text: block.type === 'table' ? lines[index] : block.text,
+                confidence: 98,
+                level: block.level,
+                tableIndex: block.tableIndex
+            });
+        });
+        pages.forEach(page => {
+            page.text = page.blocks.map(block => block.text).join('\n');
+        });
+
+        return {
+            text,
+            metadata: {
+                pageCount,
+                extractionConfidence: 98,
+                processedPages: pages.map(page => page.pageNumber)
+            },
+            tables,
+            blocks,
+            pages
+        };
+    } catch (error) {
+        console.error('RTF parsing error:', error);
+        throw new Error(`Failed to extract RTF content: ${error.message}`);
+    }
+}
+
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'rtf',
+    label: 'Rich Text Format',
+    extensions: ['rtf'],
+    mimeTypes: ['application/rtf'],
+    magicBytes: [{ bytes: '{\\rtf' }],
+    capabilities: { text: true, tables: true, ocr: false },
+    parse: extractRTFText
+}];
+
+module.exports = { extractRTFText, formats };
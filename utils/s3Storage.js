@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// S3's minimum size for every multipart upload part but the last
+const PART_SIZE = 5 * 1024 * 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const EMPTY_PAYLOAD_HASH = sha256('');
+
+/**
+ * Percent-encode everything but RFC 3986 unreserved characters, as SigV4 expects
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url (URL, path already encoded), headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken, region }
+ * @param {Date} [date] - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash }, credentials, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+
+    const signed = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    for (const [name, value] of Object.entries(headers)) {
+        signed[name.toLowerCase()] = String(value).trim();
+    }
+    if (credentials.sessionToken) {
+        signed['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const names = Object.keys(signed).sort();
+    const query = [...url.searchParams]
+        .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+        .sort()
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        names.map(name => `${name}:${signed[name]}\n`).join(''),
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${credentials.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), credentials.region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+}
+
+/**
+ * Value of the first <tag> in an S3 XML response
+ */
+function xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml);
+    return match ? match[1] : null;
+}
+
+/**
+ * Storage backend for S3 and S3-compatible object stores (MinIO, Ceph, R2, ...).
+ * Uploads are streamed in PART_SIZE multipart chunks, so at most one part is
+ * held in memory.
+ * @param {Object} [options] - Defaults from S3_ENDPOINT, S3_REGION, S3_BUCKET,
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_SESSION_TOKEN and S3_FORCE_PATH_STYLE
+ * @returns {Object} Storage backend (see utils/storage.js)
+ */
+function createS3Storage(options = {}) {
+    const config = {
+        endpoint: process.env.S3_ENDPOINT || null,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        sessionToken: process.env.S3_SESSION_TOKEN || null,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE,
+        ...options
+    };
+
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    // Custom endpoints (MinIO and friends) usually only serve path-style URLs
+    const pathStyle = config.forcePathStyle === undefined || config.forcePathStyle === null
+        ? Boolean(config.endpoint)
+        : String(config.forcePathStyle) === 'true';
+    const endpoint = (config.endpoint || `https://s3.${config.region}.amazonaws.com`).replace(/\/+$/, '');
+
+    const objectUrl = (key, query = {}) => {
+        const objectPath = key.split('/').map(encodeRfc3986).join('/');
+        const url = pathStyle
+            ? new URL(`${endpoint}/${config.bucket}/${objectPath}`)
+            : new URL(`${endpoint.replace('://', `://${config.bucket}.`)}/${objectPath}`);
+        for (const [name, value] of Object.entries(query)) {
+            url.searchParams.set(name, value);
+        }
+        return url;
+    };
+
+    async function send(method, key, { query, headers, body } = {}) {
+        const url = objectUrl(key, query);
+        const signedHeaders = signRequest(
+            { method, url, headers, payloadHash: body ? sha256(body) : EMPTY_PAYLOAD_HASH },
+            config
+        );
+        // fetch sets Host from the URL itself
+        delete signedHeaders.host;
+        return fetch(url, { method, headers: signedHeaders, body });
+    }
+
+    async function failure(response, action) {
+        const body = await response.text().catch(() => '');
+        const code = xmlValue(body, 'Code');
+        const error = new Error(`S3 ${action} failed with HTTP ${response.status}${code ? ` (${code})` : ''}`);
+        error.statusCode = response.status;
+        // Throttling and server errors may clear up; anything else will not
+        error.retryable = response.status === 429 || response.status >= 500;
+        if (response.status === 404) error.code = 'ENOENT';
+        return error;
+    }
+
+    async function expectOk(response, action) {
+        if (!response.ok) throw await failure(response, action);
+        return response;
+    }
+
+    async function uploadPart(key, uploadId, partNumber, body) {
+        const response = await expectOk(
+            await send('PUT', key, { query: { partNumber: String(partNumber), uploadId }, body }),
+            'UploadPart'
+        );
+        await response.arrayBuffer();
+        return { partNumber, etag: response.headers.get('etag') };
+    }
+
+    return {
+        name: 's3',
+
+        async put(key, stream, { contentType } = {}) {
+            const headers = contentType ? { 'content-type': contentType } : {};
+            let chunks = [];
+            let buffered = 0;
+            let size = 0;
+            let uploadId = null;
+            const parts = [];
+
+            try {
+                for await (const chunk of stream) {
+                    chunks.push(chunk);
+                    buffered += chunk.length;
+                    size += chunk.length;
+                    if (buffered < PART_SIZE) continue;
+
+                    if (!uploadId) {
+                        const created = await expectOk(
+                            await send('POST', key, { query: { uploads: '' }, headers }),
+                            'CreateMultipartUpload'
+                        );
+                        uploadId = xmlValue(await created.text(), 'UploadId');
+                    }
+                    parts.push(await uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+                    chunks = [];
+                    buffered = 0;
+                }
+
+                const rest = Buffer.concat(chunks);
+
+                // Small files go up in a single request
+                if (!uploadId) {
+                    const response = await expectOk(await send('PUT', key, { headers, body: rest }), 'PutObject');
+                    await response.arrayBuffer();
+                    return { key, size };
+                }
+
+                if (rest.length > 0) {
+                    parts.push(await uploadPart(key, uploadId, parts.length + 1, rest));
+                }
+
+                const completion = '<CompleteMultipartUpload>'
+                    + parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('')
+                    + '</CompleteMultipartUpload>';
+                const response = await expectOk(
+                    await send('POST', key, { query: { uploadId }, body: Buffer.from(completion) }),
+                    'CompleteMultipartUpload'
+                );
+                // Completion can fail after the 200 status has been sent
+                const result = await response.text();
+                if (result.includes('<Error>')) {
+                    throw new Error(`S3 CompleteMultipartUpload failed (${xmlValue(result, 'Code')})`);
+                }
+                return { key, size };
+            } catch (error) {
+                if (uploadId) {
+                    await send('DELETE', key, { query: { uploadId } }).catch(() => {});
+                }
+                throw error;
+            }
+        },
+
+        async get(key) {
+            const response = await expectOk(await send('GET', key), 'GetObject');
+            return Readable.fromWeb(response.body);
+        },
+
+        async read(key) {
+            const response = await expectOk(await send('GET', key), 'GetObject');
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        async stat(key) {
+            const response = await send('HEAD', key);
+            if (response.status === 404) return null;
+            await expectOk(response, 'HeadObject');
+            return {
+                size: Number(response.headers.get('content-length')),
+                contentType: response.headers.get('content-type')
+            };
+        },
+
+        async delete(key) {
+            const response = await send('DELETE', key);
+            if (response.status !== 404) {
+                await expectOk(response, 'DeleteObject');
+            }
+            await response.arrayBuffer().catch(() => {});
+        }
+    };
+}
+
+module.exports = { createS3Storage, signRequest };
@@ -0,0 +1,130 @@
+const Chunk = require('../models/Chunk');
+const Document = require('../models/Document');
+const Page = require('../models/Page');
+const { chunkContent } = require('./chunker');
+const { getEmbedder } = require('./embeddings');
+
+/**
+ * Text embedded for a chunk: its headings give the content its context
+ */
+const embeddingText = chunk => [...chunk.headings, chunk.text].join('\n');
+
+const toBuffer = vector => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+
+/**
+ * Cosine similarity of a query vector and a stored one (both unit length);
+ * null when they differ in size
+ */
+function similarity(vector, stored) {
+    // Lean queries return BSON Binary values rather than Buffers
+    const bytes = Buffer.isBuffer(stored) ? stored : Buffer.from(stored.buffer);
+    if (bytes.length !== vector.length * 4) return null;
+
+    let score = 0;
+    for (let i = 0; i < vector.length; i++) {
+        score += vector[i] * bytes.readFloatLE(i * 4);
+    }
+    return score;
+}
+
+/**
+ * Chunk and embed a document's content, replacing its chunks in the index.
+ * Failures are recorded on the document rather than thrown: the extraction
+ * itself is still good.
+ * @param {Object} document - Document the content belongs to (_id and tenant)
+ * @param {Object} content - { text, tables, blocks, pages }
+ * @returns {Promise<Object>} The document's searchIndex status
+ */
+async function indexDocument(document, content) {
+    const embedder = getEmbedder();
+    let searchIndex;
+
+    try {
+        const chunks = chunkContent(content);
+        const vectors = await embedder.embed(chunks.map(embeddingText));
+
+        await Chunk.deleteMany({ document: document._id });
+        await Chunk.insertMany(chunks.map((chunk, chunkIndex) => ({
+            tenant: document.tenant,
+            document: document._id,
+            chunkIndex,
+            type: chunk.type,
+            pageNumber: chunk.pageNumber,
+            tableIndex: chunk.type === 'table' ? chunk.tableIndex : null,
+            headings: chunk.headings,
+            text: chunk.text,
+            embedder: embedder.id,
+            embedding: toBuffer(vectors[chunkIndex])
+        })));
+
+        searchIndex = { status: 'indexed', chunks: chunks.length, embedder: embedder.id, indexedAt: new Date(), error: null };
+    } catch (error) {
+        console.log(`Indexing failed for document ${document._id}:`, error.message);
+        // Chunks of the previous content would no longer match it
+        await Chunk.deleteMany({ document: document._id });
+        searchIndex = { status: 'failed', chunks: 0, embedder: embedder.id, indexedAt: new Date(), error: error.message };
+    }
+
+    await Document.updateOne({ _id: document._id }, { searchIndex });
+    return searchIndex;
+}
+
+/**
+ * Index a document again from its stored content (e.g. after changing embedder)
+ * @param {Object} document - Processed document
+ * @returns {Promise<Object>} The document's searchIndex status
+ */
+async function indexStoredContent(document) {
+    const pages = await Page.find({ document: document._id })
+        .select('pageNumber text')
+        .sort({ pageNumber: 1 })
+        .lean();
+    const { extractedText, extractedTables, blocks } = document.toObject();
+
+    return indexDocument(document, { text: extractedText, tables: extractedTables, blocks, pages });
+}
+
+/**
+ * The chunks of a tenant's documents closest to a query
+ * @param {string} tenant - Tenant whose documents are searched
+ * @param {string} query - Query text
+ * @param {Object} [options] - { topK, minScore, documentIds, fileType }
+ * @returns {Promise<Object>} { embedder, results: [{ chunk, score }] } best first
+ */
+async function queryIndex(tenant, query, { topK = 5, minScore = null, documentIds = null, fileType = null } = {}) {
+    const embedder = getEmbedder();
+    const [vector] = await embedder.embed([query]);
+
+    const filter = { tenant, embedder: embedder.id };
+    if (documentIds || fileType) {
+        const conditions = { tenant, deletedAt: null };
+        if (documentIds) conditions._id = { $in: documentIds };
+        if (fileType) conditions.fileType = fileType;
+        filter.document = { $in: await Document.distinct('_id', conditions) };
+    } else {
+        // Documents in the trash keep their chunks until they are purged
+        filter.document = { $nin: await Document.distinct('_id', { tenant, deletedAt: { $ne: null } }) };
+    }
+
+    // Best topK so far, highest score first
+    const top = [];
+    const cursor = Chunk.find(filter).select('+embedding').lean().cursor();
+    for await (const chunk of cursor) {
+        const score = similarity(vector, chunk.embedding);
+        if (score === null || (minScore !== null && score < minScore)) continue;
+        if (top.length === topK && score <= top[top.length - 1].score) continue;
+
+        const { embedding, ...rest } = chunk;
+        const position = top.findIndex(entry => entry.score < score);
+        top.splice(position === -1 ? top.length : position, 0, { chunk: rest, score });
+        if (top.length > topK) top.pop();
+    }
+
+    return { embedder: embedder.id, results: top };
+}
+
+module.exports = {
+    indexDocument,
+    indexStoredContent,
+    queryIndex
+};
@@ -0,0 +1,93 @@
+/**
+ * File storage for uploaded originals.
+ *
+ * The backend is chosen with STORAGE_DRIVER: `local` (default, a directory on
+ * disk) or `s3` (any S3-compatible object store). Every backend exposes:
+ *
+ *   {
+ *     name,
+ *     put(key, stream, { contentType })  // store a stream; resolves to { key, size }
+ *     get(key)                           // readable stream; rejects with code ENOENT when missing
+ *     read(key)                          // whole file as a Buffer; rejects with code ENOENT when missing
+ *     stat(key)                          // { size, contentType } or null when missing
+ *     delete(key)                        // remove the file; missing files are ignored
+ *   }
+ *
+ * Keys are relative, '/'-separated names: `<tenant>/<uuid><ext>`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { createDiskStorage } = require('./diskStorage');
+const { createS3Storage } = require('./s3Storage');
+
+let storage = null;
+
+/**
+ * Create the backend named by STORAGE_DRIVER
+ * @param {string} [driver] - local or s3
+ * @returns {Object} Storage backend
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+    switch (driver) {
+        case 'local':
+            return createDiskStorage();
+        case 's3':
+            return createS3Storage();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER '${driver}'; use local or s3`);
+    }
+}
+
+/**
+ * The configured storage backend, created on first use
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+}
+
+/**
+ * Key for a new file of a tenant
+ * @param {string} tenant - Owning tenant
+ * @param {string} originalName - Name the file was uploaded with (for its extension)
+ * @returns {string} Storage key
+ */
+function newStorageKey(tenant, originalName) {
+    return `${tenant}/${uuidv4()}${path.extname(originalName || '').toLowerCase()}`;
+}
+
+/**
+ * Store a stream, hashing and counting it on the way through
+ * @param {string} key - Storage key
+ * @param {Readable} stream - File content
+ * @param {Object} [options] - { contentType }
+ * @returns {Promise<Object>} { key, size, contentHash }
+ */
+async function storeStream(key, stream, options = {}) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    // Errors in the source destroy the counter, which fails the put
+    await getStorage().put(key, pipeline(stream, counter, () => {}), options);
+    return { key, size, contentHash: hash.digest('hex') };
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    newStorageKey,
+    storeStream
+};
@@ -0,0 +1,163 @@
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+// pdf-parse appends "-- N of M --" after each page's text
+const PDF_PAGE_MARKER = /\n-- (\d+) of \d+ --/g;
+
+/**
+ * Flatten table cells into a single string for the text index
+ * @param {Array} tables - Extracted tables
+ * @returns {string} Space separated cell contents
+ */
+function flattenTableText(tables = []) {
+    return tables
+        .map(table => (Array.isArray(table.data) ? table.data : [])
+            .map(row => (Array.isArray(row) ? row : [row]).join(' '))
+            .join('\n'))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Split a $text query into the words and phrases worth highlighting.
+ * Negated terms ("-word") are dropped, quoted phrases are kept whole.
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Terms to highlight
+ */
+function parseSearchTerms(query) {
+    const terms = [];
+    const phrasePattern = /"([^"]+)"/g;
+    let match;
+
+    while ((match = phrasePattern.exec(query)) !== null) {
+        terms.push(match[1].trim());
+    }
+
+    query.replace(phrasePattern, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 0 && !word.startsWith('-'))
+        .forEach(word => terms.push(word));
+
+    return [...new Set(terms.filter(term => term.length > 0))];
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a case-insensitive pattern matching any term, including stemmed
+ * variants (the text index matches "contracts" for "contract")
+ */
+function buildTermPattern(terms) {
+    if (terms.length === 0) return null;
+    const alternatives = terms.map(term => `${escapeRegExp(term)}\\w*`);
+    return new RegExp(`(${alternatives.join('|')})`, 'gi');
+}
+
+/**
+ * Wrap matched terms in <mark>, escaping everything else
+ */
+function highlight(text, pattern) {
+    let result = '';
+    let lastIndex = 0;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        result += escapeHTML(text.slice(lastIndex, match.index));
+        result += `<mark>${escapeHTML(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+        if (match[0].length === 0) pattern.lastIndex++;
+    }
+
+    return result + escapeHTML(text.slice(lastIndex));
+}
+
+/**
+ * Work out which page a character offset falls on, where the source tells us
+ */
+function getPageNumberAt(document, text, offset) {
+    if (document.fileType === 'pdf') {
+        let pageNumber = 1;
+        PDF_PAGE_MARKER.lastIndex = 0;
+
+        let marker;
+        while ((marker = PDF_PAGE_MARKER.exec(text)) !== null && marker.index < offset) {
+            pageNumber = parseInt(marker[1]) + 1;
+        }
+        return Math.min(pageNumber, document.metadata.pageCount || pageNumber);
+    }
+
+    return document.metadata.pageCount === 1 ? 1 : null;
+}
+
+/**
+ * Build highlighted snippets for a search hit
+ * @param {Object} document - Document with extractedText and extractedTables
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {Array<Object>} Snippets with source and page number
+ */
+function buildSnippets(document, terms) {
+    const pattern = buildTermPattern(terms);
+    if (!pattern) return [];
+
+    const snippets = [];
+    const text = document.extractedText || '';
+    let lastEnd = -1;
+    let match;
+
+    pattern.lastIndex = 0;
+    while (snippets.length < MAX_SNIPPETS && (match = pattern.exec(text)) !== null) {
+        // Skip matches already covered by the previous snippet
+        if (match.index < lastEnd) continue;
+
+        const start = Math.max(0, match.index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+        snippets.push({
+            source: 'text',
+            pageNumber: getPageNumberAt(document, text, match.index),
+            snippet: `${start > 0 ? '…' : ''}${highlight(excerpt, pattern)}${end < text.length ? '…' : ''}`
+        });
+
+        lastEnd = end;
+        pattern.lastIndex = end;
+    }
+
+    for (const table of document.extractedTables || []) {
+        if (snippets.length >= MAX_SNIPPETS) break;
+
+        for (const row of Array.isArray(table.data) ? table.data : []) {
+            const rowText = (Array.isArray(row) ? row : [row]).join(' | ');
+            pattern.lastIndex = 0;
+            if (!pattern.test(rowText)) continue;
+
+            snippets.push({
+                source: 'table',
+                pageNumber: table.pageNumber || null,
+                tableIndex: table.tableIndex,
+                snippet: highlight(rowText, pattern)
+            });
+            break;
+        }
+    }
+
+    return snippets;
+}
+
+module.exports = {
+    flattenTableText,
+    parseSearchTerms,
+    buildSnippets,
+    escapeRegExp
+};
@@ -1,26 +1,26 @@
-const fs = require('fs');
+const { buildTextPages } = require('./pageBuilder');
 
 /**
  * Extract text from TXT file
- * @param {string} filePath - Path to TXT file
+ * @param {Buffer} buffer - TXT file content
  * @returns {Promise<Object>} Extracted text and metadata
  */
-async function extractTXTText(filePath) {
+async function extractTXTText(buffer) {
     try {
-        const text = fs.readFileSync(filePath, 'utf-8');
-        
-        // Estimate page count (rough calculation: ~500 words per page)
-        const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-        const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
+        const text = buffer.toString('utf-8');
         
+        // Split into estimated pages (rough calculation: ~500 words per page)
+        const pages = buildTextPages(text, 100);
+
         return {
             text: text,
             metadata: {
-                pageCount: estimatedPages,
+                pageCount: pages.length,
                 extractionConfidence: 100,
-                processedPages: Array.from({ length: estimatedPages }, (_, i) => i + 1)
+                processedPages: pages.map(page => page.pageNumber)
             },
-            tables: []
+            tables: [],
+            pages: pages
         };
     } catch (error) {
         console.error('TXT parsing error:', error);
@@ -28,4 +28,16 @@ async function extractTXTText(filePath) {
     }
 }
 
-module.exports = { extractTXTText };
+// Formats this parser handles (see parserRegistry)
+const formats = [{
+    type: 'txt',
+    label: 'Plain text',
+    extensions: ['txt'],
+    mimeTypes: ['text/plain'],
+    // No signature; matched when the content decodes as text
+    textual: true,
+    capabilities: { text: true, tables: false, ocr: false },
+    parse: extractTXTText
+}];
+
+module.exports = { extractTXTText, formats };
@@ -0,0 +1,138 @@
+/**
+ * Recognise and normalise typed values (dates, amounts, numbers) in
+ * extracted text. Used by field extraction templates.
+ */
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH_NAMES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// 2024-01-31, 31/01/2024, 31.01.24, 31 Jan 2024, 31-Jan-2024, January 31, 2024
+const DATE_PATTERN = new RegExp(
+    '\\b(?:\\d{4}-\\d{1,2}-\\d{1,2}'
+    + '|\\d{1,2}[/.\\-]\\d{1,2}[/.\\-](?:\\d{4}|\\d{2})'
+    + `|\\d{1,2}(?:st|nd|rd|th)?[\\s\\-](?:${MONTH_NAMES})\\.?[\\s\\-,]+\\d{4}`
+    + `|(?:${MONTH_NAMES})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})\\b`,
+    'i'
+);
+
+// Currency symbols and the ISO codes they stand for
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', 'Rs': 'INR', 'Rs.': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'INR', 'CNY', 'CHF', 'CAD', 'AUD', 'SGD', 'AED', 'SEK', 'NOK', 'DKK'];
+const CURRENCY = `(?:[$€£¥₹]|Rs\\.?|${CURRENCY_CODES.join('|')})`;
+const NUMBER = '\\(?-?\\d{1,3}(?:[,.]\\d{2,3})*(?:[.,]\\d{1,2})?\\)?|\\(?-?\\d+(?:[.,]\\d{1,2})?\\)?';
+
+// A number with an optional currency before or after it; not part of a
+// longer word or number, and not a percentage
+const AMOUNT_PATTERN = new RegExp(`(?<![\\w.,])(?:${CURRENCY}\\s?)?(?:${NUMBER})(?![\\d%])(?:\\s?${CURRENCY}\\b)?`, 'i');
+const NUMBER_PATTERN = new RegExp(NUMBER);
+
+/**
+ * Build a YYYY-MM-DD string, or null when the parts are not a real date
+ */
+function isoDate(year, month, day) {
+    const fullYear = year < 100 ? (year < 70 ? 2000 + year : 1900 + year) : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalise a written date to ISO 8601 (YYYY-MM-DD)
+ * @param {string} text - Date as written (e.g. "31/01/2024", "Jan 31, 2024")
+ * @param {Object} [options]
+ * @param {boolean} [options.dayFirst] - Read ambiguous numeric dates as day/month (default true)
+ * @returns {string|null}
+ */
+function parseDate(text, options = {}) {
+    const value = (text || '').trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1');
+    const dayFirst = options.dayFirst !== false;
+    let match;
+
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value))) {
+        return isoDate(+match[1], +match[2], +match[3]);
+    }
+    if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/.exec(value))) {
+        let [day, month] = [+match[1], +match[2]];
+        // Day-first unless that cannot be right (or the caller prefers month-first)
+        if ((!dayFirst && day <= 12) || month > 12) [day, month] = [month, day];
+        return isoDate(+match[3], month, day);
+    }
+    if ((match = /^(\d{1,2})[\s-]([a-z]+)\.?[\s,-]+(\d{4})$/.exec(value)) && MONTHS[match[2]]) {
+        return isoDate(+match[3], MONTHS[match[2]], +match[1]);
+    }
+    if ((match = /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/.exec(value)) && MONTHS[match[1]]) {
+        return isoDate(+match[3], MONTHS[match[1]], +match[2]);
+    }
+    return null;
+}
+
+/**
+ * Parse a written number, working out which of "," and "." is the decimal
+ * separator (1,234.56 / 1.234,56 / 1 234,56 / 1,23,456.00)
+ * @param {string} text - Number as written
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+    let value = (text || '').trim();
+    const negative = /^\(.*\)$/.test(value) || value.startsWith('-');
+    value = value.replace(/[()\s-]/g, '');
+    if (!/^[\d.,]+$/.test(value) || !/\d/.test(value)) return null;
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    let decimal = null;
+    if (lastComma !== -1 && lastDot !== -1) {
+        decimal = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1) {
+        // A single comma followed by one or two digits is a decimal comma
+        decimal = /^\d*,\d{1,2}$/.test(value) ? ',' : null;
+    } else if (lastDot !== -1) {
+        // Dots grouping thousands (1.234.567) rather than marking decimals
+        decimal = /^\d{1,3}(\.\d{3})+$/.test(value) && value.split('.').length > 2 ? null : '.';
+    }
+
+    const thousands = decimal === ',' ? '.' : ',';
+    let normalised = value.split(thousands).join('');
+    if (decimal === ',') normalised = normalised.replace(',', '.');
+    if (decimal === null) normalised = normalised.replace(/[.,]/g, '');
+
+    const number = parseFloat(normalised);
+    if (isNaN(number)) return null;
+    return negative ? -number : number;
+}
+
+/**
+ * Parse a monetary amount with its currency
+ * @param {string} text - Amount as written (e.g. "$1,234.50", "1.234,50 EUR", "Rs. 500")
+ * @returns {Object|null} { value, currency } (currency null when not written)
+ */
+function parseAmount(text) {
+    const value = (text || '').trim();
+    const currencyMatch = new RegExp(`^(${CURRENCY})|(${CURRENCY})$`, 'i').exec(value);
+    const written = currencyMatch ? (currencyMatch[1] || currencyMatch[2]) : null;
+    const number = parseNumber(value.replace(new RegExp(`^${CURRENCY}|${CURRENCY}$`, 'gi'), ''));
+    if (number === null) return null;
+
+    let currency = null;
+    if (written) {
+        currency = CURRENCY_SYMBOLS[written] || CURRENCY_SYMBOLS[written.charAt(0).toUpperCase() + written.slice(1).toLowerCase()]
+            || written.toUpperCase();
+    }
+    return { value: number, currency };
+}
+
+module.exports = {
+    DATE_PATTERN,
+    AMOUNT_PATTERN,
+    NUMBER_PATTERN,
+    CURRENCY_CODES,
+    parseDate,
+    parseNumber,
+    parseAmount
+};
@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Document = require('../models/Document');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const config = {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 10000, // Base backoff in ms
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 2000,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 10,
+    // Let webhooks reach loopback and private network addresses (local development only)
+    allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+};
+
+let pollTimer = null;
+let polling = false;
+// Webhooks with a delivery in flight; each endpoint gets one at a time
+const activeWebhooks = new Set();
+
+// Loopback, private, link-local, shared, reserved and multicast ranges a
+// webhook may not reach, so tenants cannot make the server call internal hosts
+const privateRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks may not be sent to
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, or ::ffff:7f00:1) count as their IPv4 address
+    const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+    if (mapped) {
+        const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+            .map(group => parseInt(group, 16))
+            .map(value => `${value >> 8}.${value & 255}`)
+            .join('.');
+        return privateRanges.check(ipv4, 'ipv4');
+    }
+    return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * DNS lookup for webhook requests that refuses hosts resolving to a private
+ * address. The request connects to the address checked here, so the host
+ * cannot be re-pointed between the check and the connection.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = config.allowPrivate ? null : addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const privateError = new Error(`${hostname} resolves to the private address ${blocked.address}`);
+            privateError.code = 'EPRIVATEADDRESS';
+            return callback(privateError);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Whether a webhook URL is an absolute http(s) URL whose host is not plainly
+ * internal (localhost or a private IP). Hosts are resolved and checked again
+ * on every delivery.
+ */
+function isValidWebhookUrl(url) {
+    if (typeof url !== 'string') return false;
+    try {
+        const { protocol } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') return false;
+    } catch (error) {
+        return false;
+    }
+    if (config.allowPrivate) return true;
+
+    const host = hostOf(url).toLowerCase();
+    return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host);
+}
+
+/**
+ * Create a random signing secret
+ */
+function generateWebhookSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Read the webhook an upload asks to be notified at: `webhookUrl` and an
+ * optional `webhookSecret` (one is generated when it is left out)
+ * @param {Object} source - Upload fields (query string and form body)
+ * @returns {Object} { webhookOptions } (null when none was given) or { error } with { error, message, code }
+ */
+function readWebhookOptions(source = {}) {
+    if (source.webhookUrl === undefined || source.webhookUrl === '') {
+        return { webhookOptions: null };
+    }
+
+    if (!isValidWebhookUrl(source.webhookUrl)) {
+        return {
+            error: {
+                error: 'Invalid webhook URL',
+                message: 'webhookUrl must be an absolute http or https URL on a public host',
+                code: 'INVALID_WEBHOOK_URL'
+            }
+        };
+    }
+
+    if (source.webhookSecret !== undefined && (typeof source.webhookSecret !== 'string' || source.webhookSecret.length < 16)) {
+        return {
+            error: {
+                error: 'Invalid webhook secret',
+                message: 'webhookSecret must be at least 16 characters',
+                code: 'INVALID_WEBHOOK_SECRET'
+            }
+        };
+    }
+
+    return {
+        webhookOptions: {
+            url: source.webhookUrl,
+            secret: source.webhookSecret || generateWebhookSecret()
+        }
+    };
+}
+
+/**
+ * Signature sent in X-Webhook-Signature: HMAC-SHA256 of "<timestamp>.<body>".
+ * Receivers recompute it with their secret and reject stale timestamps.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Exponential backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts) {
+    return config.retryDelay * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * What a webhook receives about a document
+ */
+function documentSummary(document) {
+    return {
+        id: document._id,
+        fileName: document.originalName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        status: document.processingStatus,
+        error: document.errorMessage || null,
+        batch: document.batch || null,
+        version: document.version,
+        currentRevision: document.currentRevision,
+        pageCount: document.metadata ? document.metadata.pageCount : null,
+        extractionConfidence: document.metadata ? document.metadata.extractionConfidence : null,
+        template: document.fieldExtraction ? document.fieldExtraction.template : null,
+        uploadedAt: document.createdAt,
+        updatedAt: document.updatedAt
+    };
+}
+
+/**
+ * Store a delivery of an event to a webhook and have it sent
+ * @param {Object} webhook - Webhook to notify
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {string} [documentId] - Document the event is about
+ * @returns {Promise<Object>} Created delivery
+ */
+async function queueDelivery(webhook, event, data, documentId = null) {
+    const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        tenant: webhook.tenant,
+        document: documentId,
+        event,
+        url: webhook.url,
+        payload: { event, createdAt: new Date().toISOString(), tenant: webhook.tenant, data },
+        maxAttempts: config.maxAttempts
+    });
+
+    setImmediate(poll);
+    return delivery;
+}
+
+/**
+ * Notify the tenant's webhooks, and any registered with the upload,
+ * that a document finished processing
+ * @param {string} documentId - Document ID
+ * @param {string} event - document.completed or document.failed
+ * @param {string} [webhookId] - Only notify this webhook
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function notifyDocumentEvent(documentId, event, webhookId = null) {
+    const document = await Document.findById(documentId)
+        .select('tenant originalName fileType fileSize processingStatus errorMessage batch version currentRevision metadata.pageCount metadata.extractionConfidence fieldExtraction.template createdAt updatedAt');
+    if (!document) return 0;
+
+    const filter = {
+        tenant: document.tenant,
+        events: event,
+        $or: [{ document: null }, { document: document._id }]
+    };
+    if (webhookId) filter._id = webhookId;
+
+    const webhooks = await Webhook.find(filter);
+
+    const summary = documentSummary(document);
+    for (const webhook of webhooks) {
+        await queueDelivery(webhook, event, { document: summary }, document._id);
+    }
+    return webhooks.length;
+}
+
+/**
+ * Release deliveries claimed by a previous run that stopped mid-attempt
+ */
+async function recoverDeliveries() {
+    await WebhookDelivery.updateMany(
+        { status: 'pending', lockedAt: { $ne: null } },
+        { $set: { lockedAt: null } }
+    );
+}
+
+/**
+ * Atomically claim the next due delivery to a webhook that has none in flight
+ */
+async function claimNextDelivery() {
+    return WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', lockedAt: null, nextAttemptAt: { $lte: new Date() }, webhook: { $nin: [...activeWebhooks] } },
+        {
+            $set: { lockedAt: new Date() },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+}
+
+/**
+ * POST a JSON body to a webhook, connecting only to public addresses
+ * @returns {Promise<number>} Response status code
+ */
+function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        // IP literals are never looked up, so check them here
+        const host = hostOf(url);
+        if (!config.allowPrivate && isPrivateAddress(host)) {
+            const error = new Error(`${host} is a private address`);
+            error.code = 'EPRIVATEADDRESS';
+            return reject(error);
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            signal: AbortSignal.timeout(config.timeout)
+        }, response => {
+            // Drain the body; only the status matters
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * POST a delivery to its webhook and record the outcome
+ */
+async function sendDelivery(delivery) {
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt), statusCode: null, error: null, durationMs: 0 };
+
+    // Deliveries to a private address are not retried
+    let refused = false;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook) {
+        attempt.error = 'Webhook was deleted';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(startedAt / 1000);
+
+        try {
+            // Redirects are not followed
+            attempt.statusCode = await postWebhook(delivery.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Exituity-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            }, body);
+            if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+                attempt.error = `Receiver responded with HTTP ${attempt.statusCode}`;
+            }
+        } catch (error) {
+            refused = error.code === 'EPRIVATEADDRESS';
+            attempt.error = error.name === 'AbortError' || error.name === 'TimeoutError'
+                ? `No response within ${config.timeout}ms`
+                : error.message;
+        }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+
+    const update = {
+        lockedAt: null,
+        responseStatus: attempt.statusCode,
+        lastError: attempt.error
+    };
+
+    if (!attempt.error) {
+        update.status = 'delivered';
+        update.deliveredAt = new Date();
+    } else if (webhook && !refused && delivery.attempts < delivery.maxAttempts) {
+        update.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    } else {
+        update.status = 'failed';
+    }
+
+    await WebhookDelivery.findByIdAndUpdate(delivery._id, {
+        $set: update,
+        $push: { attemptLog: attempt }
+    });
+}
+
+/**
+ * Send a claimed delivery, keeping its webhook busy until it is done
+ */
+async function runDelivery(delivery) {
+    const webhookId = delivery.webhook.toString();
+    activeWebhooks.add(webhookId);
+    try {
+        await sendDelivery(delivery);
+    } finally {
+        activeWebhooks.delete(webhookId);
+        setImmediate(poll);
+    }
+}
+
+/**
+ * Start due deliveries, one per webhook at a time, so a slow endpoint only
+ * holds up its own deliveries
+ */
+async function poll() {
+    if (!pollTimer || polling) return;
+    polling = true;
+
+    try {
+        while (activeWebhooks.size < config.concurrency) {
+            const delivery = await claimNextDelivery();
+            if (!delivery) break;
+            runDelivery(delivery).catch(error => console.error('Webhook delivery error:', error));
+        }
+    } catch (error) {
+        console.error('Webhook delivery poll error:', error);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Start sending webhook deliveries
+ */
+async function startWebhooks() {
+    await recoverDeliveries();
+
+    pollTimer = setInterval(poll, config.pollInterval);
+    console.log('✅ Webhook delivery started');
+    poll();
+}
+
+/**
+ * Stop sending deliveries; they stay pending until the next start
+ */
+function stopWebhooks() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+module.exports = {
+    isPrivateAddress,
+    isValidWebhookUrl,
+    generateWebhookSecret,
+    readWebhookOptions,
+    signPayload,
+    getRetryDelay,
+    queueDelivery,
+    notifyDocumentEvent,
+    startWebhooks,
+    stopWebhooks
+};
@@ -0,0 +1,78 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Namespace-agnostic helpers for walking the XML inside office packages
+ * (PPTX, ODF), matching elements by local name only
+ */
+
+/**
+ * Parse an XML string, or return null when there is none
+ */
+function parseXml(content) {
+    return content ? new DOMParser().parseFromString(content, 'text/xml') : null;
+}
+
+/**
+ * Read and parse an XML part from a JSZip archive
+ * @returns {Promise<Object|null>} XML document, or null when the part is missing
+ */
+async function readZipXml(zip, name) {
+    const file = zip.file(name);
+    return file ? parseXml(await file.async('string')) : null;
+}
+
+/**
+ * Element children of a node, optionally filtered by local name
+ */
+function children(node, localName = null) {
+    const result = [];
+    if (!node) return result;
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+/**
+ * First element child with the given local name
+ */
+function child(node, localName) {
+    return children(node, localName)[0] || null;
+}
+
+/**
+ * All descendant elements with the given local name, in document order
+ */
+function descendants(node, localName) {
+    const result = [];
+    for (const element of children(node)) {
+        if (element.localName === localName) result.push(element);
+        result.push(...descendants(element, localName));
+    }
+    return result;
+}
+
+/**
+ * Attribute value by local name, ignoring the prefix
+ */
+function attr(node, localName) {
+    if (!node || !node.attributes) return null;
+    for (let i = 0; i < node.attributes.length; i++) {
+        const attribute = node.attributes[i];
+        if (attribute.localName === localName || attribute.name === localName) {
+            return attribute.value;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseXml,
+    readZipXml,
+    children,
+    child,
+    descendants,
+    attr
+};